@@ -0,0 +1,62 @@
+// ISBN metadata lookup. A provider is an async function from an ISBN-13 to
+// { title, author, pages } (author and pages may be null), or null when the
+// ISBN is unknown; it throws when the lookup itself fails. ISBN_PROVIDER picks one:
+//   openlibrary — Open Library's books API (default, needs network)
+//   stub        — a small offline catalogue, for tests and development
+
+// ISBN-10 or ISBN-13 (hyphens, spaces and Goodreads' ="…" wrapping allowed) → ISBN-13, or null
+function normalizeIsbn(raw) {
+  const s = String(raw || '').replace(/[^0-9Xx]/g, '').toUpperCase();
+  if (/^\d{9}[\dX]$/.test(s)) {
+    const sum = [...s].reduce((acc, c, i) => acc + (c === 'X' ? 10 : Number(c)) * (10 - i), 0);
+    if (sum % 11) return null;
+    const body = '978' + s.slice(0, 9);
+    return body + isbn13CheckDigit(body);
+  }
+  if (/^97[89]\d{10}$/.test(s)) return isbn13CheckDigit(s.slice(0, 12)) === s[12] ? s : null;
+  return null;
+}
+
+function isbn13CheckDigit(first12) {
+  const sum = [...first12].reduce((acc, c, i) => acc + Number(c) * (i % 2 ? 3 : 1), 0);
+  return String((10 - sum % 10) % 10);
+}
+
+const STUB_CATALOGUE = {
+  '9780441172719': { title: 'Dune',          author: 'Frank Herbert',     pages: 688 },
+  '9780547928227': { title: 'The Hobbit',    author: 'J.R.R. Tolkien',    pages: 300 },
+  '9780735211292': { title: 'Atomic Habits', author: 'James Clear',       pages: 320 },
+  '9780143127741': { title: 'Meditations',   author: 'Marcus Aurelius',   pages: 256 },
+  '9781455586691': { title: 'Deep Work',     author: 'Cal Newport',       pages: 304 },
+  '9780062316097': { title: 'Sapiens',       author: 'Yuval Noah Harari', pages: 464 },
+};
+
+const PROVIDERS = {
+  stub: async isbn => STUB_CATALOGUE[isbn] || null,
+
+  openlibrary: async isbn => {
+    const url = `https://openlibrary.org/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=data`;
+    const res = await fetch(url, { signal: AbortSignal.timeout(8000) });
+    if (!res.ok) throw new Error(`Open Library responded with ${res.status}`);
+    const book = (await res.json())[`ISBN:${isbn}`];
+    if (!book) return null;
+    return {
+      title:  book.subtitle ? `${book.title}: ${book.subtitle}` : book.title,
+      author: (book.authors || []).map(a => a.name).join(', ') || null,
+      pages:  book.number_of_pages || null,
+    };
+  },
+};
+
+// Make another provider available to ISBN_PROVIDER
+function registerIsbnProvider(name, lookup) {
+  PROVIDERS[name] = lookup;
+}
+
+function isbnProvider(name = process.env.ISBN_PROVIDER || 'openlibrary') {
+  const lookup = PROVIDERS[name];
+  if (!lookup) throw new Error(`Unknown ISBN_PROVIDER "${name}"`);
+  return lookup;
+}
+
+module.exports = { normalizeIsbn, isbnProvider, registerIsbnProvider };
@@ -0,0 +1,44 @@
+// Outgoing account mail (password reset links). A transport is an async
+// function taking { to, username, subject, text } — `to` is the account's
+// email address, or null when none is set — and throws when delivery fails.
+// MAIL_TRANSPORT picks one:
+//   log     — append each message to MAIL_LOG (default mail.log), for local use
+//   console — print each message to stdout
+
+const fs = require('fs');
+const path = require('path');
+
+function formatMessage({ to, username, subject, text }) {
+  return [
+    `Date: ${new Date().toISOString()}`,
+    `To: ${to || `(no address) ${username}`}`,
+    `Subject: ${subject}`,
+    '',
+    text,
+    '',
+  ].join('\n');
+}
+
+const TRANSPORTS = {
+  log: async message => {
+    const file = process.env.MAIL_LOG || path.join(__dirname, 'mail.log');
+    await fs.promises.appendFile(file, formatMessage(message) + '\n');
+  },
+
+  console: async message => {
+    console.log(formatMessage(message));
+  },
+};
+
+// Make another transport available to MAIL_TRANSPORT
+function registerMailTransport(name, send) {
+  TRANSPORTS[name] = send;
+}
+
+function mailTransport(name = process.env.MAIL_TRANSPORT || 'log') {
+  const send = TRANSPORTS[name];
+  if (!send) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  return send;
+}
+
+module.exports = { mailTransport, registerMailTransport };
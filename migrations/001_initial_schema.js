@@ -0,0 +1,143 @@
+// The multi-user schema. A database left over from the single-user version
+// (game_state keyed by id = 1, no users table) is converted in place: every
+// row goes to user 1, who is whoever registers first.
+const { hasTable, hasColumn } = require('./helpers');
+
+const GEAR = [
+  { region: 'ashen',   type: 'weapon', name: 'Rusted Iron Blade',      unlock_lvl: 1  },
+  { region: 'ashen',   type: 'armour', name: "Scavenger's Coat",       unlock_lvl: 2  },
+  { region: 'savanna', type: 'weapon', name: 'Maasai War Spear',       unlock_lvl: 6  },
+  { region: 'savanna', type: 'armour', name: "Warrior's Skins",        unlock_lvl: 6  },
+  { region: 'abyss',   type: 'weapon', name: 'Bioluminescent Fang',    unlock_lvl: 11 },
+  { region: 'abyss',   type: 'armour', name: 'Temple Guardian Plate',  unlock_lvl: 11 },
+  { region: 'throne',  type: 'weapon', name: 'Shadow Sovereign Blade', unlock_lvl: 16 },
+  { region: 'throne',  type: 'armour', name: "Void Emperor's Mantle",  unlock_lvl: 16 },
+];
+
+function convertSingleUser(db) {
+  const rebuild = (table, create, columns) => {
+    if (!hasTable(db, table)) return;
+    db.exec(`
+      ${create.replace(table, `${table}_new`)};
+      INSERT INTO ${table}_new SELECT 1, ${columns} FROM ${table};
+      DROP TABLE ${table};
+      ALTER TABLE ${table}_new RENAME TO ${table};
+    `);
+  };
+  rebuild('game_state', TABLES.game_state, 'total_xp');
+  rebuild('stats', TABLES.stats, 'str, dis, vit, wis, endurance');
+  rebuild('daily_quests', TABLES.daily_quests, 'quest_id, status, date, xp');
+  rebuild('map_cinematics', TABLES.map_cinematics, 'region, seen');
+  rebuild('quest_labels', TABLES.quest_labels, 'quest_id, label');
+  for (const table of ['xp_log', 'quests', 'region_bosses', 'books', 'reading_list']) {
+    if (hasTable(db, table) && !hasColumn(db, table, 'user_id')) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN user_id INTEGER NOT NULL DEFAULT 1`);
+    }
+  }
+}
+
+const TABLES = {
+  users: `CREATE TABLE users (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    username      TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    created_at    INTEGER DEFAULT (unixepoch()),
+    is_admin      INTEGER DEFAULT 0
+  )`,
+  game_state: `CREATE TABLE game_state (
+    user_id  INTEGER PRIMARY KEY,
+    total_xp INTEGER NOT NULL DEFAULT 0
+  )`,
+  stats: `CREATE TABLE stats (
+    user_id   INTEGER PRIMARY KEY,
+    str       INTEGER NOT NULL DEFAULT 0,
+    dis       INTEGER NOT NULL DEFAULT 0,
+    vit       INTEGER NOT NULL DEFAULT 0,
+    wis       INTEGER NOT NULL DEFAULT 0,
+    endurance INTEGER NOT NULL DEFAULT 0
+  )`,
+  xp_log: `CREATE TABLE xp_log (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id    INTEGER NOT NULL DEFAULT 1,
+    date       TEXT    NOT NULL,
+    note       TEXT    NOT NULL,
+    xp         INTEGER NOT NULL,
+    created_at INTEGER NOT NULL DEFAULT (strftime('%s','now'))
+  )`,
+  daily_quests: `CREATE TABLE daily_quests (
+    user_id  INTEGER NOT NULL DEFAULT 1,
+    quest_id TEXT    NOT NULL,
+    status   TEXT    NOT NULL,
+    date     TEXT    NOT NULL,
+    xp       INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (user_id, quest_id, date)
+  )`,
+  quests: `CREATE TABLE quests (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id      INTEGER NOT NULL DEFAULT 1,
+    name         TEXT    NOT NULL,
+    tag          TEXT    NOT NULL CHECK (tag IN ('weekly','monthly','boss')),
+    xp           INTEGER NOT NULL DEFAULT 100,
+    status       TEXT    NOT NULL DEFAULT 'active' CHECK (status IN ('active','completed')),
+    created_at   INTEGER NOT NULL DEFAULT (unixepoch()),
+    completed_at INTEGER
+  )`,
+  map_cinematics: `CREATE TABLE map_cinematics (
+    user_id INTEGER NOT NULL DEFAULT 1,
+    region  TEXT    NOT NULL,
+    seen    INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (user_id, region)
+  )`,
+  map_gear: `CREATE TABLE map_gear (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    region     TEXT NOT NULL,
+    type       TEXT NOT NULL CHECK(type IN ('weapon','armour')),
+    name       TEXT NOT NULL,
+    unlock_lvl INTEGER NOT NULL
+  )`,
+  region_bosses: `CREATE TABLE region_bosses (
+    id        INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id   INTEGER NOT NULL DEFAULT 1,
+    region    TEXT    NOT NULL,
+    level_req INTEGER NOT NULL,
+    name      TEXT    NOT NULL,
+    subtitle  TEXT    NOT NULL DEFAULT '',
+    status    TEXT    NOT NULL DEFAULT 'locked' CHECK(status IN ('locked','active','defeated'))
+  )`,
+  books: `CREATE TABLE books (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id      INTEGER NOT NULL DEFAULT 1,
+    title        TEXT    NOT NULL,
+    status       TEXT    NOT NULL DEFAULT 'reading' CHECK(status IN ('reading','completed')),
+    started_at   TEXT    NOT NULL,
+    completed_at TEXT,
+    created_at   INTEGER NOT NULL DEFAULT (unixepoch())
+  )`,
+  reading_list: `CREATE TABLE reading_list (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id    INTEGER NOT NULL DEFAULT 1,
+    title      TEXT    NOT NULL,
+    created_at INTEGER NOT NULL DEFAULT (unixepoch())
+  )`,
+  quest_labels: `CREATE TABLE quest_labels (
+    user_id  INTEGER NOT NULL DEFAULT 1,
+    quest_id TEXT    NOT NULL,
+    label    TEXT    NOT NULL,
+    PRIMARY KEY (user_id, quest_id)
+  )`,
+};
+
+module.exports = {
+  detect: db => hasTable(db, 'users'),
+
+  up(db) {
+    if (hasTable(db, 'game_state') && !hasColumn(db, 'game_state', 'user_id')) convertSingleUser(db);
+    for (const [table, sql] of Object.entries(TABLES)) {
+      if (!hasTable(db, table)) db.exec(sql);
+    }
+    if (!db.prepare('SELECT 1 FROM map_gear').get()) {
+      const insertGear = db.prepare('INSERT INTO map_gear (region, type, name, unlock_lvl) VALUES (?, ?, ?, ?)');
+      GEAR.forEach(g => insertGear.run(g.region, g.type, g.name, g.unlock_lvl));
+    }
+  },
+};
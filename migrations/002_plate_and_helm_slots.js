@@ -0,0 +1,26 @@
+// Two more gear slots, plate and helm, and the first items for them
+const { hasTable } = require('./helpers');
+
+module.exports = {
+  detect: db => hasTable(db, 'map_gear')
+    && db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'map_gear'").get().sql.includes("'helm'")
+    && !!db.prepare("SELECT 1 FROM map_gear WHERE name = 'Ashburn Helm'").get(),
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE map_gear_new (
+        id         INTEGER PRIMARY KEY AUTOINCREMENT,
+        region     TEXT NOT NULL,
+        type       TEXT NOT NULL CHECK(type IN ('weapon','armour','plate','helm')),
+        name       TEXT NOT NULL,
+        unlock_lvl INTEGER NOT NULL
+      );
+      INSERT INTO map_gear_new SELECT * FROM map_gear;
+      DROP TABLE map_gear;
+      ALTER TABLE map_gear_new RENAME TO map_gear;
+    `);
+    const insertGear = db.prepare('INSERT INTO map_gear (region, type, name, unlock_lvl) VALUES (?, ?, ?, ?)');
+    insertGear.run('ashen', 'plate', "Ruinwalker's Plate", 3);
+    insertGear.run('ashen', 'helm', 'Ashburn Helm', 4);
+  },
+};
@@ -0,0 +1,45 @@
+// User-defined daily habits. Existing users get the seven daily quests the app
+// used to hardcode, under any names they gave them through quest_labels.
+const { hasTable } = require('./helpers');
+
+// `id` is the daily_quests.quest_id each one already logged under
+const HABITS = [
+  { id: 'calorie',  name: 'Calorie Goal',   icon: '🍽️', kind: 'habit', completed_xp: 100, failed_xp: 0,    stat_weights: { vit: 1, wis: 1, end: 1 } },
+  { id: 'macro',    name: 'Macro Goal',     icon: '🥩', kind: 'habit', completed_xp: 100, failed_xp: 0,    stat_weights: { vit: 1, wis: 1 }         },
+  { id: 'gym',      name: 'Gym Session',    icon: '🏋️', kind: 'habit', completed_xp: 100, failed_xp: 0,    stat_weights: { str: 1, wis: 1, end: 1 } },
+  { id: 'water',    name: 'Drink 3L Water', icon: '💧', kind: 'habit', completed_xp: 100, failed_xp: 0,    stat_weights: { vit: 1, wis: 1, end: 1 } },
+  { id: 'scroll',   name: 'Doomscrolling',  icon: '📱', kind: 'enemy', completed_xp: 100, failed_xp: 0,    stat_weights: { dis: 1, wis: 1 }         },
+  { id: 'junkfood', name: 'Junk Food',      icon: '🍔', kind: 'enemy', completed_xp: 0,   failed_xp: -100, stat_weights: { dis: 1, wis: 1 }         },
+  { id: 'alcohol',  name: 'Alcohol',        icon: '🍺', kind: 'enemy', completed_xp: 0,   failed_xp: -100, stat_weights: { dis: 1, wis: 1 }         },
+];
+
+module.exports = {
+  detect: db => hasTable(db, 'habits'),
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE habits (
+        user_id      INTEGER NOT NULL,
+        id           TEXT    NOT NULL,
+        name         TEXT    NOT NULL,
+        icon         TEXT    NOT NULL DEFAULT '⚔',
+        kind         TEXT    NOT NULL DEFAULT 'habit' CHECK(kind IN ('habit','enemy')),
+        completed_xp INTEGER NOT NULL DEFAULT 100,
+        failed_xp    INTEGER NOT NULL DEFAULT 0,
+        stat_weights TEXT    NOT NULL DEFAULT '{}',
+        sort_order   INTEGER NOT NULL DEFAULT 0,
+        archived     INTEGER NOT NULL DEFAULT 0,
+        created_at   INTEGER NOT NULL DEFAULT (unixepoch()),
+        PRIMARY KEY (user_id, id)
+      )
+    `);
+    const label = db.prepare('SELECT label FROM quest_labels WHERE user_id = ? AND quest_id = ?');
+    const insertHabit = db.prepare(`
+      INSERT INTO habits (user_id, id, name, icon, kind, completed_xp, failed_xp, stat_weights, sort_order)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    db.prepare('SELECT id FROM users').all().forEach(u => HABITS.forEach((h, i) => insertHabit.run(
+      u.id, h.id, label.get(u.id, h.id)?.label || h.name, h.icon, h.kind, h.completed_xp, h.failed_xp, JSON.stringify(h.stat_weights), i
+    )));
+  },
+};
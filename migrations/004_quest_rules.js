@@ -0,0 +1,21 @@
+// Machine-checkable quest rules, attached to the seeded quests that are still open
+const { hasColumn } = require('./helpers');
+
+const RULES = {
+  'Hit gym 5 days in a week':            { type: 'count', habit: 'gym', count: 5, window: 7 },
+  'All 5 habits in a single day':        { type: 'perfect_days', count: 1, window: 7 },
+  '7 days no doomscrolling':             { type: 'streak', habit: 'scroll', days: 7 },
+  'Hit calorie goal 20 days in a month': { type: 'count', habit: 'calorie', count: 20, window: 30 },
+  '10 perfect days in a single month':   { type: 'perfect_days', count: 10, window: 30 },
+  '30-day gym streak':                   { type: 'streak', habit: 'gym', days: 30 },
+};
+
+module.exports = {
+  detect: db => hasColumn(db, 'quests', 'rule'),
+
+  up(db) {
+    db.exec('ALTER TABLE quests ADD COLUMN rule TEXT');
+    const setRule = db.prepare("UPDATE quests SET rule = ? WHERE name = ? AND status = 'active'");
+    Object.entries(RULES).forEach(([name, rule]) => setRule.run(JSON.stringify(rule), name));
+  },
+};
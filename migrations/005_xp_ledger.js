@@ -0,0 +1,21 @@
+// xp_log becomes a permanent ledger: ISO dates plus where each entry came from
+const { hasColumn, legacyDay } = require('./helpers');
+
+module.exports = {
+  detect: db => hasColumn(db, 'xp_log', 'source'),
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE xp_log ADD COLUMN source TEXT NOT NULL DEFAULT 'manual' CHECK(source IN ('daily','quest','book','manual','admin'));
+      ALTER TABLE xp_log ADD COLUMN source_ref TEXT;
+      UPDATE xp_log SET source = 'daily' WHERE note LIKE 'Daily: %' OR note LIKE 'Penalty: %';
+      UPDATE xp_log SET source = 'quest' WHERE note LIKE 'Quest Complete: %' OR note LIKE 'Boss Defeated: %';
+      UPDATE xp_log SET source = 'book'  WHERE note LIKE 'Tome Completed: %';
+      CREATE INDEX IF NOT EXISTS idx_xp_log_user_date ON xp_log (user_id, date);
+    `);
+    // Old rows hold locale strings like "Oct 18" (no year)
+    const setDate = db.prepare('UPDATE xp_log SET date = ? WHERE id = ?');
+    db.prepare("SELECT id, date, created_at FROM xp_log WHERE date NOT GLOB '[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9]'").all()
+      .forEach(r => setDate.run(legacyDay(r.date, r.created_at), r.id));
+  },
+};
@@ -0,0 +1,10 @@
+// Per-user timezone for day boundaries
+const { hasColumn } = require('./helpers');
+
+module.exports = {
+  detect: db => hasColumn(db, 'users', 'timezone'),
+
+  up(db) {
+    db.exec("ALTER TABLE users ADD COLUMN timezone TEXT NOT NULL DEFAULT 'UTC'");
+  },
+};
@@ -0,0 +1,15 @@
+// Admin-editable game settings, starting with the level curve
+const { hasTable } = require('./helpers');
+
+module.exports = {
+  detect: db => hasTable(db, 'game_config'),
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE game_config (
+        key   TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      )
+    `);
+  },
+};
@@ -0,0 +1,50 @@
+// Per-user gear inventory with equip slots. Unlock conditions and stat
+// modifiers move onto the catalogue row, and players get every item their
+// XP had already earned.
+const { hasTable, hasColumn, levelAt } = require('./helpers');
+
+// An item unlocks at `unlock_xp` when set, otherwise on reaching its unlock_lvl
+const GEAR = {
+  'Rusted Iron Blade':      { unlock_xp: 3650, stat_mods: { str: 3 }          },
+  "Scavenger's Coat":       { unlock_xp: null, stat_mods: { end: 3 }          },
+  'Maasai War Spear':       { unlock_xp: null, stat_mods: { str: 6 }          },
+  "Warrior's Skins":        { unlock_xp: null, stat_mods: { end: 6 }          },
+  'Bioluminescent Fang':    { unlock_xp: null, stat_mods: { str: 9, dis: 3 }  },
+  'Temple Guardian Plate':  { unlock_xp: null, stat_mods: { vit: 9, end: 3 }  },
+  'Shadow Sovereign Blade': { unlock_xp: null, stat_mods: { str: 12, dis: 6 } },
+  "Void Emperor's Mantle":  { unlock_xp: null, stat_mods: { end: 12, wis: 6 } },
+  "Ruinwalker's Plate":     { unlock_xp: null, stat_mods: { vit: 3, end: 2 }  },
+  'Ashburn Helm':           { unlock_xp: null, stat_mods: { dis: 3, wis: 2 }  },
+};
+
+module.exports = {
+  detect: db => hasTable(db, 'user_gear') && hasColumn(db, 'map_gear', 'stat_mods'),
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE user_gear (
+        user_id     INTEGER NOT NULL,
+        gear_id     INTEGER NOT NULL,
+        acquired_at INTEGER NOT NULL DEFAULT (unixepoch()),
+        equipped    INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (user_id, gear_id)
+      );
+      ALTER TABLE map_gear ADD COLUMN unlock_xp INTEGER;
+      ALTER TABLE map_gear ADD COLUMN stat_mods TEXT NOT NULL DEFAULT '{}';
+    `);
+    const setGear = db.prepare('UPDATE map_gear SET unlock_xp = ?, stat_mods = ? WHERE name = ?');
+    Object.entries(GEAR).forEach(([name, g]) => setGear.run(g.unlock_xp, JSON.stringify(g.stat_mods), name));
+
+    // Earned items go straight into their slot when it is still empty
+    const gear = db.prepare('SELECT * FROM map_gear ORDER BY unlock_lvl ASC, id ASC').all();
+    const insertItem = db.prepare('INSERT INTO user_gear (user_id, gear_id, equipped) VALUES (?, ?, ?)');
+    db.prepare('SELECT user_id, total_xp FROM game_state').all().forEach(({ user_id, total_xp }) => {
+      const level = levelAt(db, total_xp);
+      const slots = new Set();
+      gear.filter(g => g.unlock_xp !== null ? total_xp >= g.unlock_xp : level >= g.unlock_lvl).forEach(g => {
+        insertItem.run(user_id, g.id, slots.has(g.type) ? 0 : 1);
+        slots.add(g.type);
+      });
+    });
+  },
+};
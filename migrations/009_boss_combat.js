@@ -0,0 +1,46 @@
+// Persistent boss HP, rewards and loot, and the log of every blow
+const { hasColumn } = require('./helpers');
+
+// Bosses that drop an item, by name
+const LOOT = {
+  'Lord of the Broken City': 'Maasai War Spear',
+  'The Crimson Sovereign':   'Bioluminescent Fang',
+  'The Verdant God':         'Shadow Sovereign Blade',
+};
+
+module.exports = {
+  detect: db => hasColumn(db, 'region_bosses', 'max_hp'),
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE boss_encounters (
+        id         INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id    INTEGER NOT NULL,
+        boss_id    INTEGER NOT NULL,
+        ref        TEXT,
+        kind       TEXT    NOT NULL CHECK(kind IN ('hit','heal','counter','undo','defeat')),
+        note       TEXT    NOT NULL,
+        hp_delta   INTEGER NOT NULL DEFAULT 0,
+        xp         INTEGER NOT NULL DEFAULT 0,
+        hp_after   INTEGER NOT NULL,
+        created_at INTEGER NOT NULL DEFAULT (unixepoch())
+      );
+      CREATE INDEX idx_boss_encounters_boss ON boss_encounters (user_id, boss_id);
+      ALTER TABLE region_bosses ADD COLUMN max_hp INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE region_bosses ADD COLUMN hp INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE region_bosses ADD COLUMN xp_reward INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE region_bosses ADD COLUMN loot_gear_id INTEGER;
+      ALTER TABLE region_bosses ADD COLUMN defeated_at INTEGER;
+    `);
+    // HP and XP reward scale with the level a boss guards
+    const setBoss = db.prepare(`
+      UPDATE region_bosses SET max_hp = ?, hp = CASE WHEN status = 'defeated' THEN 0 ELSE ? END, xp_reward = ?,
+        loot_gear_id = (SELECT id FROM map_gear WHERE name = ?)
+      WHERE id = ?
+    `);
+    db.prepare('SELECT id, name, level_req FROM region_bosses').all().forEach(b => {
+      const maxHp = 400 + 200 * b.level_req;
+      setBoss.run(maxHp, maxHp, 150 + 50 * b.level_req, LOOT[b.name] || null, b.id);
+    });
+  },
+};
@@ -0,0 +1,28 @@
+// Story chapters in the database, and which ones each player has read
+const { hasTable } = require('./helpers');
+
+module.exports = {
+  detect: db => hasTable(db, 'story_chapters'),
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE story_chapters (
+        key          TEXT    PRIMARY KEY,
+        region       TEXT    NOT NULL,
+        part         INTEGER NOT NULL,
+        title        TEXT    NOT NULL,
+        tag          TEXT    NOT NULL DEFAULT '',
+        unlock_type  TEXT    NOT NULL CHECK(unlock_type IN ('level','boss','quest')),
+        unlock_value TEXT    NOT NULL,
+        body         TEXT    NOT NULL,
+        epilogue     TEXT
+      );
+      CREATE TABLE story_reads (
+        user_id     INTEGER NOT NULL,
+        chapter_key TEXT    NOT NULL,
+        read_at     INTEGER NOT NULL DEFAULT (unixepoch()),
+        PRIMARY KEY (user_id, chapter_key)
+      );
+    `);
+  },
+};
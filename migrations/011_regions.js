@@ -0,0 +1,23 @@
+// World regions in the database instead of hardcoded per page
+const { hasTable } = require('./helpers');
+
+module.exports = {
+  detect: db => hasTable(db, 'regions'),
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE regions (
+        id         TEXT    PRIMARY KEY,
+        name       TEXT    NOT NULL,
+        subtitle   TEXT    NOT NULL DEFAULT '',
+        min_level  INTEGER NOT NULL,
+        max_level  INTEGER NOT NULL,
+        background TEXT,
+        quest_tag  TEXT,
+        lore       TEXT    NOT NULL DEFAULT '',
+        flavor     TEXT,
+        sort_order INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+  },
+};
@@ -0,0 +1,67 @@
+// Friends, follows, and parties with shared quests and a feed
+const { hasTable } = require('./helpers');
+
+module.exports = {
+  detect: db => hasTable(db, 'friendships'),
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE friendships (
+        requester_id INTEGER NOT NULL,
+        addressee_id INTEGER NOT NULL,
+        status       TEXT    NOT NULL DEFAULT 'pending' CHECK(status IN ('pending','accepted')),
+        created_at   INTEGER NOT NULL DEFAULT (unixepoch()),
+        responded_at INTEGER,
+        PRIMARY KEY (requester_id, addressee_id)
+      );
+      CREATE TABLE follows (
+        follower_id INTEGER NOT NULL,
+        followee_id INTEGER NOT NULL,
+        created_at  INTEGER NOT NULL DEFAULT (unixepoch()),
+        PRIMARY KEY (follower_id, followee_id)
+      );
+      CREATE TABLE parties (
+        id         INTEGER PRIMARY KEY AUTOINCREMENT,
+        name       TEXT    NOT NULL,
+        leader_id  INTEGER NOT NULL,
+        created_at INTEGER NOT NULL DEFAULT (unixepoch())
+      );
+      CREATE TABLE party_members (
+        party_id  INTEGER NOT NULL,
+        user_id   INTEGER NOT NULL UNIQUE,
+        joined_at INTEGER NOT NULL DEFAULT (unixepoch()),
+        PRIMARY KEY (party_id, user_id)
+      );
+      CREATE TABLE party_invites (
+        party_id   INTEGER NOT NULL,
+        user_id    INTEGER NOT NULL,
+        invited_by INTEGER NOT NULL,
+        created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+        PRIMARY KEY (party_id, user_id)
+      );
+      CREATE TABLE party_quests (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        party_id     INTEGER NOT NULL,
+        name         TEXT    NOT NULL,
+        habit_id     TEXT    NOT NULL,
+        target       INTEGER NOT NULL,
+        xp           INTEGER NOT NULL DEFAULT 0,
+        starts_on    TEXT    NOT NULL,
+        ends_on      TEXT    NOT NULL,
+        status       TEXT    NOT NULL DEFAULT 'active' CHECK(status IN ('active','completed','expired')),
+        created_by   INTEGER NOT NULL,
+        created_at   INTEGER NOT NULL DEFAULT (unixepoch()),
+        completed_at INTEGER
+      );
+      CREATE TABLE party_feed (
+        id         INTEGER PRIMARY KEY AUTOINCREMENT,
+        party_id   INTEGER NOT NULL,
+        user_id    INTEGER,
+        kind       TEXT    NOT NULL CHECK(kind IN ('level_up','boss_defeated','quest_completed','joined','left')),
+        message    TEXT    NOT NULL,
+        created_at INTEGER NOT NULL DEFAULT (unixepoch())
+      );
+      CREATE INDEX idx_party_feed_party ON party_feed(party_id, id);
+    `);
+  },
+};
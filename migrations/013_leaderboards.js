@@ -0,0 +1,23 @@
+// Leaderboard snapshots, and how each player appears on them
+const { hasColumn } = require('./helpers');
+
+module.exports = {
+  detect: db => hasColumn(db, 'users', 'display_name'),
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE leaderboard_snapshots (
+        board       TEXT    NOT NULL,
+        user_id     INTEGER NOT NULL,
+        score       INTEGER NOT NULL,
+        total_xp    INTEGER NOT NULL,
+        computed_at INTEGER NOT NULL,
+        PRIMARY KEY (board, user_id)
+      );
+      CREATE INDEX idx_leaderboard_score ON leaderboard_snapshots(board, score DESC);
+      ALTER TABLE users ADD COLUMN display_name TEXT;
+      ALTER TABLE users ADD COLUMN leaderboard_visibility TEXT NOT NULL DEFAULT 'public'
+        CHECK(leaderboard_visibility IN ('public','friends','hidden'));
+    `);
+  },
+};
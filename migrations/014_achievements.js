@@ -0,0 +1,25 @@
+// Achievement definitions and the ones each player has earned
+const { hasTable } = require('./helpers');
+
+module.exports = {
+  detect: db => hasTable(db, 'achievements'),
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE achievements (
+        id          TEXT    PRIMARY KEY,
+        name        TEXT    NOT NULL,
+        description TEXT    NOT NULL,
+        icon        TEXT    NOT NULL DEFAULT '🏅',
+        rule        TEXT    NOT NULL,
+        sort_order  INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE TABLE user_achievements (
+        user_id        INTEGER NOT NULL,
+        achievement_id TEXT    NOT NULL,
+        awarded_at     INTEGER NOT NULL DEFAULT (unixepoch()),
+        PRIMARY KEY (user_id, achievement_id)
+      );
+    `);
+  },
+};
@@ -0,0 +1,47 @@
+// Books gain authors, page progress, ratings and DNF, and ISO dates instead
+// of display strings. The status CHECK changes, so the table is rebuilt.
+const { hasColumn, legacyDay } = require('./helpers');
+
+module.exports = {
+  detect: db => hasColumn(db, 'books', 'current_page'),
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE books RENAME TO books_old;
+      CREATE TABLE books (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id      INTEGER NOT NULL DEFAULT 1,
+        title        TEXT    NOT NULL,
+        author       TEXT,
+        pages        INTEGER,
+        current_page INTEGER NOT NULL DEFAULT 0,
+        status       TEXT    NOT NULL DEFAULT 'reading' CHECK(status IN ('reading','completed','abandoned')),
+        started_at   TEXT    NOT NULL,
+        completed_at TEXT,
+        rating       INTEGER CHECK(rating BETWEEN 1 AND 5),
+        notes        TEXT,
+        created_at   INTEGER NOT NULL DEFAULT (unixepoch())
+      );
+      INSERT INTO books (id, user_id, title, status, started_at, completed_at, created_at)
+        SELECT id, user_id, title, status, started_at, completed_at, created_at FROM books_old;
+      DROP TABLE books_old;
+      CREATE TABLE book_progress (
+        id         INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id    INTEGER NOT NULL,
+        book_id    INTEGER NOT NULL,
+        date       TEXT    NOT NULL,
+        from_page  INTEGER NOT NULL,
+        to_page    INTEGER NOT NULL,
+        xp         INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL DEFAULT (unixepoch())
+      );
+      CREATE INDEX idx_book_progress_user_date ON book_progress(user_id, date);
+      ALTER TABLE reading_list ADD COLUMN author TEXT;
+      ALTER TABLE reading_list ADD COLUMN pages INTEGER;
+    `);
+    const setDates = db.prepare('UPDATE books SET started_at = ?, completed_at = ? WHERE id = ?');
+    db.prepare('SELECT id, started_at, completed_at, created_at FROM books').all().forEach(b => setDates.run(
+      legacyDay(b.started_at, b.created_at), b.completed_at === null ? null : legacyDay(b.completed_at, b.created_at), b.id
+    ));
+  },
+};
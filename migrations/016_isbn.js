@@ -0,0 +1,16 @@
+// ISBNs, and the key that lets a shelf import recognise books it already brought in
+const { hasColumn } = require('./helpers');
+
+module.exports = {
+  detect: db => hasColumn(db, 'books', 'external_key'),
+
+  up(db) {
+    for (const table of ['books', 'reading_list']) {
+      db.exec(`
+        ALTER TABLE ${table} ADD COLUMN isbn TEXT;
+        ALTER TABLE ${table} ADD COLUMN external_key TEXT;
+        CREATE INDEX idx_${table}_external_key ON ${table} (user_id, external_key);
+      `);
+    }
+  },
+};
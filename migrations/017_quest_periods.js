@@ -0,0 +1,63 @@
+// Weekly and monthly quests run in calendar periods, fail when one ends and
+// recur. Adds 'failed' to the status CHECK, so the table is rebuilt.
+const { hasColumn } = require('./helpers');
+
+// YYYY-MM-DD of an instant as seen in timezone `tz`
+function dayInZone(tz, date) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// The calendar week (Monday first) or month containing a day
+function calendarPeriod(tag, day) {
+  const [y, m, d] = day.split('-').map(Number);
+  if (tag === 'weekly') {
+    const dow = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+    const start = new Date(Date.UTC(y, m - 1, d - (dow + 6) % 7));
+    const end   = new Date(Date.UTC(y, m - 1, d - (dow + 6) % 7 + 6));
+    return [start.toISOString().slice(0, 10), end.toISOString().slice(0, 10)];
+  }
+  const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return [day.slice(0, 8) + '01', day.slice(0, 8) + String(last).padStart(2, '0')];
+}
+
+module.exports = {
+  detect: db => hasColumn(db, 'quests', 'ends_on'),
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE quests RENAME TO quests_old;
+      CREATE TABLE quests (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id      INTEGER NOT NULL DEFAULT 1,
+        name         TEXT    NOT NULL,
+        tag          TEXT    NOT NULL CHECK (tag IN ('weekly','monthly','boss')),
+        xp           INTEGER NOT NULL DEFAULT 100,
+        status       TEXT    NOT NULL DEFAULT 'active' CHECK (status IN ('active','completed','failed')),
+        created_at   INTEGER NOT NULL DEFAULT (unixepoch()),
+        completed_at INTEGER,
+        rule         TEXT,
+        starts_on    TEXT,
+        ends_on      TEXT,
+        penalty      INTEGER NOT NULL DEFAULT 0,
+        recurring    INTEGER NOT NULL DEFAULT 0,
+        series_id    INTEGER
+      );
+      INSERT INTO quests (id, user_id, name, tag, xp, status, created_at, completed_at, rule, recurring)
+        SELECT id, user_id, name, tag, xp, status, created_at, completed_at, rule, tag != 'boss' FROM quests_old;
+      DROP TABLE quests_old;
+    `);
+    // Open quests get the current period, finished ones the period they closed in
+    const setPeriod = db.prepare('UPDATE quests SET starts_on = ?, ends_on = ? WHERE id = ?');
+    db.prepare(`
+      SELECT q.id, q.tag, q.status, q.created_at, q.completed_at, COALESCE(u.timezone, 'UTC') as timezone
+      FROM quests q LEFT JOIN users u ON u.id = q.user_id
+      WHERE q.tag != 'boss'
+    `).all().forEach(q => {
+      const when = q.status === 'active' ? new Date() : new Date((q.completed_at ?? q.created_at) * 1000);
+      setPeriod.run(...calendarPeriod(q.tag, dayInZone(q.timezone, when)), q.id);
+    });
+  },
+};
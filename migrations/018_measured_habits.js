@@ -0,0 +1,18 @@
+// Measured habits, whose days log a value that decides completed/failed
+const { hasColumn } = require('./helpers');
+
+module.exports = {
+  detect: db => hasColumn(db, 'habits', 'target'),
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE habits ADD COLUMN unit TEXT;
+      ALTER TABLE habits ADD COLUMN target REAL;
+      ALTER TABLE habits ADD COLUMN comparison TEXT NOT NULL DEFAULT 'at_least' CHECK(comparison IN ('at_least','at_most'));
+      ALTER TABLE habits ADD COLUMN partial_xp INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE daily_quests ADD COLUMN value REAL;
+    `);
+    // The water habit always had a measure in its name
+    db.prepare("UPDATE habits SET unit = 'L', target = 3, partial_xp = 1 WHERE id = 'water' AND name = 'Drink 3L Water'").run();
+  },
+};
@@ -0,0 +1,51 @@
+// Body metrics, and the seeded goals that measure against them
+const { hasTable } = require('./helpers');
+
+const METRICS = [
+  { id: 'weight',       name: 'Body Weight',  unit: 'lbs',    direction: 'lower'  },
+  { id: 'run_distance', name: 'Run Distance', unit: 'mi',     direction: 'higher' },
+  { id: 'run_pace',     name: 'Run Pace',     unit: 'min/mi', direction: 'lower'  },
+  { id: 'bench',        name: 'Bench Press',  unit: 'lbs',    direction: 'higher' },
+  { id: 'squat',        name: 'Squat',        unit: 'lbs',    direction: 'higher' },
+  { id: 'deadlift',     name: 'Deadlift',     unit: 'lbs',    direction: 'higher' },
+];
+
+const RULES = {
+  'Get back to a 5-mile run':    { type: 'metric', metric: 'run_distance', target: 5, comparison: 'at_least' },
+  'Lose 10 lbs (reach 210 lbs)': { type: 'metric', metric: 'weight', target: 210, comparison: 'at_most' },
+};
+
+module.exports = {
+  detect: db => hasTable(db, 'metrics'),
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE metrics (
+        user_id    INTEGER NOT NULL,
+        id         TEXT    NOT NULL,
+        name       TEXT    NOT NULL,
+        unit       TEXT    NOT NULL DEFAULT '',
+        direction  TEXT    NOT NULL DEFAULT 'higher' CHECK(direction IN ('higher','lower')),
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        archived   INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+        PRIMARY KEY (user_id, id)
+      );
+      CREATE TABLE metric_entries (
+        id         INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id    INTEGER NOT NULL,
+        metric_id  TEXT    NOT NULL,
+        date       TEXT    NOT NULL,
+        value      REAL    NOT NULL,
+        note       TEXT,
+        created_at INTEGER NOT NULL DEFAULT (unixepoch())
+      );
+      CREATE INDEX idx_metric_entries_user_metric ON metric_entries(user_id, metric_id, date);
+    `);
+    const insertMetric = db.prepare('INSERT INTO metrics (user_id, id, name, unit, direction, sort_order) VALUES (?, ?, ?, ?, ?, ?)');
+    db.prepare('SELECT id FROM users').all().forEach(u =>
+      METRICS.forEach((m, i) => insertMetric.run(u.id, m.id, m.name, m.unit, m.direction, i)));
+    const setRule = db.prepare("UPDATE quests SET rule = ? WHERE name = ? AND status = 'active' AND rule IS NULL");
+    Object.entries(RULES).forEach(([name, rule]) => setRule.run(JSON.stringify(rule), name));
+  },
+};
@@ -0,0 +1,86 @@
+// Admin console: disabled accounts, an audit log of every admin action, and
+// the content new accounts are seeded from (boss line-up, default quests)
+// moved out of the code into tables admins can edit.
+
+// Each boss's HP and XP reward scaled with the level it guards; `loot` names
+// the map_gear item it drops
+const BOSSES = [
+  { region: 'ashen',   level_req: 1,  name: 'The Scavenger King',        subtitle: 'Lord of the Rubble'          },
+  { region: 'ashen',   level_req: 2,  name: 'Warden of the Rust',        subtitle: 'Keeper of the Dead Quarter'  },
+  { region: 'ashen',   level_req: 3,  name: 'The Ash Revenant',          subtitle: 'Risen from the Grey'         },
+  { region: 'ashen',   level_req: 4,  name: 'The Industrial Phantom',    subtitle: 'Ghost of the Smokestacks'    },
+  { region: 'ashen',   level_req: 5,  name: 'Lord of the Broken City',   subtitle: 'Final Warden of the Ash',     loot: 'Maasai War Spear'       },
+  { region: 'savanna', level_req: 6,  name: 'The Red Dust Herald',       subtitle: 'Harbinger of the Plains'     },
+  { region: 'savanna', level_req: 7,  name: 'The Elder Horned',          subtitle: 'Ancient Beast of the Herd'  },
+  { region: 'savanna', level_req: 8,  name: 'Warlord of the Red Stone',  subtitle: 'Champion of the Kingdom'     },
+  { region: 'savanna', level_req: 9,  name: 'The Twilight Stalker',      subtitle: 'Predator at Dusk'            },
+  { region: 'savanna', level_req: 10, name: 'The Crimson Sovereign',     subtitle: 'High King of the Savanna',    loot: 'Bioluminescent Fang'    },
+  { region: 'abyss',   level_req: 11, name: 'The Root Warden',           subtitle: 'First Guardian of the Deep'  },
+  { region: 'abyss',   level_req: 12, name: 'The Bioluminescent Horror', subtitle: 'Ancient of the Canopy'       },
+  { region: 'abyss',   level_req: 13, name: 'Temple Construct',          subtitle: 'Stone Golem of the Ancients' },
+  { region: 'abyss',   level_req: 14, name: 'The Venomweaver',           subtitle: 'Silk Empress of the Abyss'   },
+  { region: 'abyss',   level_req: 15, name: 'The Verdant God',           subtitle: 'Awakened Heart of the Jungle', loot: 'Shadow Sovereign Blade' },
+  { region: 'throne',  level_req: 16, name: 'The Void Sentinel',         subtitle: 'First Gate of the Throne'    },
+  { region: 'throne',  level_req: 17, name: 'The Fractured Knight',      subtitle: 'Broken Champion of the Void' },
+  { region: 'throne',  level_req: 18, name: 'The Echo of All Realms',    subtitle: 'Memory Given Form'           },
+  { region: 'throne',  level_req: 19, name: 'The Undying Emperor',       subtitle: 'He Who Would Not Fall'       },
+  { region: 'throne',  level_req: 20, name: 'The Shadow Self',           subtitle: 'Final Boss — Your True Enemy'},
+];
+
+const QUESTS = [
+  { name: 'Hit gym 5 days in a week',              tag: 'weekly',  xp: 200,  rule: { type: 'count', habit: 'gym', count: 5, window: 7 }      },
+  { name: 'All 5 habits in a single day',          tag: 'weekly',  xp: 150,  rule: { type: 'perfect_days', count: 1, window: 7 }             },
+  { name: '7 days no doomscrolling',               tag: 'weekly',  xp: 200,  rule: { type: 'streak', habit: 'scroll', days: 7 }              },
+  { name: 'Hit calorie goal 20 days in a month',   tag: 'monthly', xp: 400,  rule: { type: 'count', habit: 'calorie', count: 20, window: 30 } },
+  { name: '10 perfect days in a single month',     tag: 'boss',    xp: 600,  rule: { type: 'perfect_days', count: 10, window: 30 }           },
+  { name: 'Finish a book',                         tag: 'monthly', xp: 200  },
+  { name: 'Complete a course or certification',    tag: 'monthly', xp: 300  },
+  { name: 'Secure a job offer',                    tag: 'boss',    xp: 1000 },
+  { name: 'Get back to a 5-mile run',              tag: 'weekly',  xp: 300,  rule: { type: 'metric', metric: 'run_distance', target: 5, comparison: 'at_least' } },
+  { name: '30-day gym streak',                     tag: 'boss',    xp: 800,  rule: { type: 'streak', habit: 'gym', days: 30 }                },
+  { name: 'Lose 10 lbs (reach 210 lbs)',           tag: 'monthly', xp: 500,  rule: { type: 'metric', metric: 'weight', target: 210, comparison: 'at_most' } },
+];
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE users ADD COLUMN disabled_at INTEGER;
+      CREATE TABLE admin_audit (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        admin_id    INTEGER NOT NULL,
+        action      TEXT    NOT NULL,
+        target_type TEXT,
+        target_id   TEXT,
+        details     TEXT    NOT NULL DEFAULT '{}',
+        created_at  INTEGER NOT NULL DEFAULT (unixepoch())
+      );
+      CREATE TABLE boss_templates (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        region       TEXT    NOT NULL,
+        level_req    INTEGER NOT NULL UNIQUE,
+        name         TEXT    NOT NULL,
+        subtitle     TEXT    NOT NULL DEFAULT '',
+        max_hp       INTEGER NOT NULL,
+        xp_reward    INTEGER NOT NULL,
+        loot_gear_id INTEGER
+      );
+      CREATE TABLE quest_seeds (
+        id         INTEGER PRIMARY KEY AUTOINCREMENT,
+        name       TEXT    NOT NULL,
+        tag        TEXT    NOT NULL CHECK (tag IN ('weekly','monthly','boss')),
+        xp         INTEGER NOT NULL DEFAULT 100,
+        rule       TEXT,
+        penalty    INTEGER NOT NULL DEFAULT 0,
+        recurring  INTEGER NOT NULL DEFAULT 0,
+        sort_order INTEGER NOT NULL DEFAULT 0
+      );
+    `);
+    const insertBoss = db.prepare(`
+      INSERT INTO boss_templates (region, level_req, name, subtitle, max_hp, xp_reward, loot_gear_id)
+      VALUES (?, ?, ?, ?, ?, ?, (SELECT id FROM map_gear WHERE name = ?))
+    `);
+    BOSSES.forEach(b => insertBoss.run(b.region, b.level_req, b.name, b.subtitle, 400 + 200 * b.level_req, 150 + 50 * b.level_req, b.loot || null));
+    const insertQuest = db.prepare('INSERT INTO quest_seeds (name, tag, xp, rule, recurring, sort_order) VALUES (?, ?, ?, ?, ?, ?)');
+    QUESTS.forEach((q, i) => insertQuest.run(q.name, q.tag, q.xp, q.rule ? JSON.stringify(q.rule) : null, q.tag === 'boss' ? 0 : 1, i));
+  },
+};
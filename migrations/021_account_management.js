@@ -0,0 +1,20 @@
+// Account management: an optional email address for account mail, and
+// single-use password reset tokens (stored hashed) that admins issue.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE users ADD COLUMN email TEXT;
+      CREATE TABLE password_resets (
+        id         INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id    INTEGER NOT NULL,
+        token_hash TEXT    NOT NULL UNIQUE,
+        created_by INTEGER,
+        created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+        expires_at INTEGER NOT NULL,
+        used_at    INTEGER
+      );
+      CREATE INDEX idx_password_resets_user ON password_resets(user_id);
+    `);
+  },
+};
@@ -0,0 +1,40 @@
+// Login hardening: failed-login counters for rate limiting and lockout, and
+// metadata on each session so users can see and revoke where they're logged in.
+// The sessions table used to be created by the session store, so it may exist already.
+const { hasTable, hasColumn } = require('./helpers');
+
+const SESSION_COLUMNS = {
+  created_at: 'INTEGER',
+  last_seen:  'INTEGER',
+  user_agent: 'TEXT',
+  ip:         'TEXT',
+};
+
+module.exports = {
+  up(db) {
+    if (!hasTable(db, 'sessions')) {
+      db.exec(`
+        CREATE TABLE sessions (
+          sid     TEXT PRIMARY KEY,
+          sess    TEXT NOT NULL,
+          expired INTEGER NOT NULL
+        )
+      `);
+    }
+    for (const [column, type] of Object.entries(SESSION_COLUMNS)) {
+      if (!hasColumn(db, 'sessions', column)) db.exec(`ALTER TABLE sessions ADD COLUMN ${column} ${type}`);
+    }
+    // Sessions from before this have no history; start them from now
+    db.exec('UPDATE sessions SET created_at = unixepoch(), last_seen = unixepoch() WHERE created_at IS NULL');
+    db.exec(`
+      CREATE TABLE login_throttle (
+        scope        TEXT    NOT NULL CHECK(scope IN ('ip','user')),
+        key          TEXT    NOT NULL,
+        failures     INTEGER NOT NULL DEFAULT 0,
+        window_start INTEGER NOT NULL,
+        locked_until INTEGER,
+        PRIMARY KEY (scope, key)
+      )
+    `);
+  },
+};
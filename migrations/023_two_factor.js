@@ -0,0 +1,22 @@
+// Optional TOTP two-factor authentication. totp_secret is set when enrolment
+// starts and only counts once totp_enabled_at is; totp_last_step is the time
+// step of the last accepted code, so a code can't be used twice. Recovery
+// codes are stored hashed and crossed off as they're used.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE users ADD COLUMN totp_secret TEXT;
+      ALTER TABLE users ADD COLUMN totp_enabled_at INTEGER;
+      ALTER TABLE users ADD COLUMN totp_last_step INTEGER;
+      CREATE TABLE recovery_codes (
+        id         INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id    INTEGER NOT NULL,
+        code_hash  TEXT    NOT NULL,
+        created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+        used_at    INTEGER
+      );
+      CREATE INDEX idx_recovery_codes_user ON recovery_codes(user_id);
+    `);
+  },
+};
@@ -0,0 +1,28 @@
+// The default metric quests ("Get back to a 5-mile run", "Lose 10 lbs") are
+// long-term goals, but were seeded as weekly and monthly quests: they failed
+// when their period ended and never came back. They become boss quests, which
+// have no period and don't recur, as seeds and for the players who have them.
+// A goal that already lapsed is opened again.
+
+const METRIC_RULE = "json_extract(rule, '$.type') = 'metric'";
+const GOALS = `${METRIC_RULE} AND name IN (SELECT name FROM quest_seeds WHERE ${METRIC_RULE})`;
+
+module.exports = {
+  up(db) {
+    // Goal series whose newest occurrence failed and none was ever completed
+    const lapsed = db.prepare(`
+      SELECT MAX(id) as id FROM quests WHERE ${GOALS}
+      GROUP BY user_id, COALESCE(series_id, id)
+      HAVING SUM(status = 'completed') = 0 AND SUM(status = 'active') = 0
+    `).all();
+    db.exec(`
+      UPDATE quests SET tag = 'boss', recurring = 0, starts_on = NULL, ends_on = NULL
+      WHERE ${GOALS} AND status = 'active';
+      UPDATE quest_seeds SET tag = 'boss', recurring = 0 WHERE ${METRIC_RULE};
+    `);
+    const reopen = db.prepare(`
+      UPDATE quests SET tag = 'boss', recurring = 0, status = 'active', starts_on = NULL, ends_on = NULL WHERE id = ?
+    `);
+    lapsed.forEach(q => reopen.run(q.id));
+  },
+};
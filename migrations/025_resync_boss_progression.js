@@ -0,0 +1,30 @@
+// Bosses now open and lock with the player's level as it stands, but that only
+// happened on an XP change, so existing players kept whatever state the old
+// rules left them in. Each player's undefeated bosses (and any gear their XP
+// has earned) are brought in line with their level once, here.
+const { levelAt } = require('./helpers');
+
+module.exports = {
+  up(db) {
+    const setStatus = db.prepare(`
+      UPDATE region_bosses SET status = CASE WHEN level_req <= ? THEN 'active' ELSE 'locked' END
+      WHERE user_id = ? AND status != 'defeated'
+    `);
+    const gear = db.prepare('SELECT * FROM map_gear ORDER BY unlock_lvl ASC, id ASC').all();
+    const owned = db.prepare('SELECT 1 FROM user_gear WHERE user_id = ? AND gear_id = ?');
+    const slotFilled = db.prepare(`
+      SELECT 1 FROM user_gear ug JOIN map_gear g ON g.id = ug.gear_id
+      WHERE ug.user_id = ? AND ug.equipped = 1 AND g.type = ?
+    `);
+    const insertItem = db.prepare('INSERT INTO user_gear (user_id, gear_id, equipped) VALUES (?, ?, ?)');
+
+    db.prepare('SELECT user_id, total_xp FROM game_state').all().forEach(({ user_id, total_xp }) => {
+      const level = levelAt(db, total_xp);
+      setStatus.run(level, user_id);
+      gear.filter(g => g.unlock_xp !== null ? total_xp >= g.unlock_xp : level >= g.unlock_lvl).forEach(g => {
+        if (owned.get(user_id, g.id)) return;
+        insertItem.run(user_id, g.id, slotFilled.get(user_id, g.type) ? 0 : 1);
+      });
+    });
+  },
+};
@@ -0,0 +1,42 @@
+// Shared by the migrations. A migration has to keep doing exactly what it did
+// when it was written, so it never reaches into server.js: anything it needs
+// from the app (seed data, date handling) is copied here or into the file itself.
+
+function hasTable(db, table) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+}
+
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+// YYYY-MM-DD for a Date, read in the server's local time
+function isoDay(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// YYYY-MM-DD for an old display date ("Oct 18, 2026", or "Oct 18" with the year
+// taken from the row's created_at), falling back to the day the row was created
+function legacyDay(str, createdAt) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) return str;
+  const created = new Date(createdAt * 1000);
+  const hasYear = /\d{4}/.test(str);
+  const d = new Date(hasYear ? str : `${str}, ${created.getFullYear()}`);
+  if (isNaN(d)) return isoDay(created);
+  // "Dec 31" logged on Jan 1 belongs to the previous year
+  if (!hasYear && d - created > 86400000) d.setFullYear(d.getFullYear() - 1);
+  return isoDay(d);
+}
+
+// Level for an XP total on the admin's curve, or the default one: 7300 XP to
+// level 2, then a level every 6000 (prestige levels continue at the same rate)
+function levelAt(db, xp) {
+  const row = db.prepare("SELECT value FROM game_config WHERE key = 'progression'").get();
+  if (!row) return xp < 7300 ? 1 : 2 + Math.floor((xp - 7300) / 6000);
+  const { levels, prestige } = JSON.parse(row.value);
+  const top = levels[levels.length - 1];
+  if (xp >= top.xp) return top.level + (prestige.xpPerLevel ? Math.floor((xp - top.xp) / prestige.xpPerLevel) : 0);
+  return levels.filter(l => xp >= l.xp).pop().level;
+}
+
+module.exports = { hasTable, hasColumn, legacyDay, levelAt };
@@ -0,0 +1,104 @@
+// Versioned schema migrations. Each file in this directory named NNN_name.js
+// exports { up(db) } and runs once, inside its own transaction;
+// schema_migrations records which versions a database has.
+//
+// Migrations 001-019 also export detect(db), for databases created before
+// versioning, when initDb patched the schema at every boot: the first time
+// such a database meets the runner, the leading migrations whose changes are
+// already present are recorded as applied (adopted) instead of being run.
+
+const fs = require('fs');
+const path = require('path');
+const { DatabaseSync } = require('node:sqlite');
+const { hasTable } = require('./helpers');
+
+const MIGRATIONS = fs.readdirSync(__dirname)
+  .filter(f => /^\d{3}_\w+\.js$/.test(f))
+  .sort()
+  .map(file => ({ version: parseInt(file, 10), name: file.slice(4, -3), ...require(path.join(__dirname, file)) }));
+
+const LATEST_VERSION = MIGRATIONS.length ? MIGRATIONS[MIGRATIONS.length - 1].version : 0;
+
+function appliedVersions(db) {
+  if (!hasTable(db, 'schema_migrations')) return new Map();
+  return new Map(db.prepare('SELECT version, applied_at, adopted FROM schema_migrations').all()
+    .map(r => [r.version, r]));
+}
+
+function currentVersion(db) {
+  return Math.max(0, ...appliedVersions(db).keys());
+}
+
+// Every known migration with when (if ever) it was applied
+function migrationStatus(db) {
+  const applied = appliedVersions(db);
+  return MIGRATIONS.map(m => {
+    const row = applied.get(m.version);
+    return { version: m.version, name: m.name, applied_at: row ? row.applied_at : null, adopted: row ? row.adopted === 1 : false };
+  });
+}
+
+function createMigrationsTable(db) {
+  const adopt = !hasTable(db, 'schema_migrations');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    INTEGER PRIMARY KEY,
+      name       TEXT    NOT NULL,
+      applied_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      adopted    INTEGER NOT NULL DEFAULT 0
+    )
+  `);
+  if (!adopt) return [];
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, adopted) VALUES (?, ?, 1)');
+  const adopted = [];
+  for (const m of MIGRATIONS) {
+    if (!m.detect || !m.detect(db)) break;
+    record.run(m.version, m.name);
+    adopted.push(m);
+  }
+  return adopted;
+}
+
+// Apply pending migrations in order, up to and including version `to`.
+// A migration that throws is rolled back and stops the run.
+// Returns { adopted, applied }, lists of the migrations each step touched.
+function migrate(db, { to = LATEST_VERSION, log = () => {} } = {}) {
+  if (!Number.isInteger(to) || to < 0 || to > LATEST_VERSION) throw new Error(`Unknown schema version ${to}`);
+  const adopted = createMigrationsTable(db);
+  adopted.forEach(m => log(`adopted ${formatMigration(m)}`));
+
+  const done = appliedVersions(db);
+  const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+  const applied = [];
+  for (const m of MIGRATIONS) {
+    if (m.version > to) break;
+    if (done.has(m.version)) continue;
+    db.exec('BEGIN');
+    try {
+      m.up(db);
+      record.run(m.version, m.name);
+      db.exec('COMMIT');
+    } catch (e) {
+      db.exec('ROLLBACK');
+      throw new Error(`Migration ${formatMigration(m)} failed: ${e.message}`);
+    }
+    log(`applied ${formatMigration(m)}`);
+    applied.push(m);
+  }
+  return { adopted, applied };
+}
+
+// Open (creating if needed) a database migrated to `version`, latest by
+// default. Tests can ask for ':memory:' at any version to exercise a migration.
+function openDatabase(file = ':memory:', { version = LATEST_VERSION, log } = {}) {
+  const db = new DatabaseSync(file);
+  if (file !== ':memory:') db.exec('PRAGMA journal_mode = WAL');
+  migrate(db, { to: version, log });
+  return db;
+}
+
+function formatMigration(m) {
+  return `${String(m.version).padStart(3, '0')}_${m.name}`;
+}
+
+module.exports = { MIGRATIONS, LATEST_VERSION, currentVersion, migrationStatus, migrate, openDatabase, formatMigration };
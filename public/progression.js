@@ -0,0 +1,60 @@
+// Level curve, classes and prestige levels, served by GET /api/progression.
+// Pages call loadProgression() once before using the helpers below.
+
+let PROGRESSION = null;
+
+async function loadProgression() {
+  const res = await fetch('/api/progression');
+  if (!res.ok) throw new Error('Failed to load progression');
+  PROGRESSION = await res.json();
+  return PROGRESSION;
+}
+
+// Entry for any level; levels past the table are prestige levels
+function levelEntry(level) {
+  const { levels, prestige } = PROGRESSION;
+  const top = levels[levels.length - 1];
+  if (level <= top.level) return levels[Math.max(1, level) - 1];
+  if (!prestige.xpPerLevel) return null;
+  const rank = level - top.level;
+  return {
+    level,
+    xp:       top.xp + rank * prestige.xpPerLevel,
+    title:    `${prestige.title} ${rank}`,
+    class:    top.class,
+    icon:     prestige.icon,
+    prestige: rank,
+  };
+}
+
+function xpToLevel(xp) {
+  const { levels, prestige } = PROGRESSION;
+  const top = levels[levels.length - 1];
+  if (xp >= top.xp) return top.level + (prestige.xpPerLevel ? Math.floor((xp - top.xp) / prestige.xpPerLevel) : 0);
+  for (let i = levels.length - 1; i >= 0; i--) {
+    if (xp >= levels[i].xp) return levels[i].level;
+  }
+  return 1;
+}
+
+function getLevelData(xp) { return levelEntry(xpToLevel(xp)); }
+
+// null once the curve is capped (prestige disabled)
+function getNextLevel(xp) { return levelEntry(xpToLevel(xp) + 1); }
+
+function getCurrentClass(level) {
+  let cls = PROGRESSION.classes[0];
+  for (const c of PROGRESSION.classes) {
+    if (level >= c.unlockLevel) cls = c;
+    else break;
+  }
+  return cls;
+}
+
+// Percentage of the way from the start of `level` to the next one
+function levelProgressPct(xp, level) {
+  const start = levelEntry(level);
+  const end   = levelEntry(level + 1);
+  if (!start || !end) return 100;
+  return Math.max(0, Math.min(100, Math.round((xp - start.xp) / (end.xp - start.xp) * 100)));
+}
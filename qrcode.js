@@ -0,0 +1,283 @@
+// A small QR code encoder (ISO/IEC 18004), enough to show an otpauth:// URI
+// as an SVG without any outside service: byte mode, error correction level M,
+// versions 1–10 (up to 213 bytes).
+
+// Level M block structure per version: EC codewords per block, then
+// [block count, data codewords per block] for each group
+const VERSIONS = [
+  null,
+  { ec: 10, groups: [[1, 16]] },
+  { ec: 16, groups: [[1, 28]] },
+  { ec: 26, groups: [[1, 44]] },
+  { ec: 18, groups: [[2, 32]] },
+  { ec: 24, groups: [[2, 43]] },
+  { ec: 16, groups: [[4, 27]] },
+  { ec: 18, groups: [[4, 31]] },
+  { ec: 22, groups: [[2, 38], [2, 39]] },
+  { ec: 22, groups: [[3, 36], [2, 37]] },
+  { ec: 26, groups: [[4, 43], [1, 44]] },
+];
+
+const ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+
+const FORMAT_BITS_M = 0;
+
+function dataCapacity(version) {
+  return VERSIONS[version].groups.reduce((sum, [count, size]) => sum + count * size, 0);
+}
+
+// ── Reed-Solomon over GF(256), polynomial 0x11D ──
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 2);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+// ── Codewords ──
+
+function encodeData(bytes, version) {
+  const bits = [];
+  const push = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+  push(0b0100, 4);                                // byte mode
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(b => push(b, 8));
+
+  const capacityBits = dataCapacity(version) * 8;
+  push(0, Math.min(4, capacityBits - bits.length)); // terminator
+  push(0, (8 - bits.length % 8) % 8);
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+  for (let pad = 0xec; codewords.length < capacityBits / 8; pad ^= 0xec ^ 0x11) codewords.push(pad);
+  return codewords;
+}
+
+// Split into blocks, add error correction to each, then interleave
+function addErrorCorrection(data, version) {
+  const { ec, groups } = VERSIONS[version];
+  const divisor = rsDivisor(ec);
+  const blocks  = [];
+  let offset = 0;
+  for (const [count, size] of groups) {
+    for (let i = 0; i < count; i++) {
+      const block = data.slice(offset, offset + size);
+      offset += size;
+      blocks.push({ data: block, ec: rsRemainder(block, divisor) });
+    }
+  }
+  const result  = [];
+  const longest = Math.max(...blocks.map(b => b.data.length));
+  for (let i = 0; i < longest; i++) blocks.forEach(b => { if (i < b.data.length) result.push(b.data[i]); });
+  for (let i = 0; i < ec; i++) blocks.forEach(b => result.push(b.ec[i]));
+  return result;
+}
+
+// ── Module grid ──
+
+class Grid {
+  constructor(version) {
+    this.version  = version;
+    this.size     = version * 4 + 17;
+    this.modules  = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  set(x, y, dark) {
+    this.modules[y][x]  = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.set(6, i, i % 2 === 0);
+      this.set(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx, y = cy + dy;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) this.set(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+    const positions = ALIGNMENT[this.version];
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => positions.forEach((cy, j) => {
+      // Skip the three corners taken by finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) this.set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+    this.drawFormat(0); // reserves the area; redrawn once the mask is chosen
+    this.drawVersion();
+  }
+
+  drawFormat(mask) {
+    const { size } = this;
+    const data = (FORMAT_BITS_M << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit  = i => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) this.set(8, i, bit(i));
+    this.set(8, 7, bit(6));
+    this.set(8, 8, bit(7));
+    this.set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) this.set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.set(8, size - 15 + i, bit(i));
+    this.set(8, size - 8, true); // the dark module
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+    let rem = this.version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (this.version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = this.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.set(a, b, dark);
+      this.set(b, a, dark);
+    }
+  }
+
+  // Codewords go in two-module columns, zigzagging up and down from the bottom right
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+          if (!this.reserved[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    const test = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x, y) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+      (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+      (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+    ][mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && test(x, y)) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  // The standard's penalty score; the mask with the lowest wins
+  penalty() {
+    const { size, modules } = this;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+    const finderLike = [/10111010000/g, /00001011101/g];
+    for (const line of lines) {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) { run++; continue; }
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+      const str = line.map(m => (m ? 1 : 0)).join('');
+      finderLike.forEach(re => { score += (str.match(re) || []).length * 40; });
+    }
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const m = modules[y][x];
+          if (m === modules[y][x + 1] && m === modules[y + 1][x] && m === modules[y + 1][x + 1]) score += 3;
+        }
+      }
+    }
+    score += Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5) * 10;
+    return score;
+  }
+}
+
+// The module grid (true = dark) for `text`
+function qrMatrix(text) {
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+  let version = 1;
+  while (version < VERSIONS.length && dataCapacity(version) < bytes.length + (version < 10 ? 2 : 3)) version++;
+  if (version >= VERSIONS.length) throw new Error('Text too long for a QR code');
+
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+  let best = null;
+  for (let mask = 0; mask < 8; mask++) {
+    const grid = new Grid(version);
+    grid.drawFunctionPatterns();
+    grid.drawCodewords(codewords);
+    grid.applyMask(mask);
+    grid.drawFormat(mask);
+    const score = grid.penalty();
+    if (!best || score < best.score) best = { grid, score };
+  }
+  return best.grid.modules;
+}
+
+// An SVG of the code for `text`, with the standard four-module quiet zone
+function qrSvg(text, { moduleSize = 4 } = {}) {
+  const modules = qrMatrix(text);
+  const border  = 4;
+  const dim     = modules.length + border * 2;
+  const path    = [];
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) path.push(`M${x + border},${y + border}h1v1h-1z`);
+  }));
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" width="${dim * moduleSize}" height="${dim * moduleSize}" shape-rendering="crispEdges">`
+    + `<rect width="100%" height="100%" fill="#fff"/><path fill="#000" d="${path.join('')}"/></svg>`;
+}
+
+module.exports = { qrMatrix, qrSvg };
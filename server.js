@@ -2,26 +2,51 @@ const express = require('express');
 const path = require('path');
 const { DatabaseSync } = require('node:sqlite');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const session = require('express-session');
+const { STORY_SEEDS } = require('./story');
+const { normalizeIsbn, isbnProvider } = require('./isbn');
+const { mailTransport } = require('./mailer');
+const { generateSecret, verifyTotp, provisioningUri, base32Encode } = require('./totp');
+const { qrSvg } = require('./qrcode');
+const { migrate } = require('./migrations');
 
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'solo_leveling.db');
 const app = express();
-app.set('trust proxy', 1);
+
+// Only believe X-Forwarded-For when running behind a proxy that sets it, or
+// anyone could pick the IP that login throttling counts against. TRUST_PROXY is
+// the number of proxies in front (e.g. 1) or the addresses to trust, such as
+// 'loopback' or '10.0.0.0/8'.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+const PRODUCTION = process.env.NODE_ENV === 'production';
+
+// A guessable secret lets anyone forge a session cookie
+const DEV_SESSION_SECRET = 'ferro-animus-dev-secret';
+if (!process.env.SESSION_SECRET || process.env.SESSION_SECRET === DEV_SESSION_SECRET) {
+  if (PRODUCTION) {
+    console.error('SESSION_SECRET must be set to a long random string when NODE_ENV=production. Refusing to start.');
+    process.exit(1);
+  }
+  console.warn('SESSION_SECRET is not set; using the development secret. Never do this in production.');
+}
 
 const db = new DatabaseSync(DB_PATH);
 db.exec('PRAGMA journal_mode = WAL');
+// The schema lives in migrations/ (see migrations/index.js). It comes first:
+// the session store below already needs its table.
+migrate(db, { log: msg => console.log(`Migration ${msg}`) });
 
+// Sessions are rows of JSON plus metadata for the session list: created_at,
+// last_seen, user_agent and ip (the last three kept up to date by trackSession)
 class SQLiteStore extends session.Store {
   constructor(database) {
     super();
     this.db = database;
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS sessions (
-        sid     TEXT PRIMARY KEY,
-        sess    TEXT NOT NULL,
-        expired INTEGER NOT NULL
-      )
-    `);
     setInterval(() => {
       this.db.prepare('DELETE FROM sessions WHERE expired < ?').run(Math.floor(Date.now() / 1000));
     }, 15 * 60 * 1000).unref();
@@ -36,7 +61,10 @@ class SQLiteStore extends session.Store {
   set(sid, sess, cb) {
     try {
       const ttl = sess.cookie && sess.cookie.maxAge ? Math.floor(sess.cookie.maxAge / 1000) : 86400;
-      this.db.prepare('INSERT OR REPLACE INTO sessions (sid, sess, expired) VALUES (?, ?, ?)').run(sid, JSON.stringify(sess), Math.floor(Date.now() / 1000) + ttl);
+      this.db.prepare(`
+        INSERT INTO sessions (sid, sess, expired, created_at, last_seen) VALUES (?, ?, ?, unixepoch(), unixepoch())
+        ON CONFLICT(sid) DO UPDATE SET sess = excluded.sess, expired = excluded.expired
+      `).run(sid, JSON.stringify(sess), Math.floor(Date.now() / 1000) + ttl);
       cb(null);
     } catch (e) { cb(e); }
   }
@@ -48,15 +76,20 @@ class SQLiteStore extends session.Store {
   }
 }
 
+// Archives and shelf exports can be far larger than regular request bodies
+app.use('/api/import', express.json({ limit: '25mb' }));
+app.use('/api/books/import', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }));
 app.use(express.json());
 app.use(session({
   store: new SQLiteStore(db),
-  secret: process.env.SESSION_SECRET || 'ferro-animus-dev-secret',
+  secret: process.env.SESSION_SECRET || DEV_SESSION_SECRET,
   resave: false,
   saveUninitialized: false,
-  cookie: { maxAge: 7 * 24 * 60 * 60 * 1000 } // 7 days
+  cookie: { maxAge: 7 * 24 * 60 * 60 * 1000, sameSite: 'lax', secure: 'auto' } // 7 days
 }));
 
+app.use(trackSession);
+
 // ── Auth middleware ────────────────────────────────────────────────────────────
 function requireLogin(req, res, next) {
   if (!req.session.userId) return res.status(401).json({ error: 'Not logged in' });
@@ -70,6 +103,21 @@ function requireLoginPage(req, res, next) {
 
 function requireAdmin(req, res, next) {
   if (!req.session.isAdmin) return res.status(403).json({ error: 'Forbidden' });
+  if (adminNeedsTwoFactor(req.session.userId)) {
+    return res.status(403).json({ error: 'Set up two-factor authentication to use admin tools', twoFactorRequired: true });
+  }
+  next();
+}
+
+// Record when and from where each logged-in session was last used. At most
+// once a minute, so ordinary requests don't all turn into writes.
+function trackSession(req, res, next) {
+  if (req.session.userId) {
+    db.prepare(`
+      UPDATE sessions SET last_seen = unixepoch(), user_agent = ?, ip = ?
+      WHERE sid = ? AND (user_agent IS NULL OR last_seen < unixepoch() - 60)
+    `).run(String(req.get('user-agent') || '').slice(0, 300), req.ip || null, req.sessionID);
+  }
   next();
 }
 
@@ -80,18 +128,30 @@ app.get('/', requireLoginPage, (req, res) => {
 app.get('/map', requireLoginPage, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'map.html'));
 });
-app.get('/ashen', requireLoginPage, (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'ashen.html'));
+app.get('/region/:name', requireLoginPage, (req, res) => {
+  if (!getRegion(req.params.name)) return res.redirect('/map');
+  res.sendFile(path.join(__dirname, 'public', 'region.html'));
 });
+app.get('/ashen', (req, res) => res.redirect(301, '/region/ashen'));
 app.get('/story', requireLoginPage, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'story.html'));
 });
 app.get('/library', requireLoginPage, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'library.html'));
 });
-app.get('/admin', requireLoginPage, requireAdmin, (req, res) => {
+app.get('/metrics', requireLoginPage, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'metrics.html'));
+});
+app.get('/admin', requireLoginPage, (req, res, next) => {
+  // Admins who still owe a second factor are sent to set one up
+  if (req.session.isAdmin && adminNeedsTwoFactor(req.session.userId)) return res.redirect('/account');
+  next();
+}, requireAdmin, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'admin.html'));
 });
+app.get('/account', requireLoginPage, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'account.html'));
+});
 
 // Auth pages — redirect to / if already logged in
 app.get('/login', (req, res) => {
@@ -102,6 +162,10 @@ app.get('/register', (req, res) => {
   if (req.session.userId) return res.redirect('/');
   res.sendFile(path.join(__dirname, 'public', 'register.html'));
 });
+// Reached from an emailed link, logged in or not
+app.get('/reset-password', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'reset-password.html'));
+});
 app.get('/welcome', requireLoginPage, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'welcome.html'));
 });
@@ -113,158 +177,76 @@ app.get('/community', requireLoginPage, (req, res) => {
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ── Init DB ───────────────────────────────────────────────────────────────────
+// With the schema migrated at startup (top of file), this syncs the catalogues
+// that are matched by key.
 function initDb() {
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS users (
-      id            INTEGER PRIMARY KEY AUTOINCREMENT,
-      username      TEXT UNIQUE NOT NULL,
-      password_hash TEXT NOT NULL,
-      created_at    INTEGER DEFAULT (unixepoch()),
-      is_admin      INTEGER DEFAULT 0
-    );
-    CREATE TABLE IF NOT EXISTS game_state (
-      user_id  INTEGER PRIMARY KEY,
-      total_xp INTEGER NOT NULL DEFAULT 0
-    );
-    CREATE TABLE IF NOT EXISTS stats (
-      user_id   INTEGER PRIMARY KEY,
-      str       INTEGER NOT NULL DEFAULT 0,
-      dis       INTEGER NOT NULL DEFAULT 0,
-      vit       INTEGER NOT NULL DEFAULT 0,
-      wis       INTEGER NOT NULL DEFAULT 0,
-      endurance INTEGER NOT NULL DEFAULT 0
-    );
-    CREATE TABLE IF NOT EXISTS xp_log (
-      id         INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id    INTEGER NOT NULL DEFAULT 1,
-      date       TEXT    NOT NULL,
-      note       TEXT    NOT NULL,
-      xp         INTEGER NOT NULL,
-      created_at INTEGER NOT NULL DEFAULT (strftime('%s','now'))
-    );
-    CREATE TABLE IF NOT EXISTS daily_quests (
-      user_id  INTEGER NOT NULL DEFAULT 1,
-      quest_id TEXT    NOT NULL,
-      status   TEXT    NOT NULL,
-      date     TEXT    NOT NULL,
-      xp       INTEGER NOT NULL DEFAULT 0,
-      PRIMARY KEY (user_id, quest_id, date)
-    );
-    CREATE TABLE IF NOT EXISTS quests (
-      id           INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id      INTEGER NOT NULL DEFAULT 1,
-      name         TEXT    NOT NULL,
-      tag          TEXT    NOT NULL CHECK (tag IN ('weekly','monthly','boss')),
-      xp           INTEGER NOT NULL DEFAULT 100,
-      status       TEXT    NOT NULL DEFAULT 'active' CHECK (status IN ('active','completed')),
-      created_at   INTEGER NOT NULL DEFAULT (unixepoch()),
-      completed_at INTEGER
-    );
-    CREATE TABLE IF NOT EXISTS map_cinematics (
-      user_id INTEGER NOT NULL DEFAULT 1,
-      region  TEXT    NOT NULL,
-      seen    INTEGER NOT NULL DEFAULT 0,
-      PRIMARY KEY (user_id, region)
-    );
-    CREATE TABLE IF NOT EXISTS map_gear (
-      id         INTEGER PRIMARY KEY AUTOINCREMENT,
-      region     TEXT NOT NULL,
-      type       TEXT NOT NULL CHECK(type IN ('weapon','armour','plate','helm')),
-      name       TEXT NOT NULL,
-      unlock_lvl INTEGER NOT NULL
-    );
-    CREATE TABLE IF NOT EXISTS region_bosses (
-      id        INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id   INTEGER NOT NULL DEFAULT 1,
-      region    TEXT    NOT NULL,
-      level_req INTEGER NOT NULL,
-      name      TEXT    NOT NULL,
-      subtitle  TEXT    NOT NULL DEFAULT '',
-      status    TEXT    NOT NULL DEFAULT 'locked' CHECK(status IN ('locked','active','defeated'))
-    );
-    CREATE TABLE IF NOT EXISTS books (
-      id           INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id      INTEGER NOT NULL DEFAULT 1,
-      title        TEXT    NOT NULL,
-      status       TEXT    NOT NULL DEFAULT 'reading' CHECK(status IN ('reading','completed')),
-      started_at   TEXT    NOT NULL,
-      completed_at TEXT,
-      created_at   INTEGER NOT NULL DEFAULT (unixepoch())
-    );
-    CREATE TABLE IF NOT EXISTS reading_list (
-      id         INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id    INTEGER NOT NULL DEFAULT 1,
-      title      TEXT    NOT NULL,
-      created_at INTEGER NOT NULL DEFAULT (unixepoch())
-    );
-    CREATE TABLE IF NOT EXISTS quest_labels (
-      user_id  INTEGER NOT NULL DEFAULT 1,
-      quest_id TEXT    NOT NULL,
-      label    TEXT    NOT NULL,
-      PRIMARY KEY (user_id, quest_id)
-    );
+  // Regions are matched by id, like story chapters below
+  const insertRegion = db.prepare(`
+    INSERT OR IGNORE INTO regions (id, name, subtitle, min_level, max_level, background, quest_tag, lore, flavor, sort_order)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
+  REGION_SEEDS.forEach((r, i) => insertRegion.run(
+    r.id, r.name, r.subtitle, r.min_level, r.max_level, r.background, r.quest_tag, r.lore, r.flavor, i
+  ));
+
+  // Story chapters are matched by key, so new seeds arrive without touching edited ones
+  const insertChapter = db.prepare(`
+    INSERT OR IGNORE INTO story_chapters (key, region, part, title, tag, unlock_type, unlock_value, body, epilogue)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  STORY_SEEDS.forEach(c => insertChapter.run(
+    c.key, c.region, c.part, c.title, c.tag, c.unlock_type, c.unlock_value, c.body.trim(), c.epilogue ? c.epilogue.trim() : null
+  ));
+
+  // Achievements too, by id
+  const insertAchievement = db.prepare(
+    'INSERT OR IGNORE INTO achievements (id, name, description, icon, rule, sort_order) VALUES (?, ?, ?, ?, ?, ?)'
+  );
+  ACHIEVEMENT_SEEDS.forEach((a, i) => insertAchievement.run(a.id, a.name, a.description, a.icon, JSON.stringify(a.rule), i));
+}
 
-  // Seed global gear if empty
-  const gearCount = db.prepare('SELECT COUNT(*) as cnt FROM map_gear').get();
-  if (Number(gearCount.cnt) === 0) {
-    const gearSeeds = [
-      { region: 'ashen',   type: 'weapon', name: 'Rusted Iron Blade',      unlock_lvl: 1  },
-      { region: 'ashen',   type: 'armour', name: "Scavenger's Coat",       unlock_lvl: 2  },
-      { region: 'savanna', type: 'weapon', name: 'Maasai War Spear',       unlock_lvl: 6  },
-      { region: 'savanna', type: 'armour', name: "Warrior's Skins",        unlock_lvl: 6  },
-      { region: 'abyss',   type: 'weapon', name: 'Bioluminescent Fang',    unlock_lvl: 11 },
-      { region: 'abyss',   type: 'armour', name: 'Temple Guardian Plate',  unlock_lvl: 11 },
-      { region: 'throne',  type: 'weapon', name: 'Shadow Sovereign Blade', unlock_lvl: 16 },
-      { region: 'throne',  type: 'armour', name: "Void Emperor's Mantle",  unlock_lvl: 16 },
-    ];
-    const insertGear = db.prepare('INSERT INTO map_gear (region, type, name, unlock_lvl) VALUES (?, ?, ?, ?)');
-    gearSeeds.forEach(g => insertGear.run(g.region, g.type, g.name, g.unlock_lvl));
-  }
-
-  // One-time password reset via env var (remove RESET_PW after use)
-  if (process.env.RESET_PW) {
-    const hash = require('bcrypt').hashSync(process.env.RESET_PW, 12);
-    const samUser = db.prepare("SELECT id FROM users WHERE username = 'Sam'").get();
-    if (samUser) {
-      db.prepare("UPDATE users SET password_hash = ? WHERE username = 'Sam'").run(hash);
-      // Seed game data if missing (e.g. user was created without seeding)
-      const gs = db.prepare('SELECT user_id FROM game_state WHERE user_id = ?').get(samUser.id);
-      if (!gs) seedUserData(Number(samUser.id));
-      console.log('Password reset for Sam');
-    } else {
-      const result = db.prepare("INSERT INTO users (username, password_hash, is_admin) VALUES ('Sam', ?, 1)").run(hash);
-      seedUserData(Number(result.lastInsertRowid));
-      console.log('Sam user created and seeded');
-    }
-  }
-
-  // Migrations: update map_gear CHECK constraint to allow 'plate' and 'helm' types
-  const gearTableSql = db.prepare("SELECT sql FROM sqlite_master WHERE type='table' AND name='map_gear'").get();
-  if (gearTableSql && gearTableSql.sql && !gearTableSql.sql.includes("'helm'")) {
-    db.exec(`
-      CREATE TABLE map_gear_new (
-        id         INTEGER PRIMARY KEY AUTOINCREMENT,
-        region     TEXT NOT NULL,
-        type       TEXT NOT NULL CHECK(type IN ('weapon','armour','plate','helm')),
-        name       TEXT NOT NULL,
-        unlock_lvl INTEGER NOT NULL
-      );
-      INSERT INTO map_gear_new SELECT * FROM map_gear;
-      DROP TABLE map_gear;
-      ALTER TABLE map_gear_new RENAME TO map_gear;
-    `);
-  }
+// Default daily habits. `id` doubles as daily_quests.quest_id, so these must
+// never change or existing history loses its habit.
+const HABIT_SEEDS = [
+  { id: 'calorie',  name: 'Calorie Goal',   icon: '🍽️', kind: 'habit', completed_xp: 100, failed_xp: 0,    stat_weights: { vit: 1, wis: 1, end: 1 } },
+  { id: 'macro',    name: 'Macro Goal',     icon: '🥩', kind: 'habit', completed_xp: 100, failed_xp: 0,    stat_weights: { vit: 1, wis: 1 }         },
+  { id: 'gym',      name: 'Gym Session',    icon: '🏋️', kind: 'habit', completed_xp: 100, failed_xp: 0,    stat_weights: { str: 1, wis: 1, end: 1 } },
+  { id: 'water',    name: 'Drink 3L Water', icon: '💧', kind: 'habit', completed_xp: 100, failed_xp: 0,    stat_weights: { vit: 1, wis: 1, end: 1 },
+    unit: 'L', target: 3, partial_xp: 1 },
+  { id: 'scroll',   name: 'Doomscrolling',  icon: '📱', kind: 'enemy', completed_xp: 100, failed_xp: 0,    stat_weights: { dis: 1, wis: 1 }         },
+  { id: 'junkfood', name: 'Junk Food',      icon: '🍔', kind: 'enemy', completed_xp: 0,   failed_xp: -100, stat_weights: { dis: 1, wis: 1 }         },
+  { id: 'alcohol',  name: 'Alcohol',        icon: '🍺', kind: 'enemy', completed_xp: 0,   failed_xp: -100, stat_weights: { dis: 1, wis: 1 }         },
+];
+
+// Default body metrics. `direction` is which way counts as progress.
+const METRIC_SEEDS = [
+  { id: 'weight',       name: 'Body Weight',  unit: 'lbs',    direction: 'lower'  },
+  { id: 'run_distance', name: 'Run Distance', unit: 'mi',     direction: 'higher' },
+  { id: 'run_pace',     name: 'Run Pace',     unit: 'min/mi', direction: 'lower'  },
+  { id: 'bench',        name: 'Bench Press',  unit: 'lbs',    direction: 'higher' },
+  { id: 'squat',        name: 'Squat',        unit: 'lbs',    direction: 'higher' },
+  { id: 'deadlift',     name: 'Deadlift',     unit: 'lbs',    direction: 'higher' },
+];
+
+function seedMetrics(userId) {
+  const insertMetric = db.prepare('INSERT OR IGNORE INTO metrics (user_id, id, name, unit, direction, sort_order) VALUES (?, ?, ?, ?, ?, ?)');
+  METRIC_SEEDS.forEach((m, i) => insertMetric.run(userId, m.id, m.name, m.unit, m.direction, i));
+}
 
-  // Migrations: add new gear items if not already present
-  const ruinwalker = db.prepare("SELECT id FROM map_gear WHERE name = 'Ruinwalker''s Plate'").get();
-  if (!ruinwalker) {
-    db.prepare('INSERT INTO map_gear (region, type, name, unlock_lvl) VALUES (?, ?, ?, ?)').run('ashen', 'plate', "Ruinwalker's Plate", 3);
-  }
-  const ashburnHelm = db.prepare("SELECT id FROM map_gear WHERE name = 'Ashburn Helm'").get();
-  if (!ashburnHelm) {
-    db.prepare('INSERT INTO map_gear (region, type, name, unlock_lvl) VALUES (?, ?, ?, ?)').run('ashen', 'helm', 'Ashburn Helm', 4);
-  }
+// Seed the default habits, carrying over any names the user set through quest_labels
+function seedHabits(userId) {
+  const labels = {};
+  db.prepare('SELECT quest_id, label FROM quest_labels WHERE user_id = ?').all(userId)
+    .forEach(r => { labels[r.quest_id] = r.label; });
+  const insertHabit = db.prepare(`
+    INSERT OR IGNORE INTO habits (user_id, id, name, icon, kind, completed_xp, failed_xp, stat_weights, sort_order,
+                                  unit, target, partial_xp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  HABIT_SEEDS.forEach((h, i) => insertHabit.run(
+    userId, h.id, labels[h.id] || h.name, h.icon, h.kind, h.completed_xp, h.failed_xp, JSON.stringify(h.stat_weights), i,
+    h.unit || null, h.target ?? null, h.partial_xp || 0
+  ));
 }
 
 // ── Seed fresh data for a new user ────────────────────────────────────────────
@@ -272,490 +254,2724 @@ function seedUserData(userId) {
   db.prepare('INSERT OR IGNORE INTO game_state (user_id, total_xp) VALUES (?, 0)').run(userId);
   db.prepare('INSERT OR IGNORE INTO stats (user_id, str, dis, vit, wis, endurance) VALUES (?, 0, 0, 0, 0, 0)').run(userId);
 
-  // map_cinematics
+  // map_cinematics: every region past the starting one plays an intro once
   const insertCinematic = db.prepare('INSERT OR IGNORE INTO map_cinematics (user_id, region, seen) VALUES (?, ?, 0)');
-  ['savanna', 'abyss', 'throne'].forEach(region => insertCinematic.run(userId, region));
-
-  // quest_labels
-  const labelSeeds = [
-    ['calorie',  'Calorie Goal'],
-    ['macro',    'Macro Goal'],
-    ['gym',      'Gym Session'],
-    ['water',    'Drink 3L Water'],
-    ['scroll',   'Doomscrolling'],
-    ['junkfood', 'Junk Food'],
-    ['alcohol',  'Alcohol'],
-  ];
-  const insertLabel = db.prepare('INSERT OR IGNORE INTO quest_labels (user_id, quest_id, label) VALUES (?, ?, ?)');
-  labelSeeds.forEach(([qid, label]) => insertLabel.run(userId, qid, label));
-
-  // Default quests (only if user has none)
+  db.prepare('SELECT id FROM regions WHERE min_level > 1').all().forEach(r => insertCinematic.run(userId, r.id));
+
+  // Daily habits and body metrics
+  seedHabits(userId);
+  seedMetrics(userId);
+
+  // Default quests (only if user has none), as admins have set them up
   const qCount = db.prepare('SELECT COUNT(*) as cnt FROM quests WHERE user_id = ?').get(userId);
   if (Number(qCount.cnt) === 0) {
-    const questSeeds = [
-      { name: 'Hit gym 5 days in a week',              tag: 'weekly',  xp: 200  },
-      { name: 'All 5 habits in a single day',          tag: 'weekly',  xp: 150  },
-      { name: '7 days no doomscrolling',               tag: 'weekly',  xp: 200  },
-      { name: 'Hit calorie goal 20 days in a month',   tag: 'monthly', xp: 400  },
-      { name: '10 perfect days in a single month',     tag: 'boss',    xp: 600  },
-      { name: 'Finish a book',                         tag: 'monthly', xp: 200  },
-      { name: 'Complete a course or certification',    tag: 'monthly', xp: 300  },
-      { name: 'Secure a job offer',                    tag: 'boss',    xp: 1000 },
-      { name: 'Get back to a 5-mile run',              tag: 'weekly',  xp: 300  },
-      { name: '30-day gym streak',                     tag: 'boss',    xp: 800  },
-      { name: 'Lose 10 lbs (reach 210 lbs)',           tag: 'monthly', xp: 500  },
-    ];
-    const insertQuest = db.prepare('INSERT INTO quests (user_id, name, tag, xp) VALUES (?, ?, ?, ?)');
-    questSeeds.forEach(q => insertQuest.run(userId, q.name, q.tag, q.xp));
-  }
-
-  // Region bosses (only if user has none)
+    db.prepare('SELECT * FROM quest_seeds ORDER BY sort_order, id').all().forEach(q => insertQuest(userId, {
+      name: q.name, tag: q.tag, xp: q.xp, rule: q.rule, penalty: q.penalty, recurring: q.recurring === 1,
+    }));
+  }
+
+  // Region bosses from the templates (only if user has none)
   const bossCount = db.prepare('SELECT COUNT(*) as cnt FROM region_bosses WHERE user_id = ?').get(userId);
   if (Number(bossCount.cnt) === 0) {
-    const bossSeeds = [
-      { region: 'ashen',   level_req: 1,  name: 'The Scavenger King',        subtitle: 'Lord of the Rubble'          },
-      { region: 'ashen',   level_req: 2,  name: 'Warden of the Rust',        subtitle: 'Keeper of the Dead Quarter'  },
-      { region: 'ashen',   level_req: 3,  name: 'The Ash Revenant',          subtitle: 'Risen from the Grey'         },
-      { region: 'ashen',   level_req: 4,  name: 'The Industrial Phantom',    subtitle: 'Ghost of the Smokestacks'    },
-      { region: 'ashen',   level_req: 5,  name: 'Lord of the Broken City',   subtitle: 'Final Warden of the Ash'    },
-      { region: 'savanna', level_req: 6,  name: 'The Red Dust Herald',       subtitle: 'Harbinger of the Plains'     },
-      { region: 'savanna', level_req: 7,  name: 'The Elder Horned',          subtitle: 'Ancient Beast of the Herd'  },
-      { region: 'savanna', level_req: 8,  name: 'Warlord of the Red Stone',  subtitle: 'Champion of the Kingdom'     },
-      { region: 'savanna', level_req: 9,  name: 'The Twilight Stalker',      subtitle: 'Predator at Dusk'            },
-      { region: 'savanna', level_req: 10, name: 'The Crimson Sovereign',     subtitle: 'High King of the Savanna'    },
-      { region: 'abyss',   level_req: 11, name: 'The Root Warden',           subtitle: 'First Guardian of the Deep'  },
-      { region: 'abyss',   level_req: 12, name: 'The Bioluminescent Horror', subtitle: 'Ancient of the Canopy'       },
-      { region: 'abyss',   level_req: 13, name: 'Temple Construct',          subtitle: 'Stone Golem of the Ancients' },
-      { region: 'abyss',   level_req: 14, name: 'The Venomweaver',           subtitle: 'Silk Empress of the Abyss'   },
-      { region: 'abyss',   level_req: 15, name: 'The Verdant God',           subtitle: 'Awakened Heart of the Jungle'},
-      { region: 'throne',  level_req: 16, name: 'The Void Sentinel',         subtitle: 'First Gate of the Throne'    },
-      { region: 'throne',  level_req: 17, name: 'The Fractured Knight',      subtitle: 'Broken Champion of the Void' },
-      { region: 'throne',  level_req: 18, name: 'The Echo of All Realms',    subtitle: 'Memory Given Form'           },
-      { region: 'throne',  level_req: 19, name: 'The Undying Emperor',       subtitle: 'He Who Would Not Fall'       },
-      { region: 'throne',  level_req: 20, name: 'The Shadow Self',           subtitle: 'Final Boss — Your True Enemy'},
-    ];
-    const insertBoss = db.prepare(
-      'INSERT INTO region_bosses (user_id, region, level_req, name, subtitle, status) VALUES (?, ?, ?, ?, ?, ?)'
-    );
-    bossSeeds.forEach(b => insertBoss.run(userId, b.region, b.level_req, b.name, b.subtitle, b.level_req === 1 ? 'active' : 'locked'));
+    db.prepare(`
+      INSERT INTO region_bosses (user_id, region, level_req, name, subtitle, status, max_hp, hp, xp_reward, loot_gear_id)
+      SELECT ?, region, level_req, name, subtitle, CASE WHEN level_req = 1 THEN 'active' ELSE 'locked' END,
+             max_hp, max_hp, xp_reward, loot_gear_id
+      FROM boss_templates ORDER BY level_req
+    `).run(userId);
   }
 }
 
+// World regions. `quest_tag` picks which quests a region page lists; `flavor`
+// is the one-liner shown on its intro cinematic and page header.
+const REGION_SEEDS = [
+  { id: 'ashen', name: 'The Ashen City', subtitle: 'DLC I', min_level: 1, max_level: 5,
+    background: '/ashen-city.png', quest_tag: 'weekly',
+    lore: 'Once the industrial heart of the old world, the Ashen City now lies fractured beneath a permanent grey shroud. Its towering smokestacks have gone cold, its streets littered with the remnants of a civilisation that burned itself to nothing. But in the ruins, something still smoulders — a single ember that refuses to go out, a hunter who walks where others have fallen.',
+    flavor: 'In the ruins, something still smoulders — a single ember that refuses to go out.' },
+  { id: 'savanna', name: 'The Crimson Savanna', subtitle: 'DLC II', min_level: 6, max_level: 10,
+    background: '/savanna.png', quest_tag: 'weekly',
+    lore: 'Beyond the ashen ruins the earth turns red. An ancient warrior kingdom once ruled these vast plains from a city of red stone and fire. Their rites of passage demanded blood and iron. Their warriors knew no retreat. Their legacy still breathes in the wind.',
+    flavor: 'The plains call to those who proved themselves in ash...' },
+  { id: 'abyss', name: 'The Verdant Abyss', subtitle: 'DLC III', min_level: 11, max_level: 15,
+    background: '/abyss.png', quest_tag: 'monthly',
+    lore: 'Where the savanna ends the earth cracks open and the jungle swallows everything whole. Ancient temples sink slowly beneath centuries of growth. Bioluminescent creatures pulse in the darkness below the canopy. Those who enter seldom return unchanged.',
+    flavor: 'The jungle stirs. Ancient eyes turn toward you...' },
+  { id: 'throne', name: 'The Shadow Throne', subtitle: 'DLC IV', min_level: 16, max_level: 20,
+    background: '/throne.png', quest_tag: 'boss',
+    lore: 'The final realm exists between worlds — a void palace assembled from the echoes of every domain conquered before it. No map can fully capture it. No warrior has claimed it and remained mortal. It calls only to those who have transcended all that came before.',
+    flavor: 'The throne has always been yours. Now claim it.' },
+];
+
+// Achievement definitions, checked after every XP change (see evaluateAchievements
+// for the rule shapes). `id` is what user_achievements references, so keep it stable.
+const ACHIEVEMENT_SEEDS = [
+  { id: 'first-perfect-day', name: 'Flawless',          icon: '✨', description: 'Complete every habit in a single day',
+    rule: { type: 'perfect_days', count: 1 } },
+  { id: 'perfect-days-10',   name: 'Relentless',        icon: '🌟', description: 'Log 10 perfect days',
+    rule: { type: 'perfect_days', count: 10 } },
+  { id: 'first-book',        name: 'First Tome',        icon: '📖', description: 'Finish a book',
+    rule: { type: 'books_finished', count: 1 } },
+  { id: 'books-10',          name: 'Archivist',         icon: '📚', description: 'Finish 10 books',
+    rule: { type: 'books_finished', count: 10 } },
+  { id: 'sober-100',         name: 'Iron Will',         icon: '🛡️', description: '100 days in a row without alcohol',
+    rule: { type: 'streak', habit: 'alcohol', days: 100 } },
+  { id: 'gym-30',            name: 'Forged in Iron',    icon: '🏋️', description: 'Hit the gym 30 days in a row',
+    rule: { type: 'streak', habit: 'gym', days: 30 } },
+  { id: 'quests-10',         name: 'Questbound',        icon: '📜', description: 'Complete 10 quests',
+    rule: { type: 'quests_completed', count: 10 } },
+  { id: 'first-boss',        name: 'Giant Slayer',      icon: '⚔', description: 'Defeat your first boss',
+    rule: { type: 'bosses_defeated', count: 1 } },
+  { id: 'cleared-ashen',     name: 'Ashes to Ashes',    icon: '🔥', description: 'Defeat every boss in the Ashen City',
+    rule: { type: 'region_cleared', region: 'ashen' } },
+  { id: 'cleared-savanna',   name: 'Blood and Iron',    icon: '🦁', description: 'Defeat every boss in the Crimson Savanna',
+    rule: { type: 'region_cleared', region: 'savanna' } },
+  { id: 'cleared-abyss',     name: 'Out of the Deep',   icon: '🌿', description: 'Defeat every boss in the Verdant Abyss',
+    rule: { type: 'region_cleared', region: 'abyss' } },
+  { id: 'cleared-throne',    name: 'Sovereign',         icon: '👑', description: 'Defeat every boss in the Shadow Throne',
+    rule: { type: 'region_cleared', region: 'throne' } },
+  { id: 'level-5',           name: 'Awakened',          icon: '⬆', description: 'Reach level 5',
+    rule: { type: 'level', level: 5 } },
+  { id: 'level-10',          name: 'Ascendant',         icon: '⏫', description: 'Reach level 10',
+    rule: { type: 'level', level: 10 } },
+  { id: 'level-20',          name: 'Transcendent',      icon: '💠', description: 'Reach level 20',
+    rule: { type: 'level', level: 20 } },
+];
+
 // ── Helpers ───────────────────────────────────────────────────────────────────
 function clamp(val, min = 0, max = 100) {
   return Math.max(min, Math.min(max, parseInt(val) || 0));
 }
 
-function computeStats(uid) {
+const STAT_KEYS = ['str', 'dis', 'vit', 'wis', 'end'];
+
+// How much of each stat's 0–100 range daily habits can fill (WIS leaves room for reading)
+const STAT_HABIT_CAP = { str: 100, dis: 100, vit: 100, wis: 60, end: 100 };
+
+// Pages read over the 7-day window that fill the remaining 40 WIS
+const READING_WIS_PAGES = 350;
+
+function getHabits(uid, includeArchived = false) {
+  const rows = db.prepare(
+    `SELECT * FROM habits WHERE user_id = ? ${includeArchived ? '' : 'AND archived = 0'} ORDER BY sort_order ASC, created_at ASC`
+  ).all(uid);
+  return rows.map(h => ({ ...h, stat_weights: JSON.parse(h.stat_weights) }));
+}
+
+// Stats from per-habit completion counts over a 7-day window, plus pages read in it
+function statsFromCounts(habits, counts, pagesRead) {
+  // Each stat is the weighted share of possible completions over the window
+  const earned   = {};
+  const possible = {};
+  STAT_KEYS.forEach(k => { earned[k] = 0; possible[k] = 0; });
+  habits.forEach(h => {
+    for (const [k, w] of Object.entries(h.stat_weights)) {
+      if (!STAT_KEYS.includes(k)) continue;
+      earned[k]   += w * (counts[h.id] || 0);
+      possible[k] += w * 7;
+    }
+  });
+  const habitStat = k => possible[k] ? Math.round(earned[k] / possible[k] * STAT_HABIT_CAP[k]) : 0;
+  const readingWis = Math.max(0, Math.min(40, Math.round(pagesRead / READING_WIS_PAGES * 40)));
+
+  return {
+    str: Math.min(100, habitStat('str')),
+    dis: Math.min(100, habitStat('dis')),
+    vit: Math.min(100, habitStat('vit')),
+    wis: Math.min(100, habitStat('wis') + readingWis),
+    end: Math.min(100, habitStat('end')),
+  };
+}
+
+// Pages logged per day between from and to, keyed by ISO day
+function pagesByDay(uid, from, to) {
+  const pages = {};
+  db.prepare(`
+    SELECT date, SUM(to_page - from_page) as pages FROM book_progress
+    WHERE user_id = ? AND date >= ? AND date <= ? GROUP BY date
+  `).all(uid, from, to).forEach(r => { pages[r.date] = Number(r.pages); });
+  return pages;
+}
+
+// Stats for the 7 days ending on `asOf`
+function computeStats(uid, asOf = todayStr(uid)) {
   const rows = db.prepare(`
     SELECT quest_id, COUNT(*) as cnt
     FROM daily_quests
-    WHERE user_id = ? AND date >= date('now', '-6 days') AND status = 'completed'
+    WHERE user_id = ? AND date >= ? AND date <= ? AND status = 'completed'
     GROUP BY quest_id
-  `).all(uid);
+  `).all(uid, addDays(asOf, -6), asOf);
   const c = {};
   rows.forEach(r => { c[r.quest_id] = Number(r.cnt); });
-  const g = id => c[id] || 0;
 
-  const booksRow  = db.prepare("SELECT COUNT(*) as cnt FROM books WHERE user_id = ? AND status='completed'").get(uid);
-  const booksRead = Number((booksRow || { cnt: 0 }).cnt) || 0;
-  const bookWisBonus = Math.min(40, booksRead * 8);
+  const pagesRead = Object.values(pagesByDay(uid, addDays(asOf, -6), asOf)).reduce((a, b) => a + b, 0);
+  const stats = statsFromCounts(getHabits(uid), c, pagesRead);
 
-  return {
-    str: Math.min(100, Math.round((g('gym'))                                                                          / 7  * 100)),
-    dis: Math.min(100, Math.round((g('scroll') + g('alcohol') + g('junkfood'))                                       / 21 * 100)),
-    vit: Math.min(100, Math.round((g('calorie') + g('macro') + g('water'))                                           / 21 * 100)),
-    wis: Math.min(100, Math.round((g('gym') + g('calorie') + g('macro') + g('water') + g('scroll') + g('alcohol') + g('junkfood')) / 49 * 60) + bookWisBonus),
-    end: Math.min(100, Math.round((g('gym') + g('calorie') + g('water'))                                             / 21 * 100)),
-  };
+  // Equipped gear adds its modifiers on top, still capped at 100
+  equippedGear(uid).forEach(g => {
+    for (const [k, v] of Object.entries(g.stat_mods)) {
+      if (STAT_KEYS.includes(k)) stats[k] = Math.max(0, Math.min(100, stats[k] + v));
+    }
+  });
+  return stats;
+}
+
+const XP_SOURCES = ['daily', 'quest', 'book', 'manual', 'admin'];
+
+// Append an entry to the XP ledger. Entries are never rewritten or trimmed;
+// `date` is the ISO day the XP belongs to, so backdated dailies keep their day.
+function logXp(uid, { xp, note, source, ref = null, date = todayStr(uid) }) {
+  db.prepare('INSERT INTO xp_log (user_id, date, note, xp, source, source_ref) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(uid, date, note, xp, source, ref === null ? null : String(ref));
+}
+
+// The dashboard's chronicle — just the newest slice of the ledger
+function recentLog(uid, limit = 50) {
+  return db.prepare(
+    'SELECT id, date, note, xp, source, source_ref, created_at FROM xp_log WHERE user_id = ? ORDER BY id DESC LIMIT ?'
+  ).all(uid, limit);
+}
+
+function logCount(uid) {
+  return Number(db.prepare('SELECT COUNT(*) as cnt FROM xp_log WHERE user_id = ?').get(uid).cnt);
 }
 
 function fullState(uid) {
   const gs  = db.prepare('SELECT total_xp FROM game_state WHERE user_id = ?').get(uid);
-  const log = db.prepare('SELECT date, note, xp FROM xp_log WHERE user_id = ? ORDER BY id DESC LIMIT 50').all(uid);
+  const log = recentLog(uid);
   return {
     totalXP: gs ? gs.total_xp : 0,
     stats: computeStats(uid),
     log,
+    logCount: logCount(uid),
   };
 }
 
-// Validate & sanitise a YYYY-MM-DD date string (no future dates, max 60 days back)
-function parseDate(dateStr) {
-  const today = new Date().toISOString().slice(0, 10);
-  if (!dateStr || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return today;
-  if (dateStr > today) return today;
-  const min = new Date(); min.setDate(min.getDate() - 60);
-  if (dateStr < min.toISOString().slice(0, 10)) return null;
-  return dateStr;
+function isValidTimezone(tz) {
+  if (typeof tz !== 'string' || !tz) return false;
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; } catch { return false; }
 }
 
-const LEVEL_XP = [0,7300,13300,19300,25300,31300,37300,43300,49300,55300,
-                  61300,67300,73300,79300,85300,91300,97300,103300,109300,115300];
+function userTimezone(uid) {
+  const row = db.prepare('SELECT timezone FROM users WHERE id = ?').get(uid);
+  return row ? row.timezone : 'UTC';
+}
 
-function xpToLevel(xp) {
-  for (let i = LEVEL_XP.length - 1; i >= 0; i--) {
-    if (xp >= LEVEL_XP[i]) return i + 1;
+// YYYY-MM-DD of an instant as seen in timezone `tz`
+function dayInZone(tz, date = new Date()) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// The user's current calendar day — every "today" on the server goes through here
+function todayStr(uid) {
+  return dayInZone(userTimezone(uid));
+}
+
+// YYYY-MM-DD for a Date, read in the server's local time
+function isoDay(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// YYYY-MM-DD for an old display date ("Oct 18, 2026", or "Oct 18" with the year
+// taken from the row's created_at), falling back to the day the row was created
+function legacyDay(str, createdAt) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) return str;
+  const created = new Date(createdAt * 1000);
+  const hasYear = /\d{4}/.test(str);
+  const d = new Date(hasYear ? str : `${str}, ${created.getFullYear()}`);
+  if (isNaN(d)) return isoDay(created);
+  // "Dec 31" logged on Jan 1 belongs to the previous year
+  if (!hasYear && d - created > 86400000) d.setFullYear(d.getFullYear() - 1);
+  return isoDay(d);
+}
+
+// Shift a YYYY-MM-DD string by n days (calendar arithmetic, no timezone involved)
+function addDays(dateStr, n) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+// Whole days from one YYYY-MM-DD string to another
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
+
+// The calendar week (Monday first) or month containing a day
+function calendarPeriod(period, day) {
+  if (period === 'week') {
+    const start = weekStart(day);
+    return { starts_on: start, ends_on: addDays(start, 6) };
   }
-  return 1;
+  const [y, m] = day.split('-').map(Number);
+  const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return { starts_on: day.slice(0, 8) + '01', ends_on: day.slice(0, 8) + String(last).padStart(2, '0') };
 }
 
-// ── Auth routes ───────────────────────────────────────────────────────────────
+// Validate & sanitise a YYYY-MM-DD date string in the user's timezone (no future dates, max 60 days back)
+function parseDate(uid, dateStr) {
+  const today = todayStr(uid);
+  if (!dateStr || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return today;
+  if (dateStr > today) return today;
+  if (dateStr < addDays(today, -60)) return null;
+  return dateStr;
+}
 
-app.post('/api/register', async (req, res) => {
-  const username = String(req.body.username || '').trim();
-  const password = String(req.body.password || '');
+// ── Level curve ───────────────────────────────────────────────────────────────
+
+// Defaults for the game_config 'progression' document. Past the last level in
+// the table every `prestige.xpPerLevel` XP grants another (prestige) level;
+// an xpPerLevel of 0 caps the curve instead.
+const DEFAULT_PROGRESSION = {
+  levels: [
+    { level: 1,  xp: 0,      title: 'The Trial Begins',  class: 'UNAWAKENED',     icon: '🌑' },
+    { level: 2,  xp: 7300,   title: 'Stirring Embers',   class: 'ASPIRANT',       icon: '🔥' },
+    { level: 3,  xp: 13300,  title: 'The Awakening',     class: 'ASPIRANT',       icon: '🔥' },
+    { level: 4,  xp: 19300,  title: 'Forged in Habit',   class: 'FIGHTER',        icon: '⚔️' },
+    { level: 5,  xp: 25300,  title: 'The Hardened',      class: 'FIGHTER',        icon: '⚔️' },
+    { level: 6,  xp: 31300,  title: 'Iron Discipline',   class: 'WARRIOR',        icon: '🛡️' },
+    { level: 7,  xp: 37300,  title: 'The Resolute',      class: 'WARRIOR',        icon: '🛡️' },
+    { level: 8,  xp: 43300,  title: 'Unyielding',        class: 'WARRIOR',        icon: '🛡️' },
+    { level: 9,  xp: 49300,  title: 'The Ascendant',     class: 'CHAMPION',       icon: '⚡' },
+    { level: 10, xp: 55300,  title: 'Seasoned Hunter',   class: 'CHAMPION',       icon: '⚡' },
+    { level: 11, xp: 61300,  title: 'Beyond Limits',     class: 'CHAMPION',       icon: '⚡' },
+    { level: 12, xp: 67300,  title: 'The Relentless',    class: 'PARAGON',        icon: '🌟' },
+    { level: 13, xp: 73300,  title: 'Sovereign of Self', class: 'PARAGON',        icon: '🌟' },
+    { level: 14, xp: 79300,  title: 'Walking Storm',     class: 'PARAGON',        icon: '🌟' },
+    { level: 15, xp: 85300,  title: 'The Transcendent',  class: 'LEGEND',         icon: '👁️' },
+    { level: 16, xp: 91300,  title: 'The Unchained',     class: 'LEGEND',         icon: '👁️' },
+    { level: 17, xp: 97300,  title: 'Eternal Flame',     class: 'LEGEND',         icon: '👁️' },
+    { level: 18, xp: 103300, title: 'Myth Made Flesh',   class: 'LEGEND',         icon: '👁️' },
+    { level: 19, xp: 109300, title: 'The Unstoppable',   class: 'SHADOW MONARCH', icon: '👑' },
+    { level: 20, xp: 115300, title: 'Arise',             class: 'SHADOW MONARCH', icon: '👑' },
+  ],
+  classes: [
+    { num: 1,  name: 'Unawakened',       unlockLevel: 1  },
+    { num: 2,  name: 'Challenger',       unlockLevel: 2  },
+    { num: 3,  name: 'Ashborn',          unlockLevel: 3  },
+    { num: 4,  name: 'The Iron Pilgrim', unlockLevel: 5  },
+    { num: 5,  name: 'Last Ember',       unlockLevel: 7  },
+    { num: 6,  name: 'Crimson Hunter',   unlockLevel: 9  },
+    { num: 7,  name: 'Hollow King',      unlockLevel: 10 },
+    { num: 8,  name: 'The Dead Calm',    unlockLevel: 12 },
+    { num: 9,  name: 'Canopy Ghost',     unlockLevel: 14 },
+    { num: 10, name: 'The Eye of Ruin',  unlockLevel: 15 },
+    { num: 11, name: 'The Void Storm',   unlockLevel: 16 },
+    { num: 12, name: 'Shadow Monarch',   unlockLevel: 18 },
+    { num: 13, name: 'The Undying',      unlockLevel: 20 },
+  ],
+  prestige: { xpPerLevel: 6000, title: 'Prestige', icon: '✴️' },
+};
+
+let progressionCache = null;
+
+function getProgression() {
+  if (!progressionCache) {
+    const row = db.prepare("SELECT value FROM game_config WHERE key = 'progression'").get();
+    progressionCache = row ? JSON.parse(row.value) : DEFAULT_PROGRESSION;
+  }
+  return progressionCache;
+}
 
-  if (!/^[a-zA-Z0-9]{3,20}$/.test(username)) {
-    return res.status(400).json({ error: 'Username must be 3–20 alphanumeric characters' });
+// Check an admin-submitted progression document. Returns { progression } or { error }.
+function validateProgression(p) {
+  if (!p || !Array.isArray(p.levels) || !Array.isArray(p.classes) || !p.prestige) return { error: 'levels, classes and prestige are required' };
+  const str = v => typeof v === 'string' && v.trim().length > 0 && v.length <= 60;
+  if (!p.levels.length || p.levels.length > 200) return { error: 'Between 1 and 200 levels required' };
+  for (const [i, l] of p.levels.entries()) {
+    if (l.level !== i + 1) return { error: `Levels must be numbered 1, 2, 3… (entry ${i + 1})` };
+    if (!Number.isInteger(l.xp) || (i === 0 ? l.xp !== 0 : l.xp <= p.levels[i - 1].xp))
+      return { error: `Level ${l.level}: xp must start at 0 and strictly increase` };
+    if (!str(l.title) || !str(l.class) || !str(l.icon)) return { error: `Level ${l.level}: title, class and icon are required` };
   }
-  if (password.length < 8) {
-    return res.status(400).json({ error: 'Password must be at least 8 characters' });
+  if (!p.classes.length) return { error: 'At least one class required' };
+  for (const [i, c] of p.classes.entries()) {
+    if (c.num !== i + 1 || !str(c.name) || !Number.isInteger(c.unlockLevel)) return { error: `Class ${i + 1} is invalid` };
+    if (i === 0 ? c.unlockLevel !== 1 : c.unlockLevel <= p.classes[i - 1].unlockLevel)
+      return { error: 'Class unlock levels must start at 1 and strictly increase' };
   }
+  const pr = p.prestige;
+  if (!Number.isInteger(pr.xpPerLevel) || pr.xpPerLevel < 0 || !str(pr.title) || !str(pr.icon)) return { error: 'Invalid prestige settings' };
+
+  return { progression: {
+    levels:   p.levels.map(l => ({ level: l.level, xp: l.xp, title: l.title.trim(), class: l.class.trim(), icon: l.icon.trim() })),
+    classes:  p.classes.map(c => ({ num: c.num, name: c.name.trim(), unlockLevel: c.unlockLevel })),
+    prestige: { xpPerLevel: pr.xpPerLevel, title: pr.title.trim(), icon: pr.icon.trim() },
+  } };
+}
 
-  const existing = db.prepare('SELECT id FROM users WHERE username = ?').get(username);
-  if (existing) {
-    return res.status(409).json({ error: 'Username already taken' });
+function saveProgression(progression) {
+  db.prepare("INSERT OR REPLACE INTO game_config (key, value) VALUES ('progression', ?)").run(JSON.stringify(progression));
+  progressionCache = null;
+}
+
+function xpToLevel(xp) {
+  const { levels, prestige } = getProgression();
+  const top = levels[levels.length - 1];
+  if (xp >= top.xp) return top.level + (prestige.xpPerLevel ? Math.floor((xp - top.xp) / prestige.xpPerLevel) : 0);
+  for (let i = levels.length - 1; i >= 0; i--) {
+    if (xp >= levels[i].xp) return levels[i].level;
   }
+  return 1;
+}
 
-  const password_hash = await bcrypt.hash(password, 12);
+// ── Progression ───────────────────────────────────────────────────────────────
+
+// Run fn inside a transaction. Savepoints let calls nest, so a helper that
+// wraps its own work still joins the caller's transaction.
+let txDepth = 0;
+function transaction(fn) {
+  const sp = `tx${txDepth++}`;
+  db.exec(`SAVEPOINT ${sp}`);
+  try {
+    const result = fn();
+    db.exec(`RELEASE ${sp}`);
+    return result;
+  } catch (e) {
+    db.exec(`ROLLBACK TO ${sp}`);
+    db.exec(`RELEASE ${sp}`);
+    throw e;
+  } finally {
+    txDepth--;
+  }
+}
 
-  // First user to register gets is_admin=1
-  const userCount = db.prepare('SELECT COUNT(*) as cnt FROM users').get();
-  const isAdmin = Number(userCount.cnt) === 0 ? 1 : 0;
+function currentXp(uid) {
+  const gs = db.prepare('SELECT total_xp FROM game_state WHERE user_id = ?').get(uid);
+  return gs ? gs.total_xp : 0;
+}
 
-  const result = db.prepare(
-    'INSERT INTO users (username, password_hash, is_admin) VALUES (?, ?, ?)'
-  ).run(username, password_hash, isAdmin);
+// Apply an XP delta (total never drops below zero) and append it to the ledger.
+// Only call inside withProgression so level-driven state follows. Returns the delta actually applied.
+function addXp(uid, { xp, note, source, ref = null, date }) {
+  const before = currentXp(uid);
+  const after  = Math.max(0, before + xp);
+  db.prepare('UPDATE game_state SET total_xp = ? WHERE user_id = ?').run(after, uid);
+  logXp(uid, { xp: after - before, note, source, ref, date });
+  return after - before;
+}
 
-  const userId = Number(result.lastInsertRowid); // node:sqlite returns BigInt
-  seedUserData(userId);
+// ── Gear ──────────────────────────────────────────────────────────────────────
 
-  req.session.userId   = userId;
-  req.session.username = username;
-  req.session.isAdmin  = isAdmin === 1;
+function parseGear(g) {
+  return { ...g, stat_mods: JSON.parse(g.stat_mods || '{}') };
+}
 
-  res.json({ ok: true, redirect: '/welcome' });
-});
+function gearUnlocked(g, xp) {
+  return g.unlock_xp !== null ? xp >= g.unlock_xp : xpToLevel(xp) >= g.unlock_lvl;
+}
 
-app.post('/api/login', async (req, res) => {
-  const username = String(req.body.username || '').trim();
-  const password = String(req.body.password || '');
+// Catalogue merged with the user's inventory: acquired_at is null for items not yet owned
+function userGear(uid) {
+  return db.prepare(`
+    SELECT g.*, ug.acquired_at, COALESCE(ug.equipped, 0) as equipped
+    FROM map_gear g
+    LEFT JOIN user_gear ug ON ug.gear_id = g.id AND ug.user_id = ?
+    ORDER BY g.unlock_lvl ASC, g.id ASC
+  `).all(uid).map(parseGear);
+}
 
-  const user = db.prepare('SELECT * FROM users WHERE username = ?').get(username);
-  if (!user) {
-    return res.status(401).json({ error: 'Invalid username or password' });
-  }
+function equippedGear(uid) {
+  return db.prepare(`
+    SELECT g.* FROM user_gear ug JOIN map_gear g ON g.id = ug.gear_id
+    WHERE ug.user_id = ? AND ug.equipped = 1
+  `).all(uid).map(parseGear);
+}
 
-  const valid = await bcrypt.compare(password, user.password_hash);
-  if (!valid) {
-    return res.status(401).json({ error: 'Invalid username or password' });
-  }
+// Put an item in the inventory, straight into its slot when that is empty.
+// Returns false if the user already owns it.
+function addToInventory(uid, g) {
+  if (db.prepare('SELECT 1 FROM user_gear WHERE user_id = ? AND gear_id = ?').get(uid, g.id)) return false;
+  const slotFilled = equippedGear(uid).some(e => e.type === g.type);
+  db.prepare('INSERT INTO user_gear (user_id, gear_id, equipped) VALUES (?, ?, ?)').run(uid, g.id, slotFilled ? 0 : 1);
+  return true;
+}
 
-  req.session.userId   = user.id;
-  req.session.username = user.username;
-  req.session.isAdmin  = user.is_admin === 1;
+// Add every item whose unlock condition `xp` now meets to the inventory. Returns the new items.
+function grantGear(uid, xp) {
+  return db.prepare('SELECT * FROM map_gear ORDER BY unlock_lvl ASC, id ASC').all()
+    .filter(g => gearUnlocked(g, xp) && addToInventory(uid, g));
+}
 
-  res.json({ ok: true, redirect: '/' });
-});
+// Equip an owned item, taking its slot from whatever was there. Returns false if not owned.
+function equipGear(uid, gearId) {
+  const item = db.prepare(`
+    SELECT g.type FROM user_gear ug JOIN map_gear g ON g.id = ug.gear_id
+    WHERE ug.user_id = ? AND ug.gear_id = ?
+  `).get(uid, gearId);
+  if (!item) return false;
+  transaction(() => {
+    db.prepare(`
+      UPDATE user_gear SET equipped = 0
+      WHERE user_id = ? AND gear_id IN (SELECT id FROM map_gear WHERE type = ?)
+    `).run(uid, item.type);
+    db.prepare('UPDATE user_gear SET equipped = 1 WHERE user_id = ? AND gear_id = ?').run(uid, gearId);
+  });
+  return true;
+}
 
-app.post('/api/logout', (req, res) => {
-  req.session.destroy(() => {
-    res.json({ ok: true, redirect: '/login' });
+// Open up every undefeated boss at or below the player's level and lock those
+// above it again, so losing a level takes a fight off the table. Only combat
+// defeats a boss (see resolveCombat).
+function syncProgression(uid, xpBefore, xpAfter) {
+  const levelBefore = xpToLevel(xpBefore);
+  const levelAfter  = xpToLevel(xpAfter);
+  const unlocks     = [];
+
+  const setStatus = db.prepare('UPDATE region_bosses SET status = ? WHERE id = ?');
+  db.prepare("SELECT * FROM region_bosses WHERE user_id = ? AND status != 'defeated' ORDER BY level_req ASC").all(uid).forEach(boss => {
+    const status = boss.level_req <= levelAfter ? 'active' : 'locked';
+    if (status === boss.status) return;
+    setStatus.run(status, boss.id);
+    if (status === 'active') unlocks.push({ type: 'boss', name: boss.name, subtitle: boss.subtitle });
   });
-});
 
-app.get('/api/me', requireLogin, (req, res) => {
-  res.json({ username: req.session.username, isAdmin: req.session.isAdmin });
-});
+  // Acquired gear stays in the inventory even if XP later drops
+  grantGear(uid, xpAfter).forEach(g => unlocks.push({ type: 'gear', name: g.name, gearType: g.type }));
 
-// ── Game API routes ───────────────────────────────────────────────────────────
+  return { levelBefore, levelAfter, unlocks };
+}
 
-app.get('/api/state', requireLogin, (req, res) => {
-  res.json(fullState(req.session.userId));
-});
+// The single path for XP changes. fn applies one or more awards through addXp
+// (and may return extra unlocks of its own, e.g. a boss 'victory'); afterwards
+// levels, bosses, gear and achievements are reconciled, all in one transaction.
+function withProgression(uid, fn) {
+  return transaction(() => {
+    const xpBefore = currentXp(uid);
+    const extra    = fn() || [];
+    const xpAfter  = currentXp(uid);
+    const result   = syncProgression(uid, xpBefore, xpAfter);
+    const victory  = extra.find(u => u.type === 'victory');
+    const defeatedBoss = victory ? { name: victory.name, subtitle: victory.bossSubtitle } : null;
+    recordPartyProgress(uid, result.levelBefore, result.levelAfter, victory);
+    const achievements = evaluateAchievements(uid);
+    return { totalXP: xpAfter, ...result, defeatedBoss, unlocks: [...extra, ...result.unlocks, ...achievements] };
+  });
+}
 
-app.post('/api/xp', requireLogin, (req, res) => {
-  const uid = req.session.userId;
-  const xp  = parseInt(req.body.xp);
-  if (!xp || xp === 0) return res.status(400).json({ error: 'Invalid XP value' });
+function awardXp(uid, entry) {
+  return withProgression(uid, () => { addXp(uid, entry); });
+}
 
-  const note    = (String(req.body.note || 'Weekly Update')).slice(0, 200);
-  const date    = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+// ── Boss combat ───────────────────────────────────────────────────────────────
 
-  db.prepare('UPDATE game_state SET total_xp = MAX(0, total_xp + ?) WHERE user_id = ?').run(xp, uid);
-  db.prepare('INSERT INTO xp_log (user_id, date, note, xp) VALUES (?, ?, ?, ?)').run(uid, date, note, xp);
-  db.prepare('DELETE FROM xp_log WHERE user_id = ? AND id NOT IN (SELECT id FROM xp_log WHERE user_id = ? ORDER BY id DESC LIMIT 50)').run(uid, uid);
+const BOSS_BASE_DAMAGE = 100;   // per completed habit, up to double with maxed stats
+const BOSS_HEAL_PCT    = 0.1;   // of max HP, when an enemy habit is failed
+const BOSS_COUNTER_XP  = 50;    // lost instead when the boss is already at full HP
 
-  const gs  = db.prepare('SELECT total_xp FROM game_state WHERE user_id = ?').get(uid);
-  const log = db.prepare('SELECT date, note, xp FROM xp_log WHERE user_id = ? ORDER BY id DESC LIMIT 50').all(uid);
-  res.json({ totalXP: gs.total_xp, log });
-});
+// The boss daily actions hit: the lowest active one
+function currentBoss(uid) {
+  return db.prepare("SELECT * FROM region_bosses WHERE user_id = ? AND status = 'active' ORDER BY level_req ASC LIMIT 1").get(uid) || null;
+}
 
-app.post('/api/stats', requireLogin, (req, res) => {
-  const uid = req.session.userId;
-  const { str, dis, vit, wis } = req.body;
-  const end = req.body.end;
-  db.prepare(
-    'UPDATE stats SET str=?, dis=?, vit=?, wis=?, endurance=? WHERE user_id=?'
-  ).run(clamp(str), clamp(dis), clamp(vit), clamp(wis), clamp(end), uid);
-  res.json({ ok: true });
-});
+function logEncounter(uid, boss, { ref = null, kind, note, hpDelta = 0, xp = 0 }) {
+  db.prepare(`
+    INSERT INTO boss_encounters (user_id, boss_id, ref, kind, note, hp_delta, xp, hp_after)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(uid, boss.id, ref, kind, note, hpDelta, xp, boss.hp);
+}
 
-// GET /api/daily-quests?date=YYYY-MM-DD
-app.get('/api/daily-quests', requireLogin, (req, res) => {
-  const uid  = req.session.userId;
-  const date = parseDate(req.query.date);
-  if (!date) return res.status(400).json({ error: 'Date out of range' });
-  const rows = db.prepare('SELECT quest_id, status, xp FROM daily_quests WHERE user_id = ? AND date = ?').all(uid, date);
-  const result = {};
-  rows.forEach(r => { result[r.quest_id] = { status: r.status, xp: r.xp }; });
-  res.json(result);
-});
+// Damage from a completed habit, scaled by the stats it trains
+function habitDamage(habit, stats) {
+  const weights = Object.entries(habit.stat_weights).filter(([k, w]) => STAT_KEYS.includes(k) && w > 0);
+  const total   = weights.reduce((sum, [, w]) => sum + w, 0);
+  const power   = total ? weights.reduce((sum, [k, w]) => sum + stats[k] * w, 0) / total : 0;
+  return Math.round(BOSS_BASE_DAMAGE * (1 + power / 100));
+}
 
-// POST /api/daily-quests — mark or toggle a quest completed/failed
-app.post('/api/daily-quests', requireLogin, (req, res) => {
-  const uid = req.session.userId;
-  const { questId, status } = req.body;
-
-  const QUEST_CONFIG = {
-    calorie:  { name: 'Calorie Goal',   completed: 100,  failed: 0    },
-    macro:    { name: 'Macro Goal',     completed: 100,  failed: 0    },
-    gym:      { name: 'Gym Session',    completed: 100,  failed: 0    },
-    water:    { name: 'Drink 3L Water', completed: 100,  failed: 0    },
-    scroll:   { name: 'Doomscrolling',  completed: 100,  failed: 0    },
-    junkfood: { name: 'Junk Food',      completed: 0,    failed: -100 },
-    alcohol:  { name: 'Alcohol',        completed: 0,    failed: -100 },
-  };
+// Take back what an earlier mark of the same habit/day did, to whichever bosses
+// it reached. A boss that mark finished off comes back (its loot stays, like gear
+// earned by XP); a blow on a boss another mark has since felled stands. Returns
+// whether such a blow is left standing.
+function undoMark(uid, habit, ref, date) {
+  let standing = false;
+  db.prepare('SELECT boss_id, SUM(hp_delta) as hp, SUM(xp) as xp FROM boss_encounters WHERE user_id = ? AND ref = ? GROUP BY boss_id')
+    .all(uid, ref).forEach(prior => {
+      const boss = db.prepare('SELECT * FROM region_bosses WHERE id = ?').get(prior.boss_id);
+      let hp = Number(prior.hp);
+      let victory = 0;
+      if (boss.status === 'defeated') {
+        const fall = db.prepare("SELECT ref, xp FROM boss_encounters WHERE boss_id = ? AND kind = 'defeat' ORDER BY id DESC LIMIT 1").get(boss.id);
+        if (fall && fall.ref === ref) {
+          victory = fall.xp;
+          db.prepare("UPDATE region_bosses SET status = 'active', defeated_at = NULL WHERE id = ?").run(boss.id);
+        } else {
+          standing = standing || hp < 0;
+          hp = 0;
+        }
+      }
+      const counters = Number(prior.xp) - victory;
+      if (!hp && !prior.xp) return;
+      boss.hp = Math.max(0, Math.min(boss.max_hp, boss.hp - hp));
+      db.prepare('UPDATE region_bosses SET hp = ? WHERE id = ?').run(boss.hp, boss.id);
+      const refund = (victory ? addXp(uid, { xp: -victory, note: `Victory undone: ${boss.name}`, source: 'quest', ref: `boss:${boss.id}` }) : 0)
+                   + (counters ? addXp(uid, { xp: -counters, note: `Counter-attack undone: ${boss.name}`, source: 'daily', ref, date }) : 0);
+      logEncounter(uid, boss, { ref, kind: 'undo', note: `${habit.name} re-marked`, hpDelta: -hp, xp: refund });
+    });
+  return standing;
+}
 
-  const cfg = QUEST_CONFIG[questId];
-  if (!cfg || !['completed', 'failed'].includes(status)) {
-    return res.status(400).json({ error: 'Invalid quest or status' });
+// Play out a daily mark against the current boss, after undoing what the same
+// habit/day already did. A mark strikes once: if its blow still stands on a
+// fallen boss, marking it completed again doesn't hit the next one. Only call
+// inside withProgression; returns unlocks (a 'victory' plus any loot).
+function resolveCombat(uid, habit, date, status) {
+  const ref      = `${habit.id}:${date}`;
+  const standing = undoMark(uid, habit, ref, date);
+  const boss     = currentBoss(uid);
+  if (!boss) return [];
+  const setHp   = db.prepare('UPDATE region_bosses SET hp = ? WHERE id = ?');
+  const unlocks = [];
+
+  if (status === 'completed') {
+    if (standing) return [];
+    const dmg = Math.min(boss.hp, habitDamage(habit, computeStats(uid)));
+    boss.hp -= dmg;
+    setHp.run(boss.hp, boss.id);
+    logEncounter(uid, boss, { ref, kind: 'hit', note: `${habit.kind === 'enemy' ? 'Resisting ' : ''}${habit.name} strikes for ${dmg}`, hpDelta: -dmg });
+    if (boss.hp === 0) unlocks.push(...defeatBoss(uid, boss, ref));
+  } else if (habit.kind === 'enemy') {
+    if (boss.hp < boss.max_hp) {
+      const heal = Math.min(boss.max_hp - boss.hp, Math.round(boss.max_hp * BOSS_HEAL_PCT));
+      boss.hp += heal;
+      setHp.run(boss.hp, boss.id);
+      logEncounter(uid, boss, { ref, kind: 'heal', note: `${habit.name} lets ${boss.name} recover ${heal}`, hpDelta: heal });
+    } else {
+      const lost = addXp(uid, { xp: -BOSS_COUNTER_XP, note: `Counter-attack: ${boss.name}`, source: 'daily', ref, date });
+      logEncounter(uid, boss, { ref, kind: 'counter', note: `${boss.name} counter-attacks after ${habit.name}`, xp: lost });
+    }
   }
+  return unlocks;
+}
 
-  const today = parseDate(req.body.date);
-  if (!today) return res.status(400).json({ error: 'Date out of range' });
-  const [y, m, d] = today.split('-').map(Number);
-  const logDate = new Date(y, m - 1, d).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+// `ref` is the mark that dealt the final blow, so re-marking it can undo the defeat
+function defeatBoss(uid, boss, ref) {
+  db.prepare("UPDATE region_bosses SET status = 'defeated', hp = 0, defeated_at = unixepoch() WHERE id = ?").run(boss.id);
+  const xp = addXp(uid, { xp: boss.xp_reward, note: `Boss Defeated: ${boss.name}`, source: 'quest', ref: `boss:${boss.id}` });
+  logEncounter(uid, boss, { ref, kind: 'defeat', note: `${boss.name} falls`, xp });
 
-  const existing = db.prepare(
-    'SELECT status FROM daily_quests WHERE user_id = ? AND quest_id = ? AND date = ?'
-  ).get(uid, questId, today);
+  const unlocks = [{ type: 'victory', name: boss.name, subtitle: `+${xp} XP`, bossSubtitle: boss.subtitle, xp }];
+  const loot = boss.loot_gear_id && db.prepare('SELECT * FROM map_gear WHERE id = ?').get(boss.loot_gear_id);
+  if (loot && addToInventory(uid, loot)) unlocks.push({ type: 'gear', name: loot.name, gearType: loot.type });
+  return unlocks;
+}
 
-  let xpDelta = 0;
+function encounterLog(uid, bossId, limit = 50) {
+  return db.prepare(`
+    SELECT id, kind, note, hp_delta, xp, hp_after, created_at FROM boss_encounters
+    WHERE user_id = ? AND boss_id = ? ORDER BY id DESC LIMIT ?
+  `).all(uid, bossId, limit);
+}
 
-  if (existing) {
-    if (existing.status === status) {
-      // Same button — no-op
-      const gs  = db.prepare('SELECT total_xp FROM game_state WHERE user_id = ?').get(uid);
-      const log = db.prepare('SELECT date, note, xp FROM xp_log WHERE user_id = ? ORDER BY id DESC LIMIT 50').all(uid);
-      return res.json({ totalXP: gs.total_xp, log, xpAwarded: 0 });
-    }
-    xpDelta = cfg[status] - cfg[existing.status];
-    db.prepare(
-      'UPDATE daily_quests SET status = ?, xp = ? WHERE user_id = ? AND quest_id = ? AND date = ?'
-    ).run(status, cfg[status], uid, questId, today);
-  } else {
-    xpDelta = cfg[status];
-    db.prepare(
-      'INSERT INTO daily_quests (user_id, quest_id, status, date, xp) VALUES (?, ?, ?, ?, ?)'
-    ).run(uid, questId, status, today, xpDelta);
-  }
+// ── Regions ───────────────────────────────────────────────────────────────────
 
-  let defeatedBoss = null;
-  const unlocks = [];
+function listRegions() {
+  return db.prepare('SELECT * FROM regions ORDER BY sort_order').all();
+}
 
-  if (xpDelta !== 0) {
-    const oldGs = db.prepare('SELECT total_xp FROM game_state WHERE user_id = ?').get(uid);
-    const oldLevel = xpToLevel(oldGs.total_xp);
-    const oldXp = oldGs.total_xp;
-    db.prepare('UPDATE game_state SET total_xp = MAX(0, total_xp + ?) WHERE user_id = ?').run(xpDelta, uid);
-    const label = xpDelta > 0 ? `Daily: ${cfg.name}` : `Penalty: ${cfg.name}`;
-    db.prepare('INSERT INTO xp_log (user_id, date, note, xp) VALUES (?, ?, ?, ?)').run(uid, logDate, label, xpDelta);
-    db.prepare('DELETE FROM xp_log WHERE user_id = ? AND id NOT IN (SELECT id FROM xp_log WHERE user_id = ? ORDER BY id DESC LIMIT 50)').run(uid, uid);
-
-    const newGs = db.prepare('SELECT total_xp FROM game_state WHERE user_id = ?').get(uid);
-    const newLevel = xpToLevel(newGs.total_xp);
-    const newXp = newGs.total_xp;
-
-    if (newLevel > oldLevel) {
-      for (let lvl = oldLevel; lvl < newLevel; lvl++) {
-        // Defeat current boss
-        const boss = db.prepare('SELECT * FROM region_bosses WHERE user_id = ? AND level_req = ?').get(uid, lvl);
-        if (boss) {
-          db.prepare("UPDATE region_bosses SET status = 'defeated' WHERE user_id = ? AND level_req = ?").run(uid, lvl);
-          if (!defeatedBoss) defeatedBoss = { name: boss.name, subtitle: boss.subtitle };
-        }
-        // Unlock next boss
-        const nextBoss = db.prepare('SELECT * FROM region_bosses WHERE user_id = ? AND level_req = ?').get(uid, lvl + 1);
-        if (nextBoss) {
-          db.prepare("UPDATE region_bosses SET status = 'active' WHERE user_id = ? AND level_req = ?").run(uid, lvl + 1);
-          unlocks.push({ type: 'boss', name: nextBoss.name, subtitle: nextBoss.subtitle });
-        }
-        // Gear unlocked by level
-        const newGear = db.prepare('SELECT * FROM map_gear WHERE unlock_lvl = ?').all(lvl + 1);
-        newGear.forEach(g => unlocks.push({ type: 'gear', name: g.name, gearType: g.type }));
-      }
-    }
+function getRegion(id) {
+  return db.prepare('SELECT * FROM regions WHERE id = ?').get(id) || null;
+}
 
-    // Gear unlocked by XP threshold (weapon-ashen unlocks at 3650 XP)
-    const GEAR_XP_THRESHOLDS = { 1: 3650 };
-    for (const [gearId, threshold] of Object.entries(GEAR_XP_THRESHOLDS)) {
-      if (oldXp < threshold && newXp >= threshold) {
-        const g = db.prepare('SELECT * FROM map_gear WHERE id = ?').get(Number(gearId));
-        if (g) unlocks.push({ type: 'gear', name: g.name, gearType: g.type });
-      }
+// ── Story ─────────────────────────────────────────────────────────────────────
+
+// Splits the chapters into those the user has unlocked and the locked ones,
+// which only expose what it takes to unlock them
+function storyFor(uid) {
+  const level    = xpToLevel(currentXp(uid));
+  const bosses   = db.prepare('SELECT region, level_req, name, status FROM region_bosses WHERE user_id = ?').all(uid);
+  const quests   = db.prepare('SELECT name, status FROM quests WHERE user_id = ?').all(uid);
+  const reads    = {};
+  db.prepare('SELECT chapter_key, read_at FROM story_reads WHERE user_id = ?').all(uid)
+    .forEach(r => { reads[r.chapter_key] = r.read_at; });
+  const chapters = db.prepare(`
+    SELECT c.* FROM story_chapters c LEFT JOIN regions r ON r.id = c.region ORDER BY r.sort_order, c.region, c.part
+  `).all();
+
+  const unlocked = [];
+  const locked   = [];
+  for (const c of chapters) {
+    let open, condition;
+    if (c.unlock_type === 'level') {
+      open      = level >= Number(c.unlock_value);
+      condition = `Unlocks at Level ${c.unlock_value}`;
+    } else if (c.unlock_type === 'boss') {
+      const boss = bosses.find(b => b.region === c.region && b.level_req === Number(c.unlock_value));
+      open       = !!boss && boss.status === 'defeated';
+      condition  = `Unlocks after defeating ${boss ? boss.name : 'the region boss'}`;
+    } else {
+      open      = quests.some(q => q.name === c.unlock_value && q.status === 'completed');
+      condition = `Unlocks after completing "${c.unlock_value}"`;
+    }
+    if (open) {
+      const { unlock_type, unlock_value, ...chapter } = c;
+      unlocked.push({ ...chapter, read_at: reads[c.key] ?? null });
+    } else {
+      locked.push({ key: c.key, region: c.region, part: c.part, condition });
     }
   }
+  return { level, chapters: unlocked, locked };
+}
 
-  const gs  = db.prepare('SELECT total_xp FROM game_state WHERE user_id = ?').get(uid);
-  const log = db.prepare('SELECT date, note, xp FROM xp_log WHERE user_id = ? ORDER BY id DESC LIMIT 50').all(uid);
-  res.json({ totalXP: gs.total_xp, stats: computeStats(uid), log, xpAwarded: xpDelta, defeatedBoss, unlocks });
-});
+// ── Friends & parties ─────────────────────────────────────────────────────────
 
-// GET /api/quests
-app.get('/api/quests', requireLogin, (req, res) => {
-  const uid       = req.session.userId;
-  const active    = db.prepare("SELECT * FROM quests WHERE user_id = ? AND status='active'    ORDER BY created_at ASC").all(uid);
-  const completed = db.prepare("SELECT * FROM quests WHERE user_id = ? AND status='completed' ORDER BY completed_at DESC").all(uid);
-  res.json({ active, completed });
-});
+const PARTY_MAX_MEMBERS = parseInt(process.env.PARTY_MAX_MEMBERS) || 5;
 
-// POST /api/quests — create
-app.post('/api/quests', requireLogin, (req, res) => {
-  const uid  = req.session.userId;
-  const name = String(req.body.name || '').trim().slice(0, 200);
-  const tag  = req.body.tag;
-  const xp   = Math.max(0, parseInt(req.body.xp) || 0);
-  if (!name || !['weekly','monthly','boss'].includes(tag)) {
-    return res.status(400).json({ error: 'Invalid quest data' });
-  }
-  db.prepare('INSERT INTO quests (user_id, name, tag, xp) VALUES (?, ?, ?, ?)').run(uid, name, tag, xp);
-  const active    = db.prepare("SELECT * FROM quests WHERE user_id = ? AND status='active'    ORDER BY created_at ASC").all(uid);
-  const completed = db.prepare("SELECT * FROM quests WHERE user_id = ? AND status='completed' ORDER BY completed_at DESC").all(uid);
-  res.json({ active, completed });
-});
+// Party quests count a habit across members, so they can only track the default
+// habits: those have the same id for everyone, while a custom habit's id is a
+// slug of its owner's naming that means nothing (or something else) to the rest
+const PARTY_QUEST_HABITS = HABIT_SEEDS.map(h => h.id);
 
-// POST /api/quests/:id/complete
-app.post('/api/quests/:id/complete', requireLogin, (req, res) => {
-  const uid   = req.session.userId;
-  const id    = parseInt(req.params.id);
-  const quest = db.prepare("SELECT * FROM quests WHERE id = ? AND user_id = ? AND status = 'active'").get(id, uid);
-  if (!quest) return res.status(404).json({ error: 'Quest not found or already completed' });
+function findUser(username) {
+  return db.prepare('SELECT id, username FROM users WHERE username = ?').get(String(username || '').trim()) || null;
+}
 
-  db.prepare("UPDATE quests SET status='completed', completed_at=unixepoch() WHERE id=? AND user_id=?").run(id, uid);
+function usernameOf(uid) {
+  const u = db.prepare('SELECT username FROM users WHERE id = ?').get(uid);
+  return u ? u.username : 'Someone';
+}
 
-  if (quest.xp > 0) {
-    const logDate = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-    const tag = quest.tag === 'boss' ? 'Boss Defeated' : 'Quest Complete';
-    db.prepare('UPDATE game_state SET total_xp = total_xp + ? WHERE user_id = ?').run(quest.xp, uid);
-    db.prepare('INSERT INTO xp_log (user_id, date, note, xp) VALUES (?, ?, ?, ?)').run(uid, logDate, `${tag}: ${quest.name}`, quest.xp);
-    db.prepare('DELETE FROM xp_log WHERE user_id = ? AND id NOT IN (SELECT id FROM xp_log WHERE user_id = ? ORDER BY id DESC LIMIT 50)').run(uid, uid);
-  }
+// Users with their XP, for social lists. `ids` is a subquery yielding user ids.
+function socialUsers(ids, ...params) {
+  return db.prepare(`
+    SELECT u.id, u.username, COALESCE(g.total_xp, 0) as total_xp
+    FROM users u LEFT JOIN game_state g ON g.user_id = u.id
+    WHERE u.id IN (${ids}) ORDER BY u.username COLLATE NOCASE
+  `).all(...params);
+}
 
-  const gs        = db.prepare('SELECT total_xp FROM game_state WHERE user_id = ?').get(uid);
-  const log       = db.prepare('SELECT date, note, xp FROM xp_log WHERE user_id = ? ORDER BY id DESC LIMIT 50').all(uid);
-  const active    = db.prepare("SELECT * FROM quests WHERE user_id = ? AND status='active'    ORDER BY created_at ASC").all(uid);
-  const completed = db.prepare("SELECT * FROM quests WHERE user_id = ? AND status='completed' ORDER BY completed_at DESC").all(uid);
-  res.json({ totalXP: gs.total_xp, stats: computeStats(uid), log, active, completed });
-});
+function areFriends(a, b) {
+  return !!db.prepare(`
+    SELECT 1 FROM friendships WHERE status = 'accepted'
+      AND ((requester_id = ? AND addressee_id = ?) OR (requester_id = ? AND addressee_id = ?))
+  `).get(a, b, b, a);
+}
 
-// DELETE /api/quests/:id
-app.delete('/api/quests/:id', requireLogin, (req, res) => {
-  const uid = req.session.userId;
-  const id  = parseInt(req.params.id);
-  db.prepare('DELETE FROM quests WHERE id = ? AND user_id = ?').run(id, uid);
-  const active    = db.prepare("SELECT * FROM quests WHERE user_id = ? AND status='active'    ORDER BY created_at ASC").all(uid);
-  const completed = db.prepare("SELECT * FROM quests WHERE user_id = ? AND status='completed' ORDER BY completed_at DESC").all(uid);
-  res.json({ active, completed });
-});
+// Subquery for the ids of a user's friends; binds the user id twice
+const FRIENDS_OF = `
+  SELECT addressee_id FROM friendships WHERE requester_id = ? AND status = 'accepted'
+  UNION SELECT requester_id FROM friendships WHERE addressee_id = ? AND status = 'accepted'
+`;
 
-app.post('/api/reset', requireLogin, (req, res) => {
-  const uid = req.session.userId;
-  db.prepare('UPDATE game_state SET total_xp = 0 WHERE user_id = ?').run(uid);
-  db.prepare('UPDATE stats SET str=0, dis=0, vit=0, wis=0, endurance=0 WHERE user_id=?').run(uid);
-  db.prepare('DELETE FROM xp_log WHERE user_id = ?').run(uid);
-  res.json({ ok: true });
-});
+function socialLists(uid) {
+  return {
+    friends:   socialUsers(FRIENDS_OF, uid, uid),
+    incoming:  socialUsers("SELECT requester_id FROM friendships WHERE addressee_id = ? AND status = 'pending'", uid),
+    outgoing:  socialUsers("SELECT addressee_id FROM friendships WHERE requester_id = ? AND status = 'pending'", uid),
+    following: socialUsers('SELECT followee_id FROM follows WHERE follower_id = ?', uid),
+    followers: socialUsers('SELECT follower_id FROM follows WHERE followee_id = ?', uid),
+  };
+}
 
-// ── Map routes ────────────────────────────────────────────────────────────────
+function partyOf(uid) {
+  return db.prepare(`
+    SELECT p.* FROM parties p JOIN party_members m ON m.party_id = p.id WHERE m.user_id = ?
+  `).get(uid) || null;
+}
 
-app.get('/api/community', requireLogin, (req, res) => {
-  const users = db.prepare(`
-    SELECT u.username, COALESCE(g.total_xp, 0) as total_xp
-    FROM users u
-    LEFT JOIN game_state g ON g.user_id = u.id
-    ORDER BY total_xp DESC
-  `).all();
-  res.json(users);
-});
+function partyMemberIds(partyId) {
+  return db.prepare('SELECT user_id FROM party_members WHERE party_id = ? ORDER BY joined_at, user_id').all(partyId)
+    .map(m => Number(m.user_id));
+}
 
-app.get('/api/map', requireLogin, (req, res) => {
-  const uid          = req.session.userId;
-  const gs           = db.prepare('SELECT total_xp FROM game_state WHERE user_id = ?').get(uid);
-  const level        = xpToLevel(gs ? gs.total_xp : 0);
-  const cinematics   = db.prepare('SELECT region, seen FROM map_cinematics WHERE user_id = ?').all(uid);
-  const gear         = db.prepare('SELECT * FROM map_gear').all();
-  const bosses       = db.prepare("SELECT id, name, status, xp, tag FROM quests WHERE user_id = ? AND tag = 'boss'").all(uid);
-  const quests       = db.prepare("SELECT id, name, tag, status, xp FROM quests WHERE user_id = ? ORDER BY created_at ASC").all(uid);
-  const regionBosses = db.prepare('SELECT * FROM region_bosses WHERE user_id = ? ORDER BY region, level_req ASC').all(uid);
-  res.json({ level, total_xp: gs ? gs.total_xp : 0, cinematics, gear, bosses, quests, regionBosses });
+function logPartyEvent(partyId, uid, kind, message) {
+  db.prepare('INSERT INTO party_feed (party_id, user_id, kind, message) VALUES (?, ?, ?, ?)').run(partyId, uid, kind, message);
+}
+
+// Called by withProgression so every level-up and boss kill reaches the feed
+function recordPartyProgress(uid, levelBefore, levelAfter, victory) {
+  const party = partyOf(uid);
+  if (!party) return;
+  const name = usernameOf(uid);
+  if (levelAfter > levelBefore) logPartyEvent(party.id, uid, 'level_up', `${name} reached Level ${levelAfter}`);
+  if (victory) logPartyEvent(party.id, uid, 'boss_defeated', `${name} defeated ${victory.name}`);
+}
+
+function joinParty(partyId, uid) {
+  db.prepare('DELETE FROM party_invites WHERE user_id = ?').run(uid);
+  db.prepare('INSERT INTO party_members (party_id, user_id) VALUES (?, ?)').run(partyId, uid);
+  logPartyEvent(partyId, uid, 'joined', `${usernameOf(uid)} joined the party`);
+}
+
+// Leadership passes to the longest-standing member; the last one out disbands the party
+function leaveParty(uid) {
+  const party = partyOf(uid);
+  if (!party) return;
+  transaction(() => {
+    db.prepare('DELETE FROM party_members WHERE user_id = ?').run(uid);
+    const remaining = partyMemberIds(party.id);
+    if (!remaining.length) {
+      ['party_invites', 'party_quests', 'party_feed', 'party_members'].forEach(t =>
+        db.prepare(`DELETE FROM ${t} WHERE party_id = ?`).run(party.id));
+      db.prepare('DELETE FROM parties WHERE id = ?').run(party.id);
+      return;
+    }
+    if (party.leader_id === uid) db.prepare('UPDATE parties SET leader_id = ? WHERE id = ?').run(remaining[0], party.id);
+    logPartyEvent(party.id, uid, 'left', `${usernameOf(uid)} left the party`);
+  });
+}
+
+// Completions of the quest's habit logged by current members inside its window.
+// Each member counts from the day they joined (in their timezone), so history
+// from before can't complete a quest on arrival.
+function partyQuestProgress(pq) {
+  const count = db.prepare(`
+    SELECT COUNT(*) as n FROM daily_quests
+    WHERE user_id = ? AND quest_id = ? AND status = 'completed' AND date BETWEEN ? AND ?
+  `);
+  const total = db.prepare('SELECT user_id, joined_at FROM party_members WHERE party_id = ?').all(pq.party_id)
+    .reduce((sum, m) => {
+      const joined = dayInZone(userTimezone(m.user_id), new Date(m.joined_at * 1000));
+      return sum + Number(count.get(m.user_id, pq.habit_id, joined > pq.starts_on ? joined : pq.starts_on, pq.ends_on).n);
+    }, 0);
+  return Math.min(total, pq.target);
+}
+
+function expirePartyQuests(partyId, today) {
+  db.prepare("UPDATE party_quests SET status = 'expired' WHERE party_id = ? AND status = 'active' AND ends_on < ?").run(partyId, today);
+}
+
+// Complete the party's quests that uid's latest mark pushed over the target.
+// Every member is paid: uid inside the caller's withProgression, the rest
+// through their own. Returns uid's unlocks.
+function evaluatePartyQuests(uid) {
+  const party = partyOf(uid);
+  if (!party) return [];
+  expirePartyQuests(party.id, todayStr(uid));
+  const unlocks = [];
+  const quests  = db.prepare("SELECT * FROM party_quests WHERE party_id = ? AND status = 'active'").all(party.id);
+  for (const pq of quests) {
+    if (partyQuestProgress(pq) < pq.target) continue;
+    db.prepare("UPDATE party_quests SET status = 'completed', completed_at = unixepoch() WHERE id = ?").run(pq.id);
+    logPartyEvent(party.id, uid, 'quest_completed', `The party completed "${pq.name}" (+${pq.xp.toLocaleString()} XP each)`);
+    if (pq.xp <= 0) continue;
+    const entry = { xp: pq.xp, note: `Party Quest: ${pq.name}`, source: 'quest', ref: `party:${pq.id}` };
+    for (const member of partyMemberIds(party.id)) {
+      if (member === uid) addXp(uid, entry);
+      else awardXp(member, entry);
+    }
+    unlocks.push({ type: 'quest', name: pq.name, subtitle: `Party · +${pq.xp.toLocaleString()} XP`, xp: pq.xp });
+  }
+  return unlocks;
+}
+
+function partyState(uid) {
+  const invites = db.prepare(`
+    SELECT i.party_id, p.name, u.username as invited_by, i.created_at
+    FROM party_invites i JOIN parties p ON p.id = i.party_id JOIN users u ON u.id = i.invited_by
+    WHERE i.user_id = ? ORDER BY i.created_at DESC
+  `).all(uid);
+  const party = partyOf(uid);
+  if (!party) return { party: null, invites, max_members: PARTY_MAX_MEMBERS, quest_habits: PARTY_QUEST_HABITS };
+
+  expirePartyQuests(party.id, todayStr(uid));
+  const members = socialUsers('SELECT user_id FROM party_members WHERE party_id = ?', party.id)
+    .map(m => ({ ...m, is_leader: m.id === party.leader_id }));
+  const quests = db.prepare(`
+    SELECT * FROM party_quests WHERE party_id = ?
+    ORDER BY status = 'active' DESC, ends_on DESC, id DESC LIMIT 20
+  `).all(party.id).map(pq => ({ ...pq, progress: partyQuestProgress(pq) }));
+  const pending = socialUsers('SELECT user_id FROM party_invites WHERE party_id = ?', party.id);
+  const feed = db.prepare('SELECT id, user_id, kind, message, created_at FROM party_feed WHERE party_id = ? ORDER BY id DESC LIMIT 30')
+    .all(party.id);
+  return {
+    party: { ...party, is_leader: party.leader_id === uid }, members, pending, quests, feed, invites,
+    max_members: PARTY_MAX_MEMBERS, quest_habits: PARTY_QUEST_HABITS,
+  };
+}
+
+// ── Leaderboards ──────────────────────────────────────────────────────────────
+
+// Boards are rebuilt into leaderboard_snapshots on a timer, so reading one
+// never recomputes stats or streaks for every user. The viewer's own rows are
+// brought up to date as they read, so a new player shows at once.
+const LEADERBOARD_REFRESH_MINUTES = parseInt(process.env.LEADERBOARD_REFRESH_MINUTES) || 15;
+const XP_PERIODS         = ['week', 'month', 'all'];
+const LEADERBOARD_BOARDS = ['xp', ...STAT_KEYS, 'streak', 'streak_best'];
+const VISIBILITIES       = ['public', 'friends', 'hidden'];
+
+function boardKey(board, period) {
+  return board === 'xp' ? `xp:${period}` : board;
+}
+
+// Every board's score for one user. Weeks and months follow the user's own calendar.
+function leaderboardScores(uid) {
+  const today    = todayStr(uid);
+  const xpSince  = since => Number(db.prepare('SELECT COALESCE(SUM(xp), 0) as n FROM xp_log WHERE user_id = ? AND date >= ?').get(uid, since).n);
+  const stats    = computeStats(uid);
+  const streaks  = Object.values(computeStreaks(uid));
+  const scores   = {
+    'xp:week':   xpSince(weekStart(today)),
+    'xp:month':  xpSince(today.slice(0, 8) + '01'),
+    'xp:all':    currentXp(uid),
+    streak:      Math.max(0, ...streaks.map(s => s.current)),
+    streak_best: Math.max(0, ...streaks.map(s => s.longest)),
+  };
+  STAT_KEYS.forEach(k => { scores[k] = stats[k]; });
+  return scores;
+}
+
+function snapshotScores(uid, now = Math.floor(Date.now() / 1000)) {
+  const insert  = db.prepare('INSERT INTO leaderboard_snapshots (board, user_id, score, total_xp, computed_at) VALUES (?, ?, ?, ?, ?)');
+  const totalXp = currentXp(uid);
+  for (const [board, score] of Object.entries(leaderboardScores(uid))) insert.run(board, uid, score, totalXp, now);
+}
+
+function refreshLeaderboards() {
+  const now = Math.floor(Date.now() / 1000);
+  transaction(() => {
+    db.exec('DELETE FROM leaderboard_snapshots');
+    db.prepare('SELECT user_id FROM game_state').all().forEach(({ user_id }) => snapshotScores(Number(user_id), now));
+  });
+}
+
+function refreshLeaderboardRows(uid) {
+  transaction(() => {
+    db.prepare('DELETE FROM leaderboard_snapshots WHERE user_id = ?').run(uid);
+    snapshotScores(uid);
+  });
+}
+
+// One page of a board as `viewer` sees it. 'global' lists public profiles;
+// 'friends' lists the viewer's friends unless they hide from every board.
+// The viewer always sees their own row.
+function readLeaderboard(viewer, key, scope, page, limit) {
+  const filter = scope === 'friends'
+    ? `(u.id = ? OR (u.id IN (${FRIENDS_OF}) AND u.leaderboard_visibility != 'hidden'))`
+    : "(u.id = ? OR u.leaderboard_visibility = 'public')";
+  const params = scope === 'friends' ? [viewer, viewer, viewer] : [viewer];
+  const ranked = `
+    WITH ranked AS (
+      SELECT s.user_id, s.score, s.total_xp, COALESCE(u.display_name, u.username) as name,
+             RANK() OVER (ORDER BY s.score DESC) as rank
+      FROM leaderboard_snapshots s JOIN users u ON u.id = s.user_id
+      WHERE s.board = ? AND ${filter}
+    )`;
+  const total   = Number(db.prepare(`${ranked} SELECT COUNT(*) as n FROM ranked`).get(key, ...params).n);
+  const entries = db.prepare(`${ranked} SELECT * FROM ranked ORDER BY rank, name LIMIT ? OFFSET ?`)
+    .all(key, ...params, limit, (page - 1) * limit);
+  const me      = db.prepare(`${ranked} SELECT rank, score FROM ranked WHERE user_id = ?`).get(key, ...params, viewer) || null;
+  // The oldest score on the board, since the viewer's own rows are fresher
+  const updated = db.prepare('SELECT MIN(computed_at) as t FROM leaderboard_snapshots WHERE board = ?').get(key).t;
+  const badges  = achievementBadges(entries.map(e => e.user_id));
+  return {
+    computed_at: updated, total, page, limit, pages: Math.ceil(total / limit), me,
+    entries: entries.map(({ user_id, ...e }) => ({ ...e, is_me: user_id === viewer, badges: badges[user_id] || [] })),
+  };
+}
+
+// ── Streaks & quest rules ─────────────────────────────────────────────────────
+
+// Current and longest run of consecutive completed days for one habit. A run
+// that ended yesterday still counts as current, since today may not be logged yet.
+function habitStreak(uid, habitId, since = '0000-00-00') {
+  const dates = db.prepare(`
+    SELECT date FROM daily_quests
+    WHERE user_id = ? AND quest_id = ? AND status = 'completed' AND date >= ?
+    ORDER BY date ASC
+  `).all(uid, habitId, since).map(r => r.date);
+
+  let longest = 0, run = 0, prev = null;
+  for (const d of dates) {
+    run = prev && addDays(prev, 1) === d ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = d;
+  }
+  const today   = todayStr(uid);
+  const current = prev && prev >= addDays(today, -1) ? run : 0;
+  return { current, longest };
+}
+
+function computeStreaks(uid) {
+  const streaks = {};
+  getHabits(uid).forEach(h => { streaks[h.id] = habitStreak(uid, h.id); });
+  return streaks;
+}
+
+// Rule shapes stored as JSON in quests.rule:
+//   { type: 'count',        habit, count, window }  — N completions of a habit within the last `window` days
+//   { type: 'streak',       habit, days }           — a current streak of N consecutive days
+//   { type: 'perfect_days', count, window }         — N days with every active habit completed
+//   { type: 'metric',       metric, target, comparison } — a body metric logged at or past a target
+const QUEST_RULE_TYPES = ['count', 'streak', 'perfect_days', 'metric'];
+
+// Validate a rule from a request body against the user's habits and metrics, or
+// with uid null against the defaults (for quest seeds). Returns { rule } (null
+// for a manual quest) or { error }.
+function parseQuestRule(uid, rule) {
+  if (rule === undefined || rule === null || rule === '') return { rule: null };
+  if (typeof rule !== 'object' || !QUEST_RULE_TYPES.includes(rule.type)) return { error: 'Invalid quest rule' };
+  const n = v => Math.max(1, Math.min(366, parseInt(v) || 0));
+  if (rule.type === 'metric') {
+    const metric = uid === null
+      ? METRIC_SEEDS.find(m => m.id === String(rule.metric || ''))
+      : db.prepare('SELECT * FROM metrics WHERE user_id = ? AND id = ?').get(uid, String(rule.metric || ''));
+    if (!metric) return { error: 'Quest rule references an unknown metric' };
+    const target = Number(rule.target);
+    if (rule.target === null || rule.target === '' || !(Math.abs(target) < 1e9)) return { error: 'Quest rule needs a numeric target' };
+    const comparison = rule.comparison || (metric.direction === 'lower' ? 'at_most' : 'at_least');
+    if (!['at_least', 'at_most'].includes(comparison)) return { error: 'Invalid quest rule' };
+    return { rule: { type: 'metric', metric: metric.id, target, comparison } };
+  }
+  if (rule.type !== 'perfect_days') {
+    const habit = uid === null
+      ? HABIT_SEEDS.find(h => h.id === String(rule.habit || ''))
+      : db.prepare('SELECT id FROM habits WHERE user_id = ? AND id = ?').get(uid, String(rule.habit || ''));
+    if (!habit) return { error: 'Quest rule references an unknown habit' };
+  }
+  if (rule.type === 'streak') return { rule: { type: 'streak', habit: rule.habit, days: n(rule.days) } };
+  const parsed = { type: rule.type, count: n(rule.count), window: n(rule.window) };
+  if (rule.type === 'count') parsed.habit = rule.habit;
+  if (parsed.count > parsed.window) return { error: 'Quest rule count exceeds its window' };
+  return { rule: parsed };
+}
+
+// Progress toward a quest's rule. Only days inside the quest's period count,
+// or for a quest without one, days since it was taken on.
+function questRuleProgress(uid, quest, rule) {
+  const today = todayStr(uid);
+  const since = quest.starts_on || dayInZone(userTimezone(uid), new Date(quest.created_at * 1000));
+  const until = quest.ends_on && quest.ends_on < today ? quest.ends_on : today;
+  const windowStart = days => {
+    const start = addDays(until, -(days - 1));
+    return start > since ? start : since;
+  };
+
+  if (rule.type === 'streak') {
+    return { current: habitStreak(uid, rule.habit, since).current, target: rule.days };
+  }
+  if (rule.type === 'metric') {
+    // The best value logged in the window; one entry past the target is enough
+    const atMost = rule.comparison === 'at_most';
+    const row = db.prepare(`
+      SELECT ${atMost ? 'MIN' : 'MAX'}(value) as best FROM metric_entries
+      WHERE user_id = ? AND metric_id = ? AND date >= ? AND date <= ?
+    `).get(uid, rule.metric, since, until);
+    const metric = db.prepare('SELECT unit FROM metrics WHERE user_id = ? AND id = ?').get(uid, rule.metric);
+    const met = row.best !== null && (atMost ? row.best <= rule.target : row.best >= rule.target);
+    return { current: row.best, target: rule.target, met, unit: metric ? metric.unit : '' };
+  }
+  if (rule.type === 'count') {
+    const row = db.prepare(`
+      SELECT COUNT(*) as cnt FROM daily_quests
+      WHERE user_id = ? AND quest_id = ? AND status = 'completed' AND date >= ? AND date <= ?
+    `).get(uid, rule.habit, windowStart(rule.window), until);
+    return { current: Number(row.cnt), target: rule.count };
+  }
+  return { current: perfectDayCount(uid, windowStart(rule.window), until), target: rule.count };
+}
+
+// Days between from and to (inclusive) with every active habit completed
+function perfectDayCount(uid, from, to) {
+  const ids = getHabits(uid).map(h => h.id);
+  if (!ids.length) return 0;
+  const days = db.prepare(`
+    SELECT date FROM daily_quests
+    WHERE user_id = ? AND status = 'completed' AND date >= ? AND date <= ?
+      AND quest_id IN (${ids.map(() => '?').join(',')})
+    GROUP BY date HAVING COUNT(*) = ?
+  `).all(uid, from, to, ...ids, ids.length);
+  return days.length;
+}
+
+// Mark a quest completed and award its XP (call inside withProgression)
+function completeQuest(uid, quest) {
+  db.prepare("UPDATE quests SET status='completed', completed_at=unixepoch() WHERE id=? AND user_id=?").run(quest.id, uid);
+
+  if (quest.xp > 0) {
+    const tag = quest.tag === 'boss' ? 'Boss Defeated' : 'Quest Complete';
+    addXp(uid, { xp: quest.xp, note: `${tag}: ${quest.name}`, source: 'quest', ref: quest.id });
+  }
+}
+
+// Auto-complete every active quest whose rule is now satisfied; returns them as unlocks
+function evaluateQuestRules(uid) {
+  const unlocks = [];
+  const ruled = db.prepare("SELECT * FROM quests WHERE user_id = ? AND status = 'active' AND rule IS NOT NULL").all(uid);
+  for (const quest of ruled) {
+    const progress = questRuleProgress(uid, quest, JSON.parse(quest.rule));
+    if (!(progress.met ?? progress.current >= progress.target)) continue;
+    completeQuest(uid, quest);
+    unlocks.push({ type: 'quest', name: quest.name, subtitle: `+${quest.xp.toLocaleString()} XP`, xp: quest.xp });
+  }
+  return unlocks;
+}
+
+// ── Recurring quests ──────────────────────────────────────────────────────────
+
+// Weekly and monthly quests run for one calendar period. When it ends an open
+// quest fails, costing its penalty, and a recurring one comes back for the
+// current period. Each occurrence is its own row; later ones point at the
+// first through series_id.
+const QUEST_PERIODS = { weekly: 'week', monthly: 'month' };
+
+// Occurrences share the id of the series' first one
+const QUEST_SERIES = 'COALESCE(series_id, id)';
+
+// Only each series' newest occurrence, for pages that list quests rather than their history
+const LATEST_QUESTS = `id IN (SELECT MAX(id) FROM quests GROUP BY user_id, ${QUEST_SERIES})`;
+
+function insertQuest(uid, { name, tag, xp, rule = null, penalty = 0, recurring = tag !== 'boss', seriesId = null }) {
+  const period = QUEST_PERIODS[tag] ? calendarPeriod(QUEST_PERIODS[tag], todayStr(uid)) : { starts_on: null, ends_on: null };
+  db.prepare(`
+    INSERT INTO quests (user_id, name, tag, xp, rule, penalty, recurring, series_id, starts_on, ends_on)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(uid, name, tag, xp, rule, penalty, recurring && tag !== 'boss' ? 1 : 0, seriesId, period.starts_on, period.ends_on);
+}
+
+// Weekly and monthly quests from before recurrence (or an older archive) get
+// a period: open ones the current one, finished ones the one they closed in
+function fillQuestPeriods(uid) {
+  const tz    = userTimezone(uid);
+  const today = todayStr(uid);
+  const set   = db.prepare('UPDATE quests SET starts_on = ?, ends_on = ? WHERE id = ?');
+  db.prepare("SELECT * FROM quests WHERE user_id = ? AND tag != 'boss' AND ends_on IS NULL").all(uid).forEach(q => {
+    const day = q.status === 'active' ? today : dayInZone(tz, new Date((q.completed_at ?? q.created_at) * 1000));
+    const { starts_on, ends_on } = calendarPeriod(QUEST_PERIODS[q.tag], day);
+    set.run(starts_on, ends_on, q.id);
+  });
+}
+
+// Fail the quests whose period is over and spawn the next occurrence of each
+// recurring series that has none open. A series skips the periods nobody was
+// around for rather than failing once for each. Returns the progression
+// result, or null when nothing was due.
+function rolloverQuests(uid) {
+  const today   = todayStr(uid);
+  const expired = db.prepare("SELECT * FROM quests WHERE user_id = ? AND status = 'active' AND ends_on < ?").all(uid, today);
+  const endedSeries = () => db.prepare(`
+    SELECT * FROM quests q
+    WHERE user_id = ? AND recurring = 1 AND status != 'active' AND ends_on < ?
+      AND id = (SELECT MAX(id) FROM quests WHERE user_id = q.user_id AND ${QUEST_SERIES} = COALESCE(q.series_id, q.id))
+  `).all(uid, today);
+  if (!expired.length && !endedSeries().length) return null;
+
+  return withProgression(uid, () => {
+    for (const q of expired) {
+      db.prepare("UPDATE quests SET status = 'failed' WHERE id = ?").run(q.id);
+      if (q.penalty > 0) {
+        addXp(uid, { xp: -q.penalty, note: `Quest Failed: ${q.name}`, source: 'quest', ref: q.id, date: q.ends_on });
+      }
+    }
+    for (const q of endedSeries()) {
+      insertQuest(uid, { name: q.name, tag: q.tag, xp: q.xp, rule: q.rule, penalty: q.penalty, recurring: true,
+                         seriesId: q.series_id ?? q.id });
+    }
+  });
+}
+
+function rolloverAllQuests() {
+  db.prepare('SELECT DISTINCT user_id FROM quests WHERE ends_on IS NOT NULL').all()
+    .forEach(r => rolloverQuests(Number(r.user_id)));
+}
+
+function questLists(uid) {
+  const today     = todayStr(uid);
+  const active    = db.prepare("SELECT * FROM quests WHERE user_id = ? AND status='active'    ORDER BY ends_on IS NULL, ends_on, created_at").all(uid);
+  const completed = db.prepare("SELECT * FROM quests WHERE user_id = ? AND status='completed' ORDER BY completed_at DESC").all(uid);
+  const failed    = db.prepare("SELECT * FROM quests WHERE user_id = ? AND status='failed'    ORDER BY ends_on DESC, id DESC").all(uid);
+  // Past occurrences of each series, for its completion rate
+  const history = {};
+  db.prepare(`
+    SELECT ${QUEST_SERIES} as series, COALESCE(SUM(status = 'completed'), 0) as completed, COALESCE(SUM(status = 'failed'), 0) as failed
+    FROM quests WHERE user_id = ? AND status != 'active' GROUP BY series
+  `).all(uid).forEach(({ series, ...counts }) => { history[series] = counts; });
+
+  active.forEach(q => {
+    q.days_left = q.ends_on ? daysBetween(today, q.ends_on) : null;
+    q.history   = history[q.series_id ?? q.id] || { completed: 0, failed: 0 };
+    if (!q.rule) return;
+    q.rule = JSON.parse(q.rule);
+    q.progress = questRuleProgress(uid, q, q.rule);
+  });
+  [...completed, ...failed].forEach(q => { if (q.rule) q.rule = JSON.parse(q.rule); });
+  return { active, completed, failed };
+}
+
+// ── Achievements ──────────────────────────────────────────────────────────────
+
+// Rule shapes stored as JSON in achievements.rule:
+//   { type: 'perfect_days',     count }   — N perfect days, all time
+//   { type: 'books_finished',   count }   — N books completed
+//   { type: 'streak',           habit, days } — a run of N consecutive days, at any point
+//   { type: 'quests_completed', count }   — N quests completed
+//   { type: 'bosses_defeated',  count }   — N bosses defeated
+//   { type: 'region_cleared',   region }  — every boss in a region defeated
+//   { type: 'level',            level }   — reach a level
+function achievementProgress(uid, rule) {
+  const count = sql => Number(db.prepare(sql).get(uid).n);
+  switch (rule.type) {
+    case 'perfect_days':
+      return { current: perfectDayCount(uid, '0000-00-00', todayStr(uid)), target: rule.count };
+    case 'books_finished':
+      return { current: count("SELECT COUNT(*) as n FROM books WHERE user_id = ? AND status = 'completed'"), target: rule.count };
+    case 'streak':
+      return { current: habitStreak(uid, rule.habit).longest, target: rule.days };
+    case 'quests_completed':
+      return { current: count("SELECT COUNT(*) as n FROM quests WHERE user_id = ? AND status = 'completed'"), target: rule.count };
+    case 'bosses_defeated':
+      return { current: count("SELECT COUNT(*) as n FROM region_bosses WHERE user_id = ? AND status = 'defeated'"), target: rule.count };
+    case 'region_cleared': {
+      const row = db.prepare(`
+        SELECT COUNT(*) as total, COALESCE(SUM(status = 'defeated'), 0) as defeated
+        FROM region_bosses WHERE user_id = ? AND region = ?
+      `).get(uid, rule.region);
+      // A region with no bosses can't be cleared
+      return { current: Number(row.defeated), target: Math.max(1, Number(row.total)) };
+    }
+    case 'level':
+      return { current: xpToLevel(currentXp(uid)), target: rule.level };
+    default:
+      return { current: 0, target: 1 };
+  }
+}
+
+// Award every achievement the user now qualifies for; returns them as unlocks.
+// Awards are permanent, even if the progress behind them is later lost.
+function evaluateAchievements(uid) {
+  const pending = db.prepare(`
+    SELECT * FROM achievements
+    WHERE id NOT IN (SELECT achievement_id FROM user_achievements WHERE user_id = ?)
+    ORDER BY sort_order
+  `).all(uid);
+  const award   = db.prepare('INSERT OR IGNORE INTO user_achievements (user_id, achievement_id) VALUES (?, ?)');
+  const unlocks = [];
+  for (const a of pending) {
+    const progress = achievementProgress(uid, JSON.parse(a.rule));
+    if (progress.current < progress.target) continue;
+    award.run(uid, a.id);
+    unlocks.push({ type: 'achievement', name: a.name, subtitle: a.description, icon: a.icon });
+  }
+  return unlocks;
+}
+
+// Every achievement with the user's award time, plus progress toward those still open
+function achievementsFor(uid) {
+  return db.prepare(`
+    SELECT a.id, a.name, a.description, a.icon, a.rule, ua.awarded_at
+    FROM achievements a LEFT JOIN user_achievements ua ON ua.achievement_id = a.id AND ua.user_id = ?
+    ORDER BY a.sort_order
+  `).all(uid).map(({ rule, ...a }) => ({
+    ...a, progress: a.awarded_at ? null : achievementProgress(uid, JSON.parse(rule)),
+  }));
+}
+
+// Awarded badges for a set of users, keyed by user id
+function achievementBadges(uids) {
+  const badges = {};
+  if (!uids.length) return badges;
+  db.prepare(`
+    SELECT ua.user_id, a.id, a.name, a.icon FROM user_achievements ua JOIN achievements a ON a.id = ua.achievement_id
+    WHERE ua.user_id IN (${uids.map(() => '?').join(',')}) ORDER BY a.sort_order
+  `).all(...uids).forEach(({ user_id, ...b }) => (badges[user_id] = badges[user_id] || []).push(b));
+  return badges;
+}
+
+// ── Analytics ─────────────────────────────────────────────────────────────────
+
+// Monday of the week containing dateStr
+function weekStart(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const dow = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+  return addDays(dateStr, -((dow + 6) % 7));
+}
+
+// Long-range history for charts: per-habit completion rates by week and month
+// (and logged values for measured habits), XP per day, a calendar heatmap and
+// stats reconstructed at the end of each week
+function buildAnalytics(uid, from, to) {
+  const habits = getHabits(uid, true);
+  const active = habits.filter(h => !h.archived);
+
+  const days = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) days.push(d);
+
+  // Stats look back 6 days, so pull history from before the range too
+  const status = {};  // date → { habitId: 'completed' | 'failed' }
+  db.prepare('SELECT quest_id, status, date FROM daily_quests WHERE user_id = ? AND date >= ? AND date <= ?')
+    .all(uid, addDays(from, -6), to)
+    .forEach(r => { (status[r.date] = status[r.date] || {})[r.quest_id] = r.status; });
+  const is = (date, habitId, st) => (status[date] || {})[habitId] === st;
+
+  // Logged values of measured habits inside the range
+  const values = {};
+  db.prepare('SELECT quest_id, date, value FROM daily_quests WHERE user_id = ? AND value IS NOT NULL AND date >= ? AND date <= ? ORDER BY date')
+    .all(uid, from, to)
+    .forEach(r => { (values[r.quest_id] = values[r.quest_id] || []).push({ date: r.date, value: r.value }); });
+
+  const habitSeries = habits.map(h => {
+    const weekly  = {};
+    const monthly = {};
+    days.forEach(d => {
+      for (const [bucket, key] of [[weekly, weekStart(d)], [monthly, d.slice(0, 7)]]) {
+        const p = bucket[key] = bucket[key] || { period: key, completed: 0, failed: 0, days: 0 };
+        p.days++;
+        if (is(d, h.id, 'completed')) p.completed++;
+        if (is(d, h.id, 'failed'))    p.failed++;
+      }
+    });
+    const withRate = bucket => Object.values(bucket).map(p => ({ ...p, rate: Math.round(p.completed / p.days * 100) / 100 }));
+    return {
+      id: h.id, name: h.name, icon: h.icon, kind: h.kind, archived: !!h.archived,
+      weekly: withRate(weekly), monthly: withRate(monthly),
+      ...(h.target !== null && { unit: h.unit, target: h.target, comparison: h.comparison, values: values[h.id] || [] }),
+    };
+  });
+
+  const xpRows = {};
+  db.prepare('SELECT date, SUM(xp) as xp FROM xp_log WHERE user_id = ? AND date >= ? AND date <= ? GROUP BY date')
+    .all(uid, from, to)
+    .forEach(r => { xpRows[r.date] = Number(r.xp); });
+  const xpByDay = days.map(date => ({ date, xp: xpRows[date] || 0 }));
+
+  const heatmap = days.map(date => {
+    const completed = active.filter(h => is(date, h.id, 'completed')).length;
+    const total     = active.length;
+    return { date, completed, total, level: total ? Math.ceil(completed / total * 4) : 0 };
+  });
+
+  const pages = pagesByDay(uid, addDays(weekStart(from), -6), to);
+  const statsHistory = [];
+  for (let wk = weekStart(from); wk <= to; wk = addDays(wk, 7)) {
+    const asOf   = addDays(wk, 6) < to ? addDays(wk, 6) : to;
+    const counts = {};
+    let pagesRead = 0;
+    for (let i = 0; i < 7; i++) {
+      const d = addDays(asOf, -i);
+      active.forEach(h => { if (is(d, h.id, 'completed')) counts[h.id] = (counts[h.id] || 0) + 1; });
+      pagesRead += pages[d] || 0;
+    }
+    statsHistory.push({ date: asOf, ...statsFromCounts(active, counts, pagesRead) });
+  }
+
+  return { from, to, habits: habitSeries, xpByDay, heatmap, statsHistory };
+}
+
+// ── Login throttling ──────────────────────────────────────────────────────────
+// Failed logins are counted per IP and per username within a sliding window;
+// reaching the limit locks that IP or username out for a while. Unknown
+// usernames count too, so probing for accounts is throttled the same way.
+
+const LOGIN_MAX_FAILURES = {
+  ip:   parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP)   || 20,
+  user: parseInt(process.env.LOGIN_MAX_FAILURES_PER_USER) || 5,
+};
+const LOGIN_WINDOW_MINUTES  = parseInt(process.env.LOGIN_WINDOW_MINUTES)  || 15;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Compared against when the username doesn't exist, so both cases take as long
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 12);
+
+function loginKeys(req, username) {
+  return [['ip', req.ip || 'unknown'], ['user', username.toLowerCase()]];
+}
+
+// Seconds until every lock on these keys has lifted (0 when none is locked)
+function loginLockedFor(keys) {
+  const now = Math.floor(Date.now() / 1000);
+  return keys.reduce((wait, [scope, key]) => {
+    const row = db.prepare('SELECT locked_until FROM login_throttle WHERE scope = ? AND key = ?').get(scope, key);
+    return row && row.locked_until > now ? Math.max(wait, row.locked_until - now) : wait;
+  }, 0);
+}
+
+// Count a failure against each key. Returns how long the keys are now locked for.
+function recordLoginFailure(keys) {
+  const now = Math.floor(Date.now() / 1000);
+  return transaction(() => {
+    // Counters whose window has passed (and that aren't locked) start over
+    db.prepare('DELETE FROM login_throttle WHERE window_start <= ? AND COALESCE(locked_until, 0) <= ?')
+      .run(now - LOGIN_WINDOW_MINUTES * 60, now);
+    let wait = 0;
+    for (const [scope, key] of keys) {
+      const { failures } = db.prepare(`
+        INSERT INTO login_throttle (scope, key, failures, window_start) VALUES (?, ?, 1, ?)
+        ON CONFLICT(scope, key) DO UPDATE SET failures = failures + 1
+        RETURNING failures
+      `).get(scope, key, now);
+      if (failures >= LOGIN_MAX_FAILURES[scope]) {
+        db.prepare('UPDATE login_throttle SET failures = 0, window_start = ?, locked_until = ? WHERE scope = ? AND key = ?')
+          .run(now, now + LOGIN_LOCKOUT_MINUTES * 60, scope, key);
+        wait = LOGIN_LOCKOUT_MINUTES * 60;
+      }
+    }
+    return wait;
+  });
+}
+
+function clearLoginFailures(username) {
+  db.prepare("DELETE FROM login_throttle WHERE scope = 'user' AND key = ?").run(username.toLowerCase());
+}
+
+function tooManyAttempts(res, wait) {
+  res.set('Retry-After', String(wait));
+  return res.status(429).json({ error: `Too many failed attempts. Try again in ${Math.ceil(wait / 60)} min.` });
+}
+
+// ── Auth routes ───────────────────────────────────────────────────────────────
+
+// Sessions are stored as JSON, so a user's can be found by the userId inside
+const SESSION_USER = "json_extract(sess, '$.userId')";
+
+// Log the user out everywhere, or everywhere but the session `except`
+function revokeSessions(uid, except = null) {
+  db.prepare(`DELETE FROM sessions WHERE ${SESSION_USER} = ? AND sid IS NOT ?`).run(uid, except);
+}
+
+const USERNAME_RE = /^[a-zA-Z0-9]{3,20}$/;
+const USERNAME_RULE = 'Username must be 3–20 alphanumeric characters';
+const MIN_PASSWORD = 8;
+const PASSWORD_RULE = `Password must be at least ${MIN_PASSWORD} characters`;
+
+// Log the request in as `user` under a fresh session id, so an id planted
+// before login is worthless afterwards
+function startSession(req, res, user, redirect) {
+  req.session.regenerate(err => {
+    if (err) return res.status(500).json({ error: 'Could not start a session' });
+    req.session.userId   = user.id;
+    req.session.username = user.username;
+    req.session.isAdmin  = user.is_admin === 1;
+    res.json({ ok: true, redirect });
+  });
+}
+
+// The first account becomes admin. With ADMIN_BOOTSTRAP_TOKEN set, creating it
+// takes the token, so nobody can claim a fresh server before its owner does; in
+// production the token is required.
+const BOOTSTRAP_TOKEN = process.env.ADMIN_BOOTSTRAP_TOKEN || null;
+
+function needsBootstrapToken() {
+  return (BOOTSTRAP_TOKEN !== null || PRODUCTION) && !db.prepare('SELECT 1 FROM users').get();
+}
+
+function bootstrapTokenMatches(token) {
+  if (BOOTSTRAP_TOKEN === null) return false;
+  const given = crypto.createHash('sha256').update(String(token || '')).digest();
+  return crypto.timingSafeEqual(given, crypto.createHash('sha256').update(BOOTSTRAP_TOKEN).digest());
+}
+
+app.get('/api/register/bootstrap', (req, res) => {
+  res.json({ required: needsBootstrapToken() });
+});
+
+app.post('/api/register', async (req, res) => {
+  const username = String(req.body.username || '').trim();
+  const password = String(req.body.password || '');
+
+  if (!USERNAME_RE.test(username)) {
+    return res.status(400).json({ error: USERNAME_RULE });
+  }
+  if (password.length < MIN_PASSWORD) {
+    return res.status(400).json({ error: PASSWORD_RULE });
+  }
+  const timezone = req.body.timezone ? String(req.body.timezone) : 'UTC';
+  if (!isValidTimezone(timezone)) {
+    return res.status(400).json({ error: 'Unknown timezone' });
+  }
+
+  const existing = db.prepare('SELECT id FROM users WHERE username = ?').get(username);
+  if (existing) {
+    return res.status(409).json({ error: 'Username already taken' });
+  }
+
+  const password_hash = await bcrypt.hash(password, 12);
+
+  // Checked after the await, right before the insert, so two sign-ups racing
+  // for the first account can't both slip past it
+  if (needsBootstrapToken() && !bootstrapTokenMatches(req.body.bootstrap_token)) {
+    return res.status(403).json({
+      error: BOOTSTRAP_TOKEN === null ? 'Set ADMIN_BOOTSTRAP_TOKEN on the server to create the first account' : 'Invalid bootstrap token',
+    });
+  }
+
+  // First user to register gets is_admin=1
+  const userCount = db.prepare('SELECT COUNT(*) as cnt FROM users').get();
+  const isAdmin = Number(userCount.cnt) === 0 ? 1 : 0;
+
+  const result = db.prepare(
+    'INSERT INTO users (username, password_hash, is_admin, timezone) VALUES (?, ?, ?, ?)'
+  ).run(username, password_hash, isAdmin, timezone);
+
+  const userId = Number(result.lastInsertRowid); // node:sqlite returns BigInt
+  seedUserData(userId);
+
+  startSession(req, res, { id: userId, username, is_admin: isAdmin }, '/welcome');
+});
+
+app.post('/api/login', async (req, res) => {
+  const username = String(req.body.username || '').trim();
+  const password = String(req.body.password || '');
+  const keys     = loginKeys(req, username);
+
+  const locked = loginLockedFor(keys);
+  if (locked) return tooManyAttempts(res, locked);
+
+  const user  = db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+  const valid = await bcrypt.compare(password, user ? user.password_hash : DUMMY_HASH);
+  if (!user || !valid) {
+    const wait = recordLoginFailure(keys);
+    if (wait) return tooManyAttempts(res, wait);
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+  if (user.disabled_at !== null) {
+    return res.status(403).json({ error: 'This account has been disabled' });
+  }
+  // The password checks out, but the session only starts once a code does
+  // too (POST /api/login/2fa). Failures stay counted until then.
+  if (user.totp_enabled_at !== null) {
+    return req.session.regenerate(err => {
+      if (err) return res.status(500).json({ error: 'Could not start a session' });
+      req.session.pendingUserId = user.id;
+      req.session.pendingSince  = Date.now();
+      res.json({ ok: true, twoFactor: true });
+    });
+  }
+
+  clearLoginFailures(username);
+  startSession(req, res, user, '/');
+});
+
+// POST /api/login/2fa — { code }: an authenticator code or a recovery code,
+// for the account whose password was just given. Throttled like passwords.
+app.post('/api/login/2fa', (req, res) => {
+  const uid  = req.session.pendingUserId;
+  const user = uid && Date.now() - req.session.pendingSince < TWO_FACTOR_LOGIN_MINUTES * 60 * 1000
+    && db.prepare('SELECT * FROM users WHERE id = ?').get(uid);
+  if (!user || user.totp_enabled_at === null || user.disabled_at !== null) {
+    return res.status(401).json({ error: 'Log in with your password first' });
+  }
+  const keys   = loginKeys(req, user.username);
+  const locked = loginLockedFor(keys);
+  if (locked) return tooManyAttempts(res, locked);
+
+  if (!useSecondFactor(user, req.body.code)) {
+    const wait = recordLoginFailure(keys);
+    if (wait) return tooManyAttempts(res, wait);
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+  clearLoginFailures(user.username);
+  startSession(req, res, user, '/');
+});
+
+app.post('/api/logout', (req, res) => {
+  req.session.destroy(() => {
+    res.json({ ok: true, redirect: '/login' });
+  });
+});
+
+app.get('/api/me', requireLogin, (req, res) => {
+  res.json({ username: req.session.username, isAdmin: req.session.isAdmin, timezone: userTimezone(req.session.userId) });
+});
+
+// ── Settings ──────────────────────────────────────────────────────────────────
+
+function userSettings(uid) {
+  const u = db.prepare('SELECT username, email, timezone, display_name, leaderboard_visibility FROM users WHERE id = ?').get(uid);
+  return { ...u, today: todayStr(uid) };
+}
+
+app.get('/api/settings', requireLogin, (req, res) => {
+  res.json(userSettings(req.session.userId));
+});
+
+// Display names must not collide with anyone's username or display name
+app.patch('/api/settings', requireLogin, (req, res) => {
+  const uid = req.session.userId;
+  const { timezone, display_name, leaderboard_visibility, email } = req.body;
+  if (timezone !== undefined && !isValidTimezone(String(timezone))) {
+    return res.status(400).json({ error: 'Unknown timezone' });
+  }
+  if (leaderboard_visibility !== undefined && !VISIBILITIES.includes(leaderboard_visibility)) {
+    return res.status(400).json({ error: 'Invalid leaderboard visibility' });
+  }
+  let displayName;
+  if (display_name !== undefined) {
+    displayName = String(display_name || '').trim() || null;
+    if (displayName && (displayName.length < 2 || displayName.length > 30)) {
+      return res.status(400).json({ error: 'Display name must be 2–30 characters' });
+    }
+    const taken = displayName && db.prepare(`
+      SELECT 1 FROM users WHERE id != ? AND (username = ? COLLATE NOCASE OR display_name = ? COLLATE NOCASE)
+    `).get(uid, displayName, displayName);
+    if (taken) return res.status(409).json({ error: 'That name is already in use' });
+  }
+  let address;
+  if (email !== undefined) {
+    address = String(email || '').trim() || null;
+    if (address && (address.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address))) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+  }
+  transaction(() => {
+    if (timezone !== undefined) db.prepare('UPDATE users SET timezone = ? WHERE id = ?').run(String(timezone), uid);
+    if (display_name !== undefined) db.prepare('UPDATE users SET display_name = ? WHERE id = ?').run(displayName, uid);
+    if (email !== undefined) db.prepare('UPDATE users SET email = ? WHERE id = ?').run(address, uid);
+    if (leaderboard_visibility !== undefined) {
+      db.prepare('UPDATE users SET leaderboard_visibility = ? WHERE id = ?').run(leaderboard_visibility, uid);
+    }
+  });
+  res.json(userSettings(uid));
+});
+
+// ── Account ───────────────────────────────────────────────────────────────────
+// Username, password, sessions and deletion for the logged-in user, and the
+// password reset tokens admins issue (see POST /api/admin/users/:id/password-reset).
+
+const RESET_TOKEN_MINUTES = parseInt(process.env.RESET_TOKEN_MINUTES) || 60;
+const sendMail = mailTransport();
+
+// Re-check the password before anything that could lock the owner out. Wrong
+// guesses count against the login throttle, so a stolen session can't be used
+// to brute-force the password either. On failure the error response has been
+// sent and this returns false.
+async function checkPassword(req, res, password, error = 'Password is incorrect') {
+  const user = db.prepare('SELECT username, password_hash FROM users WHERE id = ?').get(req.session.userId);
+  if (!user) {
+    res.status(403).json({ error });
+    return false;
+  }
+  const keys   = loginKeys(req, user.username);
+  const locked = loginLockedFor(keys);
+  if (locked) {
+    tooManyAttempts(res, locked);
+    return false;
+  }
+  if (await bcrypt.compare(String(password || ''), user.password_hash)) {
+    clearLoginFailures(user.username);
+    return true;
+  }
+  const wait = recordLoginFailure(keys);
+  if (wait) tooManyAttempts(res, wait);
+  else res.status(403).json({ error });
+  return false;
+}
+
+// Only a hash of the token is stored, so a leaked database can't be used to reset passwords
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// A fresh single-use token for the user; any earlier unused one stops working
+function issueResetToken(uid, createdBy) {
+  const token     = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = Math.floor(Date.now() / 1000) + RESET_TOKEN_MINUTES * 60;
+  transaction(() => {
+    db.prepare('DELETE FROM password_resets WHERE user_id = ? AND used_at IS NULL').run(uid);
+    db.prepare('INSERT INTO password_resets (user_id, token_hash, created_by, expires_at) VALUES (?, ?, ?, ?)')
+      .run(uid, hashToken(token), createdBy, expiresAt);
+  });
+  return { token, expiresAt };
+}
+
+// The unused, unexpired reset joined to its user, or undefined
+function findResetToken(token) {
+  return db.prepare(`
+    SELECT r.id, r.user_id, r.expires_at, u.username FROM password_resets r
+    JOIN users u ON u.id = r.user_id
+    WHERE r.token_hash = ? AND r.used_at IS NULL AND r.expires_at > unixepoch()
+  `).get(hashToken(token));
+}
+
+function resetMessage(req, user, token, expiresAt) {
+  const base = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+  return {
+    to:       user.email,
+    username: user.username,
+    subject:  'Reset your Ferro Animus password',
+    text: [
+      `A password reset was requested for your account, ${user.username}.`,
+      '',
+      `Choose a new password here: ${base}/reset-password?token=${token}`,
+      '',
+      `The link works once and expires ${new Date(expiresAt * 1000).toUTCString()}.`,
+      'Until then your current password keeps working.',
+    ].join('\n'),
+  };
+}
+
+// PUT /api/account/password — { current_password, new_password }. Other
+// sessions are logged out; this one stays.
+app.put('/api/account/password', requireLogin, async (req, res) => {
+  const uid      = req.session.userId;
+  const password = String(req.body.new_password || '');
+  if (!await checkPassword(req, res, req.body.current_password, 'Current password is incorrect')) return;
+  if (password.length < MIN_PASSWORD) return res.status(400).json({ error: PASSWORD_RULE });
+  const hash = await bcrypt.hash(password, 12);
+  transaction(() => {
+    db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hash, uid);
+    revokeSessions(uid, req.sessionID);
+  });
+  res.json({ ok: true });
+});
+
+// PUT /api/account/username — { username }. Like display names, it can't
+// collide with anyone's display name either.
+app.put('/api/account/username', requireLogin, (req, res) => {
+  const uid      = req.session.userId;
+  const username = String(req.body.username || '').trim();
+  if (!USERNAME_RE.test(username)) return res.status(400).json({ error: USERNAME_RULE });
+  const taken = db.prepare(`
+    SELECT 1 FROM users WHERE id != ? AND (username = ? OR display_name = ? COLLATE NOCASE)
+  `).get(uid, username, username);
+  if (taken) return res.status(409).json({ error: 'Username already taken' });
+  transaction(() => {
+    db.prepare('UPDATE users SET username = ? WHERE id = ?').run(username, uid);
+    db.prepare(`UPDATE sessions SET sess = json_set(sess, '$.username', ?) WHERE ${SESSION_USER} = ?`).run(username, uid);
+  });
+  req.session.username = username;
+  res.json(userSettings(uid));
+});
+
+// DELETE /api/account — { password }. Everything goes (see deleteUser). The
+// last admin has to hand the role on first, unless nobody else is left.
+app.delete('/api/account', requireLogin, async (req, res) => {
+  const uid = req.session.userId;
+  if (!await checkPassword(req, res, req.body.password)) return;
+  const others = db.prepare('SELECT COUNT(*) as users, COALESCE(SUM(is_admin), 0) as admins FROM users WHERE id != ?').get(uid);
+  if (req.session.isAdmin && Number(others.users) > 0 && Number(others.admins) === 0) {
+    return res.status(409).json({ error: 'Promote another admin before deleting the only admin account' });
+  }
+  deleteUser(uid);
+  req.session.destroy(() => {
+    res.json({ ok: true, redirect: '/register' });
+  });
+});
+
+// Sessions are listed under a hash of their id: the id itself is as good as the cookie
+function sessionKey(sid) {
+  return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16);
+}
+
+function userSessions(req) {
+  return db.prepare(`
+    SELECT sid, created_at, last_seen, user_agent, ip, expired as expires_at FROM sessions
+    WHERE ${SESSION_USER} = ? AND expired >= unixepoch() ORDER BY last_seen DESC
+  `).all(req.session.userId).map(({ sid, ...row }) => ({ id: sessionKey(sid), ...row, current: sid === req.sessionID }));
+}
+
+app.get('/api/account/sessions', requireLogin, (req, res) => {
+  res.json(userSessions(req));
+});
+
+// DELETE /api/account/sessions — log out every other session
+app.delete('/api/account/sessions', requireLogin, (req, res) => {
+  revokeSessions(req.session.userId, req.sessionID);
+  res.json(userSessions(req));
+});
+
+app.delete('/api/account/sessions/:id', requireLogin, (req, res) => {
+  const sid = db.prepare(`SELECT sid FROM sessions WHERE ${SESSION_USER} = ?`).all(req.session.userId)
+    .map(r => r.sid).find(sid => sessionKey(sid) === req.params.id);
+  if (!sid) return res.status(404).json({ error: 'Session not found' });
+  if (sid === req.sessionID) return res.status(400).json({ error: 'Log out to end this session' });
+  db.prepare('DELETE FROM sessions WHERE sid = ?').run(sid);
+  res.json(userSessions(req));
+});
+
+// GET /api/password-reset/:token — who a reset link is for, if it still works
+app.get('/api/password-reset/:token', (req, res) => {
+  const reset = findResetToken(req.params.token);
+  if (!reset) return res.status(404).json({ error: 'This reset link is invalid or has expired' });
+  res.json({ username: reset.username, expires_at: reset.expires_at });
+});
+
+// POST /api/password-reset — { token, password }. Uses up the token and logs
+// the user out everywhere.
+app.post('/api/password-reset', async (req, res) => {
+  const password = String(req.body.password || '');
+  if (password.length < MIN_PASSWORD) return res.status(400).json({ error: PASSWORD_RULE });
+  const reset = findResetToken(req.body.token);
+  if (!reset) return res.status(404).json({ error: 'This reset link is invalid or has expired' });
+  const hash = await bcrypt.hash(password, 12);
+  // The link may have been used by another request while hashing
+  const used = transaction(() => {
+    if (!db.prepare('UPDATE password_resets SET used_at = unixepoch() WHERE id = ? AND used_at IS NULL').run(reset.id).changes) return false;
+    db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hash, reset.user_id);
+    revokeSessions(reset.user_id);
+    clearLoginFailures(reset.username);
+    return true;
+  });
+  if (!used) return res.status(404).json({ error: 'This reset link is invalid or has expired' });
+  res.json({ ok: true, redirect: '/login' });
+});
+
+// ── Two-factor authentication ─────────────────────────────────────────────────
+// Optional TOTP (see totp.js) on top of the password, with one-time recovery
+// codes for a lost device. Admins can make it mandatory for admin accounts.
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Ferro Animus';
+const TWO_FACTOR_LOGIN_MINUTES = 5;   // to enter a code after the password
+const RECOVERY_CODE_COUNT = 10;
+
+// The game_config 'security' document
+const DEFAULT_SECURITY = { require_admin_2fa: false };
+let securityCache = null;
+
+function getSecurity() {
+  if (!securityCache) {
+    const row = db.prepare("SELECT value FROM game_config WHERE key = 'security'").get();
+    securityCache = { ...DEFAULT_SECURITY, ...(row ? JSON.parse(row.value) : {}) };
+  }
+  return securityCache;
+}
+
+function saveSecurity(security) {
+  db.prepare("INSERT OR REPLACE INTO game_config (key, value) VALUES ('security', ?)").run(JSON.stringify(security));
+  securityCache = null;
+}
+
+function adminNeedsTwoFactor(uid) {
+  if (!getSecurity().require_admin_2fa) return false;
+  const user = db.prepare('SELECT is_admin, totp_enabled_at FROM users WHERE id = ?').get(uid);
+  return !!user && user.is_admin === 1 && user.totp_enabled_at === null;
+}
+
+function twoFactorStatus(uid) {
+  const user = db.prepare('SELECT is_admin, totp_enabled_at FROM users WHERE id = ?').get(uid);
+  const left = db.prepare('SELECT COUNT(*) as cnt FROM recovery_codes WHERE user_id = ? AND used_at IS NULL').get(uid);
+  return {
+    enabled:             user.totp_enabled_at !== null,
+    enabled_at:          user.totp_enabled_at,
+    recovery_codes_left: Number(left.cnt),
+    required:            user.is_admin === 1 && getSecurity().require_admin_2fa,
+  };
+}
+
+// Replace the user's recovery codes. Returns the new ones, readable this once.
+function newRecoveryCodes(uid) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  transaction(() => {
+    db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(uid);
+    const insert = db.prepare('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)');
+    codes.forEach(code => insert.run(uid, hashToken(code.replace('-', ''))));
+  });
+  return codes;
+}
+
+// Check an authenticator code or recovery code for the user, using it up.
+// A TOTP code is refused if its time step is no later than the last one accepted.
+function useSecondFactor(user, code) {
+  const given = String(code || '').trim();
+  const step  = verifyTotp(user.totp_secret, given);
+  if (step !== null) {
+    return db.prepare('UPDATE users SET totp_last_step = ? WHERE id = ? AND COALESCE(totp_last_step, -1) < ?')
+      .run(step, user.id, step).changes > 0;
+  }
+  const normalized = given.toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (!normalized) return false;
+  return db.prepare(`
+    UPDATE recovery_codes SET used_at = unixepoch()
+    WHERE id = (SELECT id FROM recovery_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL LIMIT 1)
+  `).run(user.id, hashToken(normalized)).changes > 0;
+}
+
+function disableTwoFactor(uid) {
+  transaction(() => {
+    db.prepare('UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?').run(uid);
+    db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(uid);
+  });
+}
+
+app.get('/api/account/2fa', requireLogin, (req, res) => {
+  res.json(twoFactorStatus(req.session.userId));
+});
+
+// POST /api/account/2fa/setup — { password }. Starts enrolment with a fresh
+// secret, returned with its otpauth:// URI and that URI as a QR code (SVG).
+// Nothing changes at login until the first code is confirmed.
+app.post('/api/account/2fa/setup', requireLogin, async (req, res) => {
+  const uid = req.session.userId;
+  if (!await checkPassword(req, res, req.body.password)) return;
+  if (twoFactorStatus(uid).enabled) return res.status(409).json({ error: 'Two-factor authentication is already on' });
+  const secret = generateSecret();
+  db.prepare('UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?').run(secret, uid);
+  const uri = provisioningUri({ issuer: TOTP_ISSUER, account: req.session.username, secret });
+  res.json({ secret, uri, qr: qrSvg(uri) });
+});
+
+// POST /api/account/2fa/enable — { code } from the app, proving it was set up.
+// Returns the recovery codes; other sessions are logged out.
+app.post('/api/account/2fa/enable', requireLogin, (req, res) => {
+  const uid  = req.session.userId;
+  const user = db.prepare('SELECT totp_secret, totp_enabled_at FROM users WHERE id = ?').get(uid);
+  if (user.totp_enabled_at !== null) return res.status(409).json({ error: 'Two-factor authentication is already on' });
+  if (!user.totp_secret) return res.status(400).json({ error: 'Start the setup first' });
+  const step = verifyTotp(user.totp_secret, req.body.code);
+  if (step === null) return res.status(400).json({ error: 'That code doesn\'t match. Check the time on your device and try the next one.' });
+  let codes;
+  transaction(() => {
+    db.prepare('UPDATE users SET totp_enabled_at = unixepoch(), totp_last_step = ? WHERE id = ?').run(step, uid);
+    codes = newRecoveryCodes(uid);
+    revokeSessions(uid, req.sessionID);
+  });
+  res.json({ ...twoFactorStatus(uid), recovery_codes: codes });
+});
+
+// POST /api/account/2fa/recovery-codes — { password }: a new set, replacing the old
+app.post('/api/account/2fa/recovery-codes', requireLogin, async (req, res) => {
+  const uid = req.session.userId;
+  if (!await checkPassword(req, res, req.body.password)) return;
+  if (!twoFactorStatus(uid).enabled) return res.status(409).json({ error: 'Two-factor authentication is off' });
+  const codes = newRecoveryCodes(uid);
+  res.json({ ...twoFactorStatus(uid), recovery_codes: codes });
+});
+
+// POST /api/account/2fa/disable — { password, code }
+app.post('/api/account/2fa/disable', requireLogin, async (req, res) => {
+  const uid    = req.session.userId;
+  if (!await checkPassword(req, res, req.body.password)) return;
+  const status = twoFactorStatus(uid);
+  if (!status.enabled) return res.status(409).json({ error: 'Two-factor authentication is off' });
+  if (status.required) return res.status(409).json({ error: 'Two-factor authentication is required for admin accounts' });
+  const user = db.prepare('SELECT id, totp_secret FROM users WHERE id = ?').get(uid);
+  if (!useSecondFactor(user, req.body.code)) return res.status(403).json({ error: 'Invalid code' });
+  disableTwoFactor(uid);
+  res.json(twoFactorStatus(uid));
+});
+
+// ── Game API routes ───────────────────────────────────────────────────────────
+
+app.get('/api/state', requireLogin, (req, res) => {
+  rolloverQuests(req.session.userId);
+  // Catches achievements added since the player's last XP change
+  evaluateAchievements(req.session.userId);
+  res.json(fullState(req.session.userId));
+});
+
+app.post('/api/xp', requireLogin, (req, res) => {
+  const uid = req.session.userId;
+  const xp  = parseInt(req.body.xp);
+  if (!xp || xp === 0) return res.status(400).json({ error: 'Invalid XP value' });
+
+  const note    = (String(req.body.note || 'Weekly Update')).slice(0, 200);
+
+  const progress = awardXp(uid, { xp, note, source: 'manual' });
+  res.json({ ...progress, log: recentLog(uid), logCount: logCount(uid) });
+});
+
+app.post('/api/stats', requireLogin, (req, res) => {
+  const uid = req.session.userId;
+  const { str, dis, vit, wis } = req.body;
+  const end = req.body.end;
+  db.prepare(
+    'UPDATE stats SET str=?, dis=?, vit=?, wis=?, endurance=? WHERE user_id=?'
+  ).run(clamp(str), clamp(dis), clamp(vit), clamp(wis), clamp(end), uid);
+  res.json({ ok: true });
+});
+
+// GET /api/daily-quests?date=YYYY-MM-DD
+app.get('/api/daily-quests', requireLogin, (req, res) => {
+  const uid  = req.session.userId;
+  const date = parseDate(uid, req.query.date);
+  if (!date) return res.status(400).json({ error: 'Date out of range' });
+  const rows = db.prepare('SELECT quest_id, status, xp, value FROM daily_quests WHERE user_id = ? AND date = ?').all(uid, date);
+  const result = {};
+  rows.forEach(r => { result[r.quest_id] = { status: r.status, xp: r.xp, value: r.value }; });
+  res.json(result);
+});
+
+// GET /api/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD — defaults to the last year, spans at most two
+app.get('/api/analytics', requireLogin, (req, res) => {
+  const isDate = v => /^\d{4}-\d{2}-\d{2}$/.test(v || '');
+  const today  = todayStr(req.session.userId);
+  const to     = isDate(req.query.to) && req.query.to < today ? req.query.to : today;
+  const from   = isDate(req.query.from) ? req.query.from : addDays(to, -364);
+  if (from > to || from < addDays(to, -730)) return res.status(400).json({ error: 'Date range out of bounds' });
+  res.json(buildAnalytics(req.session.userId, from, to));
+});
+
+// GET /api/streaks — current and longest streak per active habit
+app.get('/api/streaks', requireLogin, (req, res) => {
+  res.json(computeStreaks(req.session.userId));
+});
+
+// POST /api/daily-quests — mark or toggle a quest completed/failed. Measured
+// habits send { value } instead of a status and the target decides it; a plain
+// status still works for them too (and earns the full XP either way).
+app.post('/api/daily-quests', requireLogin, (req, res) => {
+  const uid = req.session.userId;
+  const { questId } = req.body;
+
+  const habit = db.prepare('SELECT * FROM habits WHERE user_id = ? AND id = ? AND archived = 0').get(uid, String(questId || ''));
+  if (!habit) return res.status(400).json({ error: 'Invalid quest or status' });
+  let status = req.body.status;
+  let value  = null;
+  if (habit.target !== null && (req.body.value !== undefined || status === undefined)) {
+    value = req.body.value === null || req.body.value === '' ? NaN : Number(req.body.value);
+    if (!(value >= 0 && value < 1e9)) return res.status(400).json({ error: `Log a value${habit.unit ? ` in ${habit.unit}` : ''} for this habit` });
+    status = measuredStatus(habit, value);
+  } else if (!['completed', 'failed'].includes(status)) {
+    return res.status(400).json({ error: 'Invalid quest or status' });
+  }
+
+  const today = parseDate(uid, req.body.date);
+  if (!today) return res.status(400).json({ error: 'Date out of range' });
+
+  const existing = db.prepare(
+    'SELECT status, xp, value FROM daily_quests WHERE user_id = ? AND quest_id = ? AND date = ?'
+  ).get(uid, habit.id, today);
+
+  if (existing && existing.status === status && existing.value === value) {
+    // Same button — no-op
+    const gs  = db.prepare('SELECT total_xp FROM game_state WHERE user_id = ?').get(uid);
+    const log = recentLog(uid);
+    return res.json({ totalXP: gs.total_xp, log, logCount: logCount(uid), xpAwarded: 0, mark: existing });
+  }
+
+  let xpAwarded = 0;
+  let mark;
+  const progress = withProgression(uid, () => {
+    // Reverse what was actually awarded, in case the habit's XP has been edited since
+    // or the penalty was clamped at zero total XP
+    const prevXp  = existing ? existing.xp : 0;
+    const xpDelta = markXp(habit, status, value) - prevXp;
+    if (xpDelta !== 0) {
+      const label = xpDelta > 0 ? `Daily: ${habit.name}` : `Penalty: ${habit.name}`;
+      xpAwarded = addXp(uid, { xp: xpDelta, note: label, source: 'daily', ref: `${habit.id}:${today}`, date: today });
+    }
+    mark = { status, xp: prevXp + xpAwarded, value };
+    db.prepare(
+      'INSERT OR REPLACE INTO daily_quests (user_id, quest_id, status, date, xp, value) VALUES (?, ?, ?, ?, ?, ?)'
+    ).run(uid, habit.id, status, today, mark.xp, value);
+
+    // A new value that leaves the day's outcome as it was doesn't strike the boss again
+    if (existing && existing.status === status) return [];
+    // The mark lands on the current boss, then streak/count quests it may have satisfied
+    const combat = resolveCombat(uid, { ...habit, stat_weights: JSON.parse(habit.stat_weights || '{}') }, today, status);
+    return [...combat, ...evaluateQuestRules(uid), ...evaluatePartyQuests(uid)];
+  });
+
+  const log = recentLog(uid);
+  res.json({
+    ...progress, stats: computeStats(uid), log, logCount: logCount(uid), xpAwarded, mark,
+    streaks: computeStreaks(uid), quests: questLists(uid), boss: currentBoss(uid),
+  });
+});
+
+// GET /api/quests
+app.get('/api/quests', requireLogin, (req, res) => {
+  rolloverQuests(req.session.userId);
+  res.json(questLists(req.session.userId));
+});
+
+// { name, tag, xp, rule?, penalty?, recurring? } → { quest } ready for insertQuest, or { error }.
+// Weekly and monthly quests recur unless recurring is false. uid is as for parseQuestRule.
+function parseQuestInput(uid, body) {
+  const name    = String(body.name || '').trim().slice(0, 200);
+  const tag     = body.tag;
+  const xp      = Math.max(0, parseInt(body.xp) || 0);
+  const penalty = Math.max(0, parseInt(body.penalty) || 0);
+  if (!name || !['weekly','monthly','boss'].includes(tag) || penalty > 10000) return { error: 'Invalid quest data' };
+  const { rule, error } = parseQuestRule(uid, body.rule);
+  if (error) return { error };
+  return { quest: { name, tag, xp, rule: rule ? JSON.stringify(rule) : null, penalty: tag === 'boss' ? 0 : penalty,
+                    recurring: body.recurring !== false && tag !== 'boss' } };
+}
+
+// POST /api/quests — create; body as for parseQuestInput
+app.post('/api/quests', requireLogin, (req, res) => {
+  const uid = req.session.userId;
+  const { quest, error } = parseQuestInput(uid, req.body);
+  if (error) return res.status(400).json({ error });
+  insertQuest(uid, quest);
+  res.json(questLists(uid));
+});
+
+// POST /api/quests/:id/complete
+app.post('/api/quests/:id/complete', requireLogin, (req, res) => {
+  const uid   = req.session.userId;
+  const id    = parseInt(req.params.id);
+  rolloverQuests(uid);
+  const quest = db.prepare("SELECT * FROM quests WHERE id = ? AND user_id = ? AND status = 'active'").get(id, uid);
+  if (!quest) return res.status(404).json({ error: 'Quest not found or already completed' });
+
+  const progress = withProgression(uid, () => { completeQuest(uid, quest); });
+
+  const log = recentLog(uid);
+  res.json({ ...progress, stats: computeStats(uid), log, logCount: logCount(uid), ...questLists(uid) });
+});
+
+// DELETE /api/quests/:id — deleting the open occurrence also ends its series
+app.delete('/api/quests/:id', requireLogin, (req, res) => {
+  const uid   = req.session.userId;
+  const quest = db.prepare('SELECT * FROM quests WHERE id = ? AND user_id = ?').get(parseInt(req.params.id), uid);
+  if (quest) {
+    transaction(() => {
+      if (quest.status === 'active') {
+        db.prepare(`UPDATE quests SET recurring = 0 WHERE user_id = ? AND ${QUEST_SERIES} = ?`).run(uid, quest.series_id ?? quest.id);
+      }
+      db.prepare('DELETE FROM quests WHERE id = ?').run(quest.id);
+    });
+  }
+  res.json(questLists(uid));
+});
+
+// Zero a user's XP. The ledger is append-only, so the reset is recorded as an entry of its own.
+function resetProgress(uid, source) {
+  transaction(() => {
+    db.prepare('UPDATE stats SET str=0, dis=0, vit=0, wis=0, endurance=0 WHERE user_id=?').run(uid);
+    db.prepare('DELETE FROM user_gear WHERE user_id = ?').run(uid);
+    db.prepare('DELETE FROM boss_encounters WHERE user_id = ?').run(uid);
+    db.prepare("UPDATE region_bosses SET status = 'locked', hp = max_hp, defeated_at = NULL WHERE user_id = ?").run(uid);
+    awardXp(uid, { xp: -currentXp(uid), note: 'Progress Reset', source });
+  });
+}
+
+app.post('/api/reset', requireLogin, (req, res) => {
+  resetProgress(req.session.userId, 'manual');
+  res.json({ ok: true });
+});
+
+// GET /api/xp-log?page=1&limit=50&source=daily&from=YYYY-MM-DD&to=YYYY-MM-DD&q=text
+app.get('/api/xp-log', requireLogin, (req, res) => {
+  const uid   = req.session.userId;
+  const limit = Math.max(1, Math.min(200, parseInt(req.query.limit) || 50));
+  const page  = Math.max(1, parseInt(req.query.page) || 1);
+
+  const where  = ['user_id = ?'];
+  const params = [uid];
+  if (req.query.source) {
+    const sources = String(req.query.source).split(',');
+    if (!sources.every(src => XP_SOURCES.includes(src))) return res.status(400).json({ error: 'Invalid source' });
+    where.push(`source IN (${sources.map(() => '?').join(',')})`);
+    params.push(...sources);
+  }
+  for (const [key, op] of [['from', '>='], ['to', '<=']]) {
+    if (!req.query[key]) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(req.query[key])) return res.status(400).json({ error: `Invalid ${key} date` });
+    where.push(`date ${op} ?`);
+    params.push(req.query[key]);
+  }
+  if (req.query.q) {
+    where.push("note LIKE ? ESCAPE '\\'");
+    params.push(`%${String(req.query.q).slice(0, 100).replace(/[\\%_]/g, c => '\\' + c)}%`);
+  }
+
+  const clause  = where.join(' AND ');
+  const total   = Number(db.prepare(`SELECT COUNT(*) as cnt FROM xp_log WHERE ${clause}`).get(...params).cnt);
+  const entries = db.prepare(`
+    SELECT id, date, note, xp, source, source_ref, created_at FROM xp_log
+    WHERE ${clause} ORDER BY id DESC LIMIT ? OFFSET ?
+  `).all(...params, limit, (page - 1) * limit);
+  res.json({ entries, page, limit, total, pages: Math.ceil(total / limit) });
+});
+
+// ── Map routes ────────────────────────────────────────────────────────────────
+
+app.get('/api/gear', requireLogin, (req, res) => {
+  res.json({ gear: userGear(req.session.userId) });
+});
+
+app.post('/api/gear/:id/equip', requireLogin, (req, res) => {
+  const uid = req.session.userId;
+  if (!equipGear(uid, parseInt(req.params.id))) return res.status(404).json({ error: 'You do not own that gear' });
+  res.json({ gear: userGear(uid), stats: computeStats(uid) });
+});
+
+app.post('/api/gear/:id/unequip', requireLogin, (req, res) => {
+  const uid = req.session.userId;
+  db.prepare('UPDATE user_gear SET equipped = 0 WHERE user_id = ? AND gear_id = ?').run(uid, parseInt(req.params.id));
+  res.json({ gear: userGear(uid), stats: computeStats(uid) });
+});
+
+// GET /api/boss — the boss daily actions currently hit, with its recent encounters
+app.get('/api/boss', requireLogin, (req, res) => {
+  const uid  = req.session.userId;
+  const boss = currentBoss(uid);
+  res.json({ boss, encounters: boss ? encounterLog(uid, boss.id, 20) : [] });
+});
+
+app.get('/api/bosses/:id/encounters', requireLogin, (req, res) => {
+  const uid  = req.session.userId;
+  const boss = db.prepare('SELECT * FROM region_bosses WHERE id = ? AND user_id = ?').get(parseInt(req.params.id), uid);
+  if (!boss) return res.status(404).json({ error: 'Boss not found' });
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+  res.json({ boss, encounters: encounterLog(uid, boss.id, limit) });
+});
+
+app.get('/api/progression', requireLogin, (req, res) => {
+  res.json(getProgression());
+});
+
+app.get('/api/map', requireLogin, (req, res) => {
+  const uid          = req.session.userId;
+  const gs           = db.prepare('SELECT total_xp FROM game_state WHERE user_id = ?').get(uid);
+  const level        = xpToLevel(gs ? gs.total_xp : 0);
+  const cinematics   = db.prepare('SELECT region, seen FROM map_cinematics WHERE user_id = ?').all(uid);
+  const gear         = userGear(uid);
+  const bosses       = db.prepare("SELECT id, name, status, xp, tag FROM quests WHERE user_id = ? AND tag = 'boss'").all(uid);
+  const quests       = db.prepare(`SELECT id, name, tag, status, xp FROM quests WHERE user_id = ? AND ${LATEST_QUESTS} ORDER BY created_at ASC`).all(uid);
+  const regionBosses = db.prepare('SELECT * FROM region_bosses WHERE user_id = ? ORDER BY region, level_req ASC').all(uid);
+  res.json({ level, total_xp: gs ? gs.total_xp : 0, cinematics, gear, bosses, quests, regionBosses });
 });
 
 app.post('/api/map/cinematic-seen', requireLogin, (req, res) => {
   const uid      = req.session.userId;
   const { region } = req.body;
-  if (!['savanna', 'abyss', 'throne'].includes(region)) {
+  if (typeof region !== 'string' || !getRegion(region)) {
     return res.status(400).json({ error: 'Invalid region' });
   }
-  db.prepare('UPDATE map_cinematics SET seen = 1 WHERE user_id = ? AND region = ?').run(uid, region);
-  res.json({ ok: true });
+  db.prepare('UPDATE map_cinematics SET seen = 1 WHERE user_id = ? AND region = ?').run(uid, region);
+  res.json({ ok: true });
+});
+
+// ── Region routes ─────────────────────────────────────────────────────────────
+
+app.get('/api/regions', requireLogin, (req, res) => {
+  const level = xpToLevel(currentXp(req.session.userId));
+  res.json(listRegions().map(r => ({ ...r, unlocked: level >= r.min_level })));
+});
+
+app.get('/api/regions/:region', requireLogin, (req, res) => {
+  const uid    = req.session.userId;
+  const region = getRegion(req.params.region);
+  if (!region) return res.status(404).json({ error: 'Region not found' });
+  const totalXp = currentXp(uid);
+  const level   = xpToLevel(totalXp);
+  const bosses  = db.prepare('SELECT * FROM region_bosses WHERE user_id = ? AND region = ? ORDER BY level_req ASC').all(uid, region.id);
+  const gear    = userGear(uid).filter(g => g.region === region.id);
+  const quests  = region.quest_tag
+    ? db.prepare(`SELECT id, name, tag, status, xp FROM quests WHERE user_id = ? AND tag = ? AND ${LATEST_QUESTS} ORDER BY created_at ASC`)
+        .all(uid, region.quest_tag)
+    : [];
+  res.json({ region, level, total_xp: totalXp, unlocked: level >= region.min_level, bosses, gear, quests });
+});
+
+// ── Story routes ──────────────────────────────────────────────────────────────
+
+app.get('/api/story', requireLogin, (req, res) => {
+  const story = storyFor(req.session.userId);
+  if (req.query.region) {
+    story.chapters = story.chapters.filter(c => c.region === req.query.region);
+    story.locked   = story.locked.filter(c => c.region === req.query.region);
+  }
+  res.json({ ...story, unread: story.chapters.filter(c => c.read_at === null).length });
+});
+
+app.post('/api/story/:key/read', requireLogin, (req, res) => {
+  const uid     = req.session.userId;
+  const chapter = storyFor(uid).chapters.find(c => c.key === req.params.key);
+  if (!chapter) return res.status(404).json({ error: 'Chapter not found' });
+  db.prepare('INSERT OR IGNORE INTO story_reads (user_id, chapter_key) VALUES (?, ?)').run(uid, chapter.key);
+  res.json({ ok: true });
+});
+
+// ── Achievement routes ────────────────────────────────────────────────────────
+
+app.get('/api/achievements', requireLogin, (req, res) => {
+  evaluateAchievements(req.session.userId);
+  res.json({ achievements: achievementsFor(req.session.userId) });
+});
+
+// ── Leaderboard routes ────────────────────────────────────────────────────────
+
+// GET /api/leaderboard?board=xp|str|…|streak|streak_best&period=week|month|all&scope=global|friends&page&limit
+app.get('/api/leaderboard', requireLogin, (req, res) => {
+  const board  = req.query.board  || 'xp';
+  const period = req.query.period || 'all';
+  const scope  = req.query.scope  || 'global';
+  if (!LEADERBOARD_BOARDS.includes(board) || !XP_PERIODS.includes(period) || !['global', 'friends'].includes(scope)) {
+    return res.status(400).json({ error: 'Unknown leaderboard' });
+  }
+  const page  = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 25));
+  refreshLeaderboardRows(req.session.userId);
+  res.json({
+    board, period: board === 'xp' ? period : null, scope,
+    ...readLeaderboard(req.session.userId, boardKey(board, period), scope, page, limit),
+  });
+});
+
+// ── Friends & party routes ────────────────────────────────────────────────────
+
+app.get('/api/social', requireLogin, (req, res) => {
+  res.json(socialLists(req.session.userId));
+});
+
+// Sending a request to someone who already asked you accepts theirs
+app.post('/api/friends', requireLogin, (req, res) => {
+  const uid   = req.session.userId;
+  const other = findUser(req.body.username);
+  if (!other) return res.status(404).json({ error: 'User not found' });
+  if (other.id === uid) return res.status(400).json({ error: 'You cannot befriend yourself' });
+  const theirs = db.prepare('SELECT status FROM friendships WHERE requester_id = ? AND addressee_id = ?').get(other.id, uid);
+  if (theirs) {
+    db.prepare("UPDATE friendships SET status = 'accepted', responded_at = unixepoch() WHERE requester_id = ? AND addressee_id = ?")
+      .run(other.id, uid);
+  } else {
+    db.prepare('INSERT OR IGNORE INTO friendships (requester_id, addressee_id) VALUES (?, ?)').run(uid, other.id);
+  }
+  res.json(socialLists(uid));
+});
+
+app.post('/api/friends/:id/accept', requireLogin, (req, res) => {
+  const uid    = req.session.userId;
+  const result = db.prepare(`
+    UPDATE friendships SET status = 'accepted', responded_at = unixepoch()
+    WHERE requester_id = ? AND addressee_id = ? AND status = 'pending'
+  `).run(parseInt(req.params.id), uid);
+  if (!result.changes) return res.status(404).json({ error: 'Friend request not found' });
+  res.json(socialLists(uid));
+});
+
+// Unfriend, decline an incoming request or cancel an outgoing one
+app.delete('/api/friends/:id', requireLogin, (req, res) => {
+  const uid   = req.session.userId;
+  const other = parseInt(req.params.id);
+  db.prepare(`
+    DELETE FROM friendships WHERE (requester_id = ? AND addressee_id = ?) OR (requester_id = ? AND addressee_id = ?)
+  `).run(uid, other, other, uid);
+  res.json(socialLists(uid));
+});
+
+app.post('/api/follows', requireLogin, (req, res) => {
+  const uid   = req.session.userId;
+  const other = findUser(req.body.username);
+  if (!other) return res.status(404).json({ error: 'User not found' });
+  if (other.id === uid) return res.status(400).json({ error: 'You cannot follow yourself' });
+  db.prepare('INSERT OR IGNORE INTO follows (follower_id, followee_id) VALUES (?, ?)').run(uid, other.id);
+  res.json(socialLists(uid));
+});
+
+app.delete('/api/follows/:id', requireLogin, (req, res) => {
+  const uid = req.session.userId;
+  db.prepare('DELETE FROM follows WHERE follower_id = ? AND followee_id = ?').run(uid, parseInt(req.params.id));
+  res.json(socialLists(uid));
+});
+
+app.get('/api/party', requireLogin, (req, res) => {
+  res.json(partyState(req.session.userId));
+});
+
+app.post('/api/party', requireLogin, (req, res) => {
+  const uid  = req.session.userId;
+  const name = String(req.body.name || '').trim().slice(0, 50);
+  if (!name) return res.status(400).json({ error: 'Party name required' });
+  if (partyOf(uid)) return res.status(409).json({ error: 'You are already in a party' });
+  transaction(() => {
+    const result = db.prepare('INSERT INTO parties (name, leader_id) VALUES (?, ?)').run(name, uid);
+    joinParty(Number(result.lastInsertRowid), uid);
+  });
+  res.json(partyState(uid));
+});
+
+app.post('/api/party/invites', requireLogin, (req, res) => {
+  const uid   = req.session.userId;
+  const party = partyOf(uid);
+  if (!party) return res.status(404).json({ error: 'You are not in a party' });
+  const other = findUser(req.body.username);
+  if (!other) return res.status(404).json({ error: 'User not found' });
+  if (!areFriends(uid, other.id)) return res.status(400).json({ error: 'You can only invite friends' });
+  if (partyOf(other.id)) return res.status(409).json({ error: `${other.username} is already in a party` });
+  if (partyMemberIds(party.id).length >= PARTY_MAX_MEMBERS) return res.status(409).json({ error: 'Party is full' });
+  db.prepare('INSERT OR IGNORE INTO party_invites (party_id, user_id, invited_by) VALUES (?, ?, ?)').run(party.id, other.id, uid);
+  res.json(partyState(uid));
+});
+
+app.post('/api/party/invites/:partyId/accept', requireLogin, (req, res) => {
+  const uid     = req.session.userId;
+  const partyId = parseInt(req.params.partyId);
+  if (!db.prepare('SELECT 1 FROM party_invites WHERE party_id = ? AND user_id = ?').get(partyId, uid)) {
+    return res.status(404).json({ error: 'Invite not found' });
+  }
+  if (partyOf(uid)) return res.status(409).json({ error: 'Leave your current party first' });
+  if (partyMemberIds(partyId).length >= PARTY_MAX_MEMBERS) return res.status(409).json({ error: 'Party is full' });
+  transaction(() => joinParty(partyId, uid));
+  res.json(partyState(uid));
+});
+
+app.delete('/api/party/invites/:partyId', requireLogin, (req, res) => {
+  const uid = req.session.userId;
+  db.prepare('DELETE FROM party_invites WHERE party_id = ? AND user_id = ?').run(parseInt(req.params.partyId), uid);
+  res.json(partyState(uid));
+});
+
+app.post('/api/party/leave', requireLogin, (req, res) => {
+  const uid = req.session.userId;
+  leaveParty(uid);
+  res.json(partyState(uid));
+});
+
+// Leader only
+app.delete('/api/party/members/:id', requireLogin, (req, res) => {
+  const uid    = req.session.userId;
+  const party  = partyOf(uid);
+  const member = parseInt(req.params.id);
+  if (!party || party.leader_id !== uid) return res.status(403).json({ error: 'Only the party leader can do that' });
+  if (member === uid || !partyMemberIds(party.id).includes(member)) return res.status(404).json({ error: 'Member not found' });
+  leaveParty(member);
+  res.json(partyState(uid));
+});
+
+// POST /api/party/quests — { name, habit_id, target, xp, period: 'week'|'month' }
+app.post('/api/party/quests', requireLogin, (req, res) => {
+  const uid   = req.session.userId;
+  const party = partyOf(uid);
+  if (!party || party.leader_id !== uid) return res.status(403).json({ error: 'Only the party leader can do that' });
+  const name   = String(req.body.name || '').trim().slice(0, 200);
+  const target = parseInt(req.body.target);
+  const xp     = Math.max(0, parseInt(req.body.xp) || 0);
+  const habit  = db.prepare('SELECT id FROM habits WHERE user_id = ? AND id = ?').get(uid, String(req.body.habit_id || ''));
+  if (habit && !PARTY_QUEST_HABITS.includes(habit.id)) {
+    return res.status(400).json({ error: 'Party quests can only track the default habits everyone shares' });
+  }
+  if (!name || !habit || !(target >= 1 && target <= 1000) || xp > 10000 || !['week', 'month'].includes(req.body.period)) {
+    return res.status(400).json({ error: 'Invalid party quest' });
+  }
+  // A party quest runs for the calendar week or month it was created in
+  const { starts_on, ends_on } = calendarPeriod(req.body.period, todayStr(uid));
+  db.prepare(`
+    INSERT INTO party_quests (party_id, name, habit_id, target, xp, starts_on, ends_on, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(party.id, name, habit.id, target, xp, starts_on, ends_on, uid);
+  // Completions already logged this period may meet the target outright
+  const { unlocks } = withProgression(uid, () => evaluatePartyQuests(uid));
+  res.json({ ...partyState(uid), unlocks });
+});
+
+app.delete('/api/party/quests/:id', requireLogin, (req, res) => {
+  const uid   = req.session.userId;
+  const party = partyOf(uid);
+  if (!party || party.leader_id !== uid) return res.status(403).json({ error: 'Only the party leader can do that' });
+  db.prepare("DELETE FROM party_quests WHERE id = ? AND party_id = ? AND status = 'active'").run(parseInt(req.params.id), party.id);
+  res.json(partyState(uid));
+});
+
+// ── Books routes ──────────────────────────────────────────────────────────────
+
+// Reading earns XP per page as progress is logged. Finishing pays a bonus, or a
+// flat award for books without a page count, which can't be measured.
+const BOOK_XP_PER_PAGE = 1;
+const BOOK_FINISH_XP   = 50;
+const BOOK_FLAT_XP     = 200;
+const BOOK_MAX_PAGES   = 20000;
+
+const lookupIsbn = isbnProvider();
+
+function bookLists(uid) {
+  return {
+    reading:  db.prepare("SELECT * FROM books WHERE user_id = ? AND status = 'reading' ORDER BY created_at ASC, id ASC").all(uid),
+    log:      db.prepare("SELECT * FROM books WHERE user_id = ? AND status != 'reading' ORDER BY completed_at DESC, id DESC").all(uid),
+    wishlist: db.prepare('SELECT * FROM reading_list WHERE user_id = ? ORDER BY created_at ASC, id ASC').all(uid),
+  };
+}
+
+// Validates the editable book fields present in body (reading_list shares title/author/pages/isbn)
+function parseBookInput(body) {
+  const out = {};
+  if (body.title !== undefined) {
+    out.title = String(body.title || '').trim().slice(0, 200);
+    if (!out.title) return { error: 'Title required' };
+  }
+  if (body.author !== undefined) out.author = String(body.author || '').trim().slice(0, 200) || null;
+  if (body.pages !== undefined) {
+    out.pages = body.pages === null || body.pages === '' ? null : parseInt(body.pages);
+    if (out.pages !== null && !(out.pages >= 1 && out.pages <= BOOK_MAX_PAGES)) return { error: 'Invalid page count' };
+  }
+  if (body.rating !== undefined) {
+    out.rating = body.rating === null || body.rating === '' ? null : parseInt(body.rating);
+    if (out.rating !== null && !(out.rating >= 1 && out.rating <= 5)) return { error: 'Rating must be 1–5' };
+  }
+  if (body.notes !== undefined) out.notes = String(body.notes || '').trim().slice(0, 2000) || null;
+  if (body.isbn !== undefined) {
+    out.isbn = body.isbn === null || body.isbn === '' ? null : normalizeIsbn(body.isbn);
+    if (out.isbn === null && body.isbn) return { error: 'Invalid ISBN' };
+  }
+  return { fields: out };
+}
+
+// Fill in title, author and pages from the ISBN provider when the body has an ISBN
+// but no title. Returns { body }, or { status, error } when the lookup can't.
+async function withIsbnMetadata(body) {
+  if (body.title || !body.isbn) return { body };
+  const isbn = normalizeIsbn(body.isbn);
+  if (!isbn) return { status: 400, error: 'Invalid ISBN' };
+  let found;
+  try {
+    found = await lookupIsbn(isbn);
+  } catch (e) {
+    return { status: 502, error: 'ISBN lookup failed' };
+  }
+  if (!found) return { status: 404, error: 'No book found for that ISBN' };
+  return { body: { ...body, title: found.title, author: body.author || found.author, pages: body.pages || found.pages } };
+}
+
+// Move a book's bookmark to `page` and pay (or take back) XP for the difference.
+// Call inside withProgression; returns the XP applied.
+function logReading(uid, book, page, date = todayStr(uid)) {
+  const from = book.current_page;
+  if (page === from) return 0;
+  const xp = addXp(uid, {
+    xp: (page - from) * BOOK_XP_PER_PAGE, note: `Reading: ${book.title} (p. ${from}–${page})`,
+    source: 'book', ref: book.id, date,
+  });
+  db.prepare('INSERT INTO book_progress (user_id, book_id, date, from_page, to_page, xp) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(uid, book.id, date, from, page, xp);
+  db.prepare('UPDATE books SET current_page = ? WHERE id = ? AND user_id = ?').run(page, book.id, uid);
+  book.current_page = page;
+  return xp;
+}
+
+// Close a book as 'completed' or 'abandoned'. Completing reads any remaining
+// pages and pays the bonus, so call it inside withProgression; returns the XP applied.
+function closeBook(uid, book, status, { rating = null, notes = null, date = todayStr(uid) } = {}) {
+  let xp = 0;
+  if (status === 'completed') {
+    if (book.pages) xp += logReading(uid, book, book.pages, date);
+    xp += addXp(uid, {
+      xp: book.pages ? BOOK_FINISH_XP : BOOK_FLAT_XP, note: `Tome Completed: ${book.title}`, source: 'book', ref: book.id, date,
+    });
+  }
+  db.prepare('UPDATE books SET status = ?, completed_at = ?, rating = ?, notes = ? WHERE id = ? AND user_id = ?')
+    .run(status, date, rating, notes, book.id, uid);
+  return xp;
+}
+
+function insertBook(uid, b) {
+  const result = db.prepare(`
+    INSERT INTO books (user_id, title, author, pages, isbn, external_key, started_at) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(uid, b.title, b.author ?? null, b.pages ?? null, b.isbn ?? null, b.external_key ?? null, b.started_at || todayStr(uid));
+  return db.prepare('SELECT * FROM books WHERE id = ?').get(Number(result.lastInsertRowid));
+}
+
+function readingBook(uid, id) {
+  return db.prepare("SELECT * FROM books WHERE id = ? AND user_id = ? AND status = 'reading'").get(parseInt(id), uid);
+}
+
+app.get('/api/books', requireLogin, (req, res) => {
+  res.json(bookLists(req.session.userId));
+});
+
+// GET /api/books/isbn/:isbn — metadata from the ISBN provider, to prefill the add form
+app.get('/api/books/isbn/:isbn', requireLogin, async (req, res) => {
+  const lookup = await withIsbnMetadata({ isbn: req.params.isbn });
+  if (lookup.error) return res.status(lookup.status).json({ error: lookup.error });
+  res.json({ ...lookup.body, isbn: normalizeIsbn(req.params.isbn) });
+});
+
+// POST /api/books { title, author?, pages?, isbn? } — any number of books can be in progress.
+// With an ISBN and no title, the details are looked up.
+app.post('/api/books', requireLogin, async (req, res) => {
+  const uid = req.session.userId;
+  const lookup = await withIsbnMetadata(req.body);
+  if (lookup.error) return res.status(lookup.status).json({ error: lookup.error });
+  const body = lookup.body;
+  const { error, fields } = parseBookInput({ author: null, pages: null, isbn: null, ...body, title: body.title || '' });
+  if (error) return res.status(400).json({ error });
+  insertBook(uid, { ...fields, external_key: fields.isbn && `isbn:${fields.isbn}` });
+  res.json(bookLists(uid));
+});
+
+// PATCH /api/books/:id { title, author, pages, rating, notes, isbn } — details only; progress has its own route
+app.patch('/api/books/:id', requireLogin, (req, res) => {
+  const uid  = req.session.userId;
+  const book = db.prepare('SELECT * FROM books WHERE id = ? AND user_id = ?').get(parseInt(req.params.id), uid);
+  if (!book) return res.status(404).json({ error: 'Book not found' });
+  const { error, fields } = parseBookInput(req.body);
+  if (error) return res.status(400).json({ error });
+  if (fields.pages !== undefined && (fields.pages ?? 0) < book.current_page) {
+    return res.status(400).json({ error: 'Page count is below the current page' });
+  }
+  const keys = Object.keys(fields);
+  if (keys.length) {
+    db.prepare(`UPDATE books SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ? AND user_id = ?`)
+      .run(...keys.map(k => fields[k]), book.id, uid);
+  }
+  res.json(bookLists(uid));
 });
 
-// ── Books routes ──────────────────────────────────────────────────────────────
+// POST /api/books/:id/progress { page } — moving back (a correction) takes the XP back.
+// Pages only count against a known page count, or any number could be claimed.
+app.post('/api/books/:id/progress', requireLogin, (req, res) => {
+  const uid  = req.session.userId;
+  const book = readingBook(uid, req.params.id);
+  if (!book) return res.status(404).json({ error: 'Book not found' });
+  if (!book.pages) return res.status(400).json({ error: 'Set the book\'s page count before logging pages' });
+  const page = parseInt(req.body.page);
+  if (!(page >= 0 && page <= book.pages)) return res.status(400).json({ error: 'Invalid page' });
 
-app.get('/api/books', requireLogin, (req, res) => {
-  const uid      = req.session.userId;
-  const current  = db.prepare("SELECT * FROM books WHERE user_id = ? AND status='reading' ORDER BY created_at DESC LIMIT 1").get(uid);
-  const log      = db.prepare("SELECT * FROM books WHERE user_id = ? AND status='completed' ORDER BY completed_at DESC").all(uid);
-  const wishlist = db.prepare("SELECT * FROM reading_list WHERE user_id = ? ORDER BY created_at ASC").all(uid);
-  res.json({ current: current || null, log, wishlist });
+  let xpAwarded = 0;
+  const progress = withProgression(uid, () => { xpAwarded = logReading(uid, book, page); });
+  res.json({ ...progress, ...bookLists(uid), xpAwarded });
 });
 
-app.post('/api/books', requireLogin, (req, res) => {
-  const uid   = req.session.userId;
-  const title = String(req.body.title || '').trim().slice(0, 200);
-  if (!title) return res.status(400).json({ error: 'Title required' });
-  const today = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-  db.prepare('INSERT INTO books (user_id, title, started_at) VALUES (?, ?, ?)').run(uid, title, today);
-  const current = db.prepare("SELECT * FROM books WHERE user_id = ? AND status='reading' ORDER BY created_at DESC LIMIT 1").get(uid);
-  const log     = db.prepare("SELECT * FROM books WHERE user_id = ? AND status='completed' ORDER BY completed_at DESC").all(uid);
-  res.json({ current, log });
+// POST /api/books/:id/finish { rating?, notes? }
+app.post('/api/books/:id/finish', requireLogin, (req, res) => {
+  const uid  = req.session.userId;
+  const book = readingBook(uid, req.params.id);
+  if (!book) return res.status(404).json({ error: 'Book not found' });
+  const { error, fields } = parseBookInput({ rating: req.body.rating, notes: req.body.notes });
+  if (error) return res.status(400).json({ error });
+
+  let xpAwarded = 0;
+  const progress = withProgression(uid, () => { xpAwarded = closeBook(uid, book, 'completed', fields); });
+  res.json({ ...progress, ...bookLists(uid), xpAwarded });
 });
 
-app.post('/api/books/:id/finish', requireLogin, (req, res) => {
+// POST /api/books/:id/abandon { rating?, notes? } — did not finish. XP already earned for pages read is kept.
+app.post('/api/books/:id/abandon', requireLogin, (req, res) => {
   const uid  = req.session.userId;
-  const id   = parseInt(req.params.id);
-  const book = db.prepare("SELECT * FROM books WHERE id=? AND user_id=? AND status='reading'").get(id, uid);
+  const book = readingBook(uid, req.params.id);
   if (!book) return res.status(404).json({ error: 'Book not found' });
-  const today = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-  db.prepare("UPDATE books SET status='completed', completed_at=? WHERE id=? AND user_id=?").run(today, id, uid);
-  db.prepare('UPDATE game_state SET total_xp = total_xp + 200 WHERE user_id = ?').run(uid);
-  db.prepare('INSERT INTO xp_log (user_id, date, note, xp) VALUES (?, ?, ?, ?)').run(uid, today, `Tome Completed: ${book.title}`, 200);
-  db.prepare('DELETE FROM xp_log WHERE user_id = ? AND id NOT IN (SELECT id FROM xp_log WHERE user_id = ? ORDER BY id DESC LIMIT 50)').run(uid, uid);
-  const current = db.prepare("SELECT * FROM books WHERE user_id = ? AND status='reading' ORDER BY created_at DESC LIMIT 1").get(uid);
-  const log     = db.prepare("SELECT * FROM books WHERE user_id = ? AND status='completed' ORDER BY completed_at DESC").all(uid);
-  const gs      = db.prepare('SELECT total_xp FROM game_state WHERE user_id = ?').get(uid);
-  res.json({ current: current || null, log, xpAwarded: 200, totalXP: gs.total_xp });
+  const { error, fields } = parseBookInput({ rating: req.body.rating, notes: req.body.notes });
+  if (error) return res.status(400).json({ error });
+  closeBook(uid, book, 'abandoned', fields);
+  res.json(bookLists(uid));
+});
+
+// ── Habits ────────────────────────────────────────────────────────────────────
+
+// Sanitise habit fields from a request body; only keys present in the body are returned
+function parseHabitInput(body) {
+  const out = {};
+  if (body.name !== undefined) {
+    out.name = String(body.name || '').trim().slice(0, 100);
+    if (!out.name) return { error: 'Name required' };
+  }
+  if (body.icon !== undefined) {
+    out.icon = String(body.icon || '').trim().slice(0, 8) || '⚔';
+  }
+  if (body.kind !== undefined) {
+    if (!['habit', 'enemy'].includes(body.kind)) return { error: 'Invalid kind' };
+    out.kind = body.kind;
+  }
+  if (body.completed_xp !== undefined) out.completed_xp = Math.max(-1000, Math.min(1000, parseInt(body.completed_xp) || 0));
+  if (body.failed_xp    !== undefined) out.failed_xp    = Math.max(-1000, Math.min(1000, parseInt(body.failed_xp)    || 0));
+  if (body.stat_weights !== undefined) {
+    if (!body.stat_weights || typeof body.stat_weights !== 'object') return { error: 'Invalid stat weights' };
+    const weights = {};
+    for (const k of STAT_KEYS) {
+      const w = Number(body.stat_weights[k]);
+      if (w > 0) weights[k] = Math.min(10, w);
+    }
+    out.stat_weights = JSON.stringify(weights);
+  }
+  if (body.sort_order !== undefined) out.sort_order = parseInt(body.sort_order) || 0;
+  if (body.archived   !== undefined) out.archived   = body.archived ? 1 : 0;
+  // A target makes the habit measured; null turns it back into a plain done/failed one
+  if (body.unit !== undefined) out.unit = String(body.unit || '').trim().slice(0, 16) || null;
+  if (body.target !== undefined) {
+    out.target = body.target === null || body.target === '' ? null : Number(body.target);
+    if (out.target !== null && !(out.target >= 0 && out.target < 1e9)) return { error: 'Target must be a non-negative number' };
+  }
+  if (body.comparison !== undefined) {
+    if (!['at_least', 'at_most'].includes(body.comparison)) return { error: 'Invalid comparison' };
+    out.comparison = body.comparison;
+  }
+  if (body.partial_xp !== undefined) out.partial_xp = body.partial_xp ? 1 : 0;
+  return { fields: out };
+}
+
+// Derive a stable daily_quests.quest_id from the habit name
+function habitSlug(uid, name) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32) || 'habit';
+  let slug = base;
+  for (let n = 2; db.prepare('SELECT 1 FROM habits WHERE user_id = ? AND id = ?').get(uid, slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+}
+
+// A measured habit's day is completed when its value meets the target
+function measuredStatus(habit, value) {
+  const met = habit.comparison === 'at_most' ? value <= habit.target : value >= habit.target;
+  return met ? 'completed' : 'failed';
+}
+
+// XP a day's mark is worth. With partial_xp, a measured habit that falls short
+// earns a share of completed_xp: value / target under an at-least target,
+// tapering to nothing at double an at-most one.
+function markXp(habit, status, value) {
+  if (status === 'completed') return habit.completed_xp;
+  if (!habit.partial_xp || value === null || !(habit.target > 0)) return habit.failed_xp;
+  const share = habit.comparison === 'at_most' ? 2 - value / habit.target : value / habit.target;
+  return Math.max(habit.failed_xp, Math.round(habit.completed_xp * Math.max(0, Math.min(1, share))));
+}
+
+app.get('/api/habits', requireLogin, (req, res) => {
+  const uid = req.session.userId;
+  res.json({ habits: getHabits(uid, req.query.archived === '1') });
+});
+
+// GET /api/habits/:id/values?from=&to= — a measured habit's logged values, for charting.
+// Defaults to the last 90 days.
+app.get('/api/habits/:id/values', requireLogin, (req, res) => {
+  const uid   = req.session.userId;
+  const habit = getHabits(uid, true).find(h => h.id === req.params.id);
+  if (!habit) return res.status(404).json({ error: 'Habit not found' });
+  const isDate = v => /^\d{4}-\d{2}-\d{2}$/.test(v || '');
+  const to     = isDate(req.query.to) ? req.query.to : todayStr(uid);
+  const from   = isDate(req.query.from) ? req.query.from : addDays(to, -89);
+  const values = db.prepare(`
+    SELECT date, value, status, xp FROM daily_quests
+    WHERE user_id = ? AND quest_id = ? AND value IS NOT NULL AND date >= ? AND date <= ? ORDER BY date
+  `).all(uid, habit.id, from, to);
+  res.json({ habit, from, to, values });
+});
+
+app.post('/api/habits', requireLogin, (req, res) => {
+  const uid = req.session.userId;
+  const { error, fields } = parseHabitInput({ stat_weights: { wis: 1 }, ...req.body, name: req.body.name || '' });
+  if (error) return res.status(400).json({ error });
+
+  const habitCount = db.prepare('SELECT COUNT(*) as cnt FROM habits WHERE user_id = ? AND archived = 0').get(uid);
+  if (Number(habitCount.cnt) >= 30) return res.status(400).json({ error: 'Too many active habits' });
+
+  const maxOrder = db.prepare('SELECT COALESCE(MAX(sort_order), -1) as m FROM habits WHERE user_id = ?').get(uid);
+  const habit = {
+    icon: '⚔', kind: 'habit', completed_xp: 100, failed_xp: 0, sort_order: Number(maxOrder.m) + 1,
+    unit: null, target: null, comparison: 'at_least', partial_xp: 0,
+    ...fields,
+    archived: 0,
+  };
+  db.prepare(`
+    INSERT INTO habits (user_id, id, name, icon, kind, completed_xp, failed_xp, stat_weights, sort_order, archived,
+                        unit, target, comparison, partial_xp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(uid, habitSlug(uid, habit.name), habit.name, habit.icon, habit.kind, habit.completed_xp,
+         habit.failed_xp, habit.stat_weights, habit.sort_order, habit.archived,
+         habit.unit, habit.target, habit.comparison, habit.partial_xp);
+  res.json({ habits: getHabits(uid) });
+});
+
+app.patch('/api/habits/:id', requireLogin, (req, res) => {
+  const uid   = req.session.userId;
+  const habit = db.prepare('SELECT id FROM habits WHERE user_id = ? AND id = ?').get(uid, req.params.id);
+  if (!habit) return res.status(404).json({ error: 'Habit not found' });
+
+  const { error, fields } = parseHabitInput(req.body);
+  if (error) return res.status(400).json({ error });
+  const keys = Object.keys(fields);
+  if (keys.length) {
+    db.prepare(`UPDATE habits SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE user_id = ? AND id = ?`)
+      .run(...keys.map(k => fields[k]), uid, habit.id);
+  }
+  res.json({ habits: getHabits(uid) });
 });
 
-// ── Quest labels ──────────────────────────────────────────────────────────────
+// Habits with logged history are archived instead, so past days keep their meaning
+app.delete('/api/habits/:id', requireLogin, (req, res) => {
+  const uid   = req.session.userId;
+  const habit = db.prepare('SELECT id FROM habits WHERE user_id = ? AND id = ?').get(uid, req.params.id);
+  if (!habit) return res.status(404).json({ error: 'Habit not found' });
+  const used = db.prepare('SELECT 1 FROM daily_quests WHERE user_id = ? AND quest_id = ? LIMIT 1').get(uid, habit.id);
+  if (used) {
+    db.prepare('UPDATE habits SET archived = 1 WHERE user_id = ? AND id = ?').run(uid, habit.id);
+  } else {
+    db.prepare('DELETE FROM habits WHERE user_id = ? AND id = ?').run(uid, habit.id);
+  }
+  res.json({ habits: getHabits(uid), archived: !!used });
+});
 
+// Legacy label endpoints, kept for older clients — names now live on habits
 app.get('/api/quest-labels', requireLogin, (req, res) => {
-  const uid  = req.session.userId;
-  const rows = db.prepare('SELECT quest_id, label FROM quest_labels WHERE user_id = ?').all(uid);
   const labels = {};
-  rows.forEach(r => { labels[r.quest_id] = r.label; });
+  getHabits(req.session.userId, true).forEach(h => { labels[h.id] = h.name; });
   res.json(labels);
 });
 
@@ -763,46 +2979,652 @@ app.patch('/api/quest-labels/:id', requireLogin, (req, res) => {
   const uid     = req.session.userId;
   const questId = req.params.id;
   const label   = String(req.body.label || '').trim().slice(0, 100);
-  const valid   = ['calorie','macro','gym','water','scroll','junkfood','alcohol'];
-  if (!valid.includes(questId) || !label) return res.status(400).json({ error: 'Invalid' });
-  db.prepare('UPDATE quest_labels SET label = ? WHERE user_id = ? AND quest_id = ?').run(label, uid, questId);
+  if (!label) return res.status(400).json({ error: 'Invalid' });
+  const result  = db.prepare('UPDATE habits SET name = ? WHERE user_id = ? AND id = ?').run(label, uid, questId);
+  if (Number(result.changes) === 0) return res.status(400).json({ error: 'Invalid' });
   res.json({ ok: true, questId, label });
 });
 
+// ── Body metrics ──────────────────────────────────────────────────────────────
+
+// Active metrics with their most recent entry
+function metricList(uid, includeArchived = false) {
+  return db.prepare(`
+    SELECT m.*,
+      (SELECT COUNT(*) FROM metric_entries e WHERE e.user_id = m.user_id AND e.metric_id = m.id) as entry_count,
+      (SELECT value FROM metric_entries e WHERE e.user_id = m.user_id AND e.metric_id = m.id ORDER BY date DESC, id DESC LIMIT 1) as latest_value,
+      (SELECT date  FROM metric_entries e WHERE e.user_id = m.user_id AND e.metric_id = m.id ORDER BY date DESC, id DESC LIMIT 1) as latest_date
+    FROM metrics m WHERE m.user_id = ? ${includeArchived ? '' : 'AND m.archived = 0'} ORDER BY m.sort_order, m.created_at
+  `).all(uid);
+}
+
+function getMetric(uid, id) {
+  return db.prepare('SELECT * FROM metrics WHERE user_id = ? AND id = ?').get(uid, id) || null;
+}
+
+// ?from=&to= for history and trend queries; defaults to the last 90 days
+function metricRange(uid, query) {
+  const isDate = v => /^\d{4}-\d{2}-\d{2}$/.test(v || '');
+  const to   = isDate(query.to) ? query.to : todayStr(uid);
+  const from = isDate(query.from) ? query.from : addDays(to, -89);
+  return from <= to ? { from, to } : null;
+}
+
+function metricEntries(uid, metricId, from, to) {
+  return db.prepare(`
+    SELECT id, date, value, note, created_at FROM metric_entries
+    WHERE user_id = ? AND metric_id = ? AND date >= ? AND date <= ? ORDER BY date, id
+  `).all(uid, metricId, from, to);
+}
+
+// Summary of a run of entries: overall change, a least-squares slope scaled to
+// a week, and weekly averages for charting. `improving` follows the metric's direction.
+function metricTrend(metric, entries) {
+  if (!entries.length) return null;
+  const round = v => Math.round(v * 100) / 100;
+  const first = entries[0], last = entries[entries.length - 1];
+  const xs = entries.map(e => daysBetween(first.date, e.date));
+  const ys = entries.map(e => e.value);
+  const mean = a => a.reduce((sum, v) => sum + v, 0) / a.length;
+  const mx = mean(xs), my = mean(ys);
+  const spread = xs.reduce((sum, x) => sum + (x - mx) ** 2, 0);
+  const slope  = spread ? xs.reduce((sum, x, i) => sum + (x - mx) * (ys[i] - my), 0) / spread : 0;
+
+  const weeks = {};
+  entries.forEach(e => { (weeks[weekStart(e.date)] = weeks[weekStart(e.date)] || []).push(e.value); });
+  const change = last.value - first.value;
+  return {
+    first: first.value, latest: last.value, change: round(change),
+    min: Math.min(...ys), max: Math.max(...ys), average: round(my),
+    per_week: round(slope * 7),
+    improving: change === 0 ? null : (change < 0) === (metric.direction === 'lower'),
+    weekly: Object.entries(weeks).map(([week, vals]) => ({ week, average: round(mean(vals)), entries: vals.length })),
+  };
+}
+
+function parseMetricInput(body) {
+  const out = {};
+  if (body.name !== undefined) {
+    out.name = String(body.name || '').trim().slice(0, 60);
+    if (!out.name) return { error: 'Name required' };
+  }
+  if (body.unit !== undefined) out.unit = String(body.unit || '').trim().slice(0, 16);
+  if (body.direction !== undefined) {
+    if (!['higher', 'lower'].includes(body.direction)) return { error: 'Invalid direction' };
+    out.direction = body.direction;
+  }
+  if (body.archived !== undefined) out.archived = body.archived ? 1 : 0;
+  return { fields: out };
+}
+
+app.get('/api/metrics', requireLogin, (req, res) => {
+  res.json({ metrics: metricList(req.session.userId, req.query.archived === '1') });
+});
+
+// POST /api/metrics { name, unit, direction }
+app.post('/api/metrics', requireLogin, (req, res) => {
+  const uid = req.session.userId;
+  const { error, fields } = parseMetricInput({ ...req.body, name: req.body.name || '' });
+  if (error) return res.status(400).json({ error });
+  const count = db.prepare('SELECT COUNT(*) as n FROM metrics WHERE user_id = ? AND archived = 0').get(uid);
+  if (Number(count.n) >= 30) return res.status(400).json({ error: 'Too many metrics' });
+
+  const base = fields.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 32) || 'metric';
+  let id = base;
+  for (let n = 2; getMetric(uid, id); n++) id = `${base}_${n}`;
+  const maxOrder = db.prepare('SELECT COALESCE(MAX(sort_order), -1) as m FROM metrics WHERE user_id = ?').get(uid);
+  db.prepare('INSERT INTO metrics (user_id, id, name, unit, direction, sort_order) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(uid, id, fields.name, fields.unit || '', fields.direction || 'higher', Number(maxOrder.m) + 1);
+  res.json({ metrics: metricList(uid) });
+});
+
+app.patch('/api/metrics/:id', requireLogin, (req, res) => {
+  const uid    = req.session.userId;
+  const metric = getMetric(uid, req.params.id);
+  if (!metric) return res.status(404).json({ error: 'Metric not found' });
+  const { error, fields } = parseMetricInput(req.body);
+  if (error) return res.status(400).json({ error });
+  const keys = Object.keys(fields);
+  if (keys.length) {
+    db.prepare(`UPDATE metrics SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE user_id = ? AND id = ?`)
+      .run(...keys.map(k => fields[k]), uid, metric.id);
+  }
+  res.json({ metrics: metricList(uid) });
+});
+
+// Metrics with entries are archived instead, like habits
+app.delete('/api/metrics/:id', requireLogin, (req, res) => {
+  const uid    = req.session.userId;
+  const metric = getMetric(uid, req.params.id);
+  if (!metric) return res.status(404).json({ error: 'Metric not found' });
+  const used = db.prepare('SELECT 1 FROM metric_entries WHERE user_id = ? AND metric_id = ? LIMIT 1').get(uid, metric.id);
+  if (used) db.prepare('UPDATE metrics SET archived = 1 WHERE user_id = ? AND id = ?').run(uid, metric.id);
+  else db.prepare('DELETE FROM metrics WHERE user_id = ? AND id = ?').run(uid, metric.id);
+  res.json({ metrics: metricList(uid), archived: !!used });
+});
+
+// GET /api/metrics/:id/entries?from=&to= — history, oldest first
+app.get('/api/metrics/:id/entries', requireLogin, (req, res) => {
+  const uid    = req.session.userId;
+  const metric = getMetric(uid, req.params.id);
+  if (!metric) return res.status(404).json({ error: 'Metric not found' });
+  const range = metricRange(uid, req.query);
+  if (!range) return res.status(400).json({ error: 'Invalid date range' });
+  res.json({ metric, ...range, entries: metricEntries(uid, metric.id, range.from, range.to) });
+});
+
+// GET /api/metrics/:id/trend?from=&to=
+app.get('/api/metrics/:id/trend', requireLogin, (req, res) => {
+  const uid    = req.session.userId;
+  const metric = getMetric(uid, req.params.id);
+  if (!metric) return res.status(404).json({ error: 'Metric not found' });
+  const range = metricRange(uid, req.query);
+  if (!range) return res.status(400).json({ error: 'Invalid date range' });
+  res.json({ metric, ...range, trend: metricTrend(metric, metricEntries(uid, metric.id, range.from, range.to)) });
+});
+
+// POST /api/metrics/:id/entries { value, date?, note? } — quests measuring the
+// metric complete as soon as an entry reaches their target
+app.post('/api/metrics/:id/entries', requireLogin, (req, res) => {
+  const uid    = req.session.userId;
+  const metric = getMetric(uid, req.params.id);
+  if (!metric || metric.archived) return res.status(404).json({ error: 'Metric not found' });
+  const value = req.body.value === null || req.body.value === '' ? NaN : Number(req.body.value);
+  if (!(Math.abs(value) < 1e9)) return res.status(400).json({ error: 'Value must be a number' });
+  const date = parseDate(uid, req.body.date);
+  if (!date) return res.status(400).json({ error: 'Date out of range' });
+  const note = String(req.body.note || '').trim().slice(0, 200) || null;
+
+  const progress = withProgression(uid, () => {
+    db.prepare('INSERT INTO metric_entries (user_id, metric_id, date, value, note) VALUES (?, ?, ?, ?, ?)')
+      .run(uid, metric.id, date, value, note);
+    return evaluateQuestRules(uid);
+  });
+  res.json({ ...progress, metrics: metricList(uid), quests: questLists(uid) });
+});
+
+app.delete('/api/metrics/entries/:id', requireLogin, (req, res) => {
+  const uid = req.session.userId;
+  db.prepare('DELETE FROM metric_entries WHERE id = ? AND user_id = ?').run(parseInt(req.params.id), uid);
+  res.json({ metrics: metricList(uid) });
+});
+
 // ── Reading list ──────────────────────────────────────────────────────────────
 
-app.post('/api/reading-list', requireLogin, (req, res) => {
-  const uid   = req.session.userId;
-  const title = String(req.body.title || '').trim().slice(0, 200);
-  if (!title) return res.status(400).json({ error: 'Title required' });
-  db.prepare('INSERT INTO reading_list (user_id, title) VALUES (?, ?)').run(uid, title);
-  res.json({ wishlist: db.prepare('SELECT * FROM reading_list WHERE user_id = ? ORDER BY created_at ASC').all(uid) });
+// POST /api/reading-list { title, author?, pages?, isbn? } — like POST /api/books, an ISBN alone is looked up
+app.post('/api/reading-list', requireLogin, async (req, res) => {
+  const uid = req.session.userId;
+  const lookup = await withIsbnMetadata(req.body);
+  if (lookup.error) return res.status(lookup.status).json({ error: lookup.error });
+  const body = lookup.body;
+  const { error, fields } = parseBookInput({ author: null, pages: null, isbn: null, ...body, title: body.title || '' });
+  if (error) return res.status(400).json({ error });
+  db.prepare('INSERT INTO reading_list (user_id, title, author, pages, isbn, external_key) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(uid, fields.title, fields.author, fields.pages, fields.isbn, fields.isbn && `isbn:${fields.isbn}`);
+  res.json(bookLists(uid));
 });
 
 app.delete('/api/reading-list/:id', requireLogin, (req, res) => {
   const uid = req.session.userId;
   db.prepare('DELETE FROM reading_list WHERE id = ? AND user_id = ?').run(parseInt(req.params.id), uid);
-  res.json({ wishlist: db.prepare('SELECT * FROM reading_list WHERE user_id = ? ORDER BY created_at ASC').all(uid) });
+  res.json(bookLists(uid));
 });
 
 app.post('/api/reading-list/:id/start', requireLogin, (req, res) => {
   const uid   = req.session.userId;
   const entry = db.prepare('SELECT * FROM reading_list WHERE id = ? AND user_id = ?').get(parseInt(req.params.id), uid);
   if (!entry) return res.status(404).json({ error: 'Entry not found' });
-  const today = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-  db.prepare('INSERT INTO books (user_id, title, started_at) VALUES (?, ?, ?)').run(uid, entry.title, today);
-  db.prepare('DELETE FROM reading_list WHERE id = ? AND user_id = ?').run(entry.id, uid);
-  const current  = db.prepare("SELECT * FROM books WHERE user_id = ? AND status='reading' ORDER BY created_at DESC LIMIT 1").get(uid);
-  const log      = db.prepare("SELECT * FROM books WHERE user_id = ? AND status='completed' ORDER BY completed_at DESC").all(uid);
-  const wishlist = db.prepare('SELECT * FROM reading_list WHERE user_id = ? ORDER BY created_at ASC').all(uid);
-  res.json({ current: current || null, log, wishlist });
+  transaction(() => {
+    insertBook(uid, entry);
+    db.prepare('DELETE FROM reading_list WHERE id = ? AND user_id = ?').run(entry.id, uid);
+  });
+  res.json(bookLists(uid));
+});
+
+// ── Shelf import ──────────────────────────────────────────────────────────────
+
+// RFC 4180: quoted fields may hold commas, newlines and doubled quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+// Goodreads and StoryGraph exports, told apart by their header. `row` maps a
+// record (keyed by header) onto common fields; shelves map to our statuses.
+const SHELF_FORMATS = {
+  goodreads: {
+    detect: header => header.includes('Exclusive Shelf'),
+    row: r => ({
+      id: r['Book Id'], title: r['Title'], author: r['Author'], isbn: r['ISBN13'] || r['ISBN'],
+      pages: r['Number of Pages'], rating: r['My Rating'], shelf: r['Exclusive Shelf'],
+      read_on: r['Date Read'], added_on: r['Date Added'], notes: r['Private Notes'] || r['My Review'],
+    }),
+  },
+  storygraph: {
+    detect: header => header.includes('Read Status'),
+    row: r => ({
+      id: null, title: r['Title'], author: r['Authors'], isbn: r['ISBN/UID'],
+      pages: null, rating: r['Star Rating'], shelf: r['Read Status'],
+      read_on: r['Last Date Read'], added_on: r['Date Added'], notes: r['Review'],
+    }),
+  },
+};
+const SHELF_STATUSES = { 'read': 'completed', 'currently-reading': 'reading', 'to-read': 'wishlist', 'did-not-finish': 'abandoned' };
+
+// "2021/03/14" or "2021-03-14" → ISO day, never later than today
+function shelfDate(uid, str) {
+  const m = /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})/.exec(String(str || '').trim());
+  if (!m) return null;
+  const day   = `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`;
+  const today = todayStr(uid);
+  return day > today ? today : day;
+}
+
+// Parse an export into import entries; rows that can't be used come back in `skipped`
+function parseShelfExport(uid, text, formatName) {
+  const [header = [], ...records] = parseCsv(String(text || '').replace(/^\uFEFF/, ''));
+  const name = formatName || Object.keys(SHELF_FORMATS).find(f => SHELF_FORMATS[f].detect(header));
+  const format = SHELF_FORMATS[name];
+  if (!format) return { error: 'Unrecognised export — expected a Goodreads or StoryGraph CSV' };
+
+  const entries = [];
+  const skipped = [];
+  records.forEach((cells, i) => {
+    const record = {};
+    header.forEach((h, j) => { record[h.trim()] = (cells[j] || '').trim(); });
+    const r      = format.row(record);
+    const status = SHELF_STATUSES[r.shelf];
+    const { error, fields } = parseBookInput({ title: r.title || '', author: r.author || null, pages: parseInt(r.pages) || null });
+    if (error || !status) return skipped.push({ row: i + 2, title: r.title || '', reason: error || `Unknown shelf "${r.shelf}"` });
+
+    const isbn   = normalizeIsbn(r.isbn);
+    const rating = Math.round(parseFloat(r.rating));
+    const key    = isbn ? `isbn:${isbn}`
+                 : r.id ? `${name}:${r.id}`
+                 : `title:${fields.title.toLowerCase()}|${(fields.author || '').toLowerCase()}`;
+    const added  = shelfDate(uid, r.added_on);
+    const read   = shelfDate(uid, r.read_on);
+    entries.push({
+      ...fields, isbn, external_key: key, status,
+      rating: rating >= 1 && rating <= 5 ? rating : null,
+      notes: r.notes ? r.notes.slice(0, 2000) : null,
+      started_at: added && read && added > read ? read : added || read || todayStr(uid),
+      ended_at: read || added || todayStr(uid),
+    });
+  });
+  return { format: name, entries, skipped };
+}
+
+// Bring entries into the library. A book already imported (same external_key)
+// is only moved forward — off the wishlist, or from reading to finished — so a
+// re-import adds nothing and pays no XP twice. Call inside withProgression.
+function importShelfEntries(uid, entries) {
+  const counts = { completed: 0, reading: 0, abandoned: 0, wishlist: 0, moved: 0, unchanged: 0 };
+  let xp = 0;
+  for (const e of entries) {
+    const book = db.prepare('SELECT * FROM books WHERE user_id = ? AND external_key = ? ORDER BY id DESC LIMIT 1').get(uid, e.external_key);
+    if (book) {
+      if (book.status !== 'reading' || !['completed', 'abandoned'].includes(e.status)) { counts.unchanged++; continue; }
+      xp += closeBook(uid, book, e.status, { rating: e.rating, notes: e.notes, date: e.ended_at });
+      counts.moved++;
+      continue;
+    }
+    const wish = db.prepare('SELECT id FROM reading_list WHERE user_id = ? AND external_key = ?').get(uid, e.external_key);
+    if (wish && e.status === 'wishlist') { counts.unchanged++; continue; }
+    if (wish) db.prepare('DELETE FROM reading_list WHERE id = ?').run(wish.id);
+
+    if (e.status === 'wishlist') {
+      db.prepare('INSERT INTO reading_list (user_id, title, author, pages, isbn, external_key) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(uid, e.title, e.author, e.pages, e.isbn, e.external_key);
+    } else {
+      const created = insertBook(uid, e);
+      if (e.status !== 'reading') xp += closeBook(uid, created, e.status, { rating: e.rating, notes: e.notes, date: e.ended_at });
+    }
+    counts[wish ? 'moved' : e.status]++;
+  }
+  return { counts, xp };
+}
+
+// POST /api/books/import[?format=goodreads|storygraph][&dryRun=1] — body is the export CSV
+app.post('/api/books/import', requireLogin, (req, res) => {
+  const uid    = req.session.userId;
+  const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+  if (req.query.format && !SHELF_FORMATS[req.query.format]) return res.status(400).json({ error: 'Unknown format' });
+  if (typeof req.body !== 'string' || !req.body.trim()) return res.status(400).json({ error: 'Send the export as a text/csv body' });
+
+  const parsed = parseShelfExport(uid, req.body, req.query.format);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  const DRY_RUN = Symbol('dry run');
+  let result, progress;
+  try {
+    transaction(() => {
+      progress = withProgression(uid, () => { result = importShelfEntries(uid, parsed.entries); });
+      if (dryRun) throw DRY_RUN;
+    });
+  } catch (e) {
+    if (e !== DRY_RUN) throw e;
+  }
+  res.json({
+    ok: true, dryRun, format: parsed.format, imported: result.counts, xpAwarded: result.xp,
+    skipped: parsed.skipped.slice(0, 100), ...(dryRun ? {} : { ...progress, ...bookLists(uid) }),
+  });
+});
+
+// ── Export / import ───────────────────────────────────────────────────────────
+
+const ARCHIVE_FORMAT  = 'ferro-animus';
+const ARCHIVE_VERSION = 5;
+
+// Per-user tables in an archive. `id` tables get fresh ids on import; column
+// types drive validation ('?' suffix = nullable, 'date' = ISO day), and `enums`
+// lists the values a column's CHECK allows. `gear` columns hold a map_gear id,
+// which must exist on this server since the catalogue isn't in the archive
+const ARCHIVE_TABLES = {
+  game_state:     { cols: { total_xp: 'int' } },
+  habits:         { cols: { id: 'text', name: 'text', icon: 'text', kind: 'text', completed_xp: 'int', failed_xp: 'int',
+                            stat_weights: 'text', sort_order: 'int', archived: 'int', created_at: 'int',
+                            unit: 'text?', target: 'num?', comparison: 'text', partial_xp: 'int' },
+                  enums: { kind: ['habit', 'enemy'], comparison: ['at_least', 'at_most'] } },
+  quest_labels:   { cols: { quest_id: 'text', label: 'text' } },
+  daily_quests:   { cols: { quest_id: 'text', status: 'text', date: 'date', xp: 'int', value: 'num?' },
+                    enums: { status: ['completed', 'failed'] } },
+  quests:         { id: true, refs: { series_id: 'quests' },
+                    cols: { name: 'text', tag: 'text', xp: 'int', status: 'text', created_at: 'int', completed_at: 'int?',
+                            rule: 'text?', starts_on: 'date?', ends_on: 'date?', penalty: 'int', recurring: 'int',
+                            series_id: 'int?' },
+                    enums: { tag: ['weekly', 'monthly', 'boss'], status: ['active', 'completed', 'failed'] } },
+  region_bosses:  { id: true, cols: { region: 'text', level_req: 'int', name: 'text', subtitle: 'text', status: 'text',
+                                      max_hp: 'int', hp: 'int', xp_reward: 'int', loot_gear_id: 'int?', defeated_at: 'int?' },
+                    enums: { status: ['locked', 'active', 'defeated'] }, gear: ['loot_gear_id'] },
+  boss_encounters: { id: true, refs: { boss_id: 'region_bosses' },
+                     cols: { boss_id: 'int', ref: 'text?', kind: 'text', note: 'text', hp_delta: 'int', xp: 'int',
+                             hp_after: 'int', created_at: 'int' },
+                     enums: { kind: ['hit', 'heal', 'counter', 'undo', 'defeat'] } },
+  map_cinematics: { cols: { region: 'text', seen: 'int' } },
+  books:          { id: true, cols: { title: 'text', author: 'text?', pages: 'int?', current_page: 'int', status: 'text',
+                                      started_at: 'date', completed_at: 'date?', rating: 'int?', notes: 'text?',
+                                      isbn: 'text?', external_key: 'text?', created_at: 'int' },
+                    enums: { status: ['reading', 'completed', 'abandoned'] } },
+  book_progress:  { id: true, refs: { book_id: 'books' },
+                    cols: { book_id: 'int', date: 'date', from_page: 'int', to_page: 'int', xp: 'int', created_at: 'int' } },
+  reading_list:   { id: true, cols: { title: 'text', author: 'text?', pages: 'int?', isbn: 'text?', external_key: 'text?',
+                                      created_at: 'int' } },
+  user_gear:      { cols: { gear_id: 'int', acquired_at: 'int', equipped: 'int' }, gear: ['gear_id'] },
+  story_reads:    { cols: { chapter_key: 'text', read_at: 'int' } },
+  user_achievements: { cols: { achievement_id: 'text', awarded_at: 'int' } },
+  metrics:        { cols: { id: 'text', name: 'text', unit: 'text', direction: 'text', sort_order: 'int', archived: 'int',
+                            created_at: 'int' },
+                    enums: { direction: ['higher', 'lower'] } },
+  metric_entries: { id: true, cols: { metric_id: 'text', date: 'date', value: 'num', note: 'text?', created_at: 'int' } },
+  xp_log:         { id: true, cols: { date: 'date', note: 'text', xp: 'int', created_at: 'int', source: 'text', source_ref: 'text?' },
+                    enums: { source: XP_SOURCES } },
+};
+
+// xp_log.source_ref points at rows that get new ids on import ('boss:<id>' for boss rewards)
+const REF_TABLES = { quest: 'quests', book: 'books' };
+
+function exportArchive(uid) {
+  const user = db.prepare('SELECT username, timezone FROM users WHERE id = ?').get(uid);
+  const data = {};
+  for (const [table, spec] of Object.entries(ARCHIVE_TABLES)) {
+    const cols = (spec.id ? ['id'] : []).concat(Object.keys(spec.cols));
+    data[table] = db.prepare(`SELECT ${cols.join(', ')} FROM ${table} WHERE user_id = ? ORDER BY rowid`).all(uid);
+  }
+  return { format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, exported_at: new Date().toISOString(),
+           username: user.username, timezone: user.timezone, data };
+}
+
+const TYPE_NAMES = { int: 'an integer', num: 'a number', text: 'a string', date: 'a YYYY-MM-DD date' };
+
+function checkValue(type, v) {
+  if (v === null || v === undefined) return type.endsWith('?');
+  switch (type.replace('?', '')) {
+    case 'int':  return Number.isInteger(v);
+    case 'num':  return Number.isFinite(v);
+    case 'text': return typeof v === 'string';
+    case 'date': return typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v);
+  }
+  return false;
+}
+
+// Bring an older archive's rows up to the current layout, in place. Version 1
+// stored book dates as display strings and had no page tracking; before
+// version 3 quests had no periods (importArchive fills those in), and before
+// version 4 no habit was measured.
+function upgradeArchive(archive) {
+  if (!Number.isInteger(archive?.version) || !archive.data || typeof archive.data !== 'object') return;
+  const rows = table => (Array.isArray(archive.data[table]) ? archive.data[table] : [])
+    .filter(row => row && typeof row === 'object');
+  if (archive.version < 2) {
+    for (const book of rows('books')) {
+      if (typeof book.started_at === 'string')   book.started_at   = legacyDay(book.started_at, book.created_at);
+      if (typeof book.completed_at === 'string') book.completed_at = legacyDay(book.completed_at, book.created_at);
+      book.current_page = book.current_page ?? 0;
+    }
+  }
+  if (archive.version < 3) {
+    for (const quest of rows('quests')) {
+      quest.penalty   = quest.penalty ?? 0;
+      quest.recurring = quest.recurring ?? (quest.tag === 'boss' ? 0 : 1);
+    }
+  }
+  if (archive.version < 4) {
+    for (const habit of rows('habits')) {
+      habit.comparison = habit.comparison ?? 'at_least';
+      habit.partial_xp = habit.partial_xp ?? 0;
+    }
+  }
+}
+
+// Returns a list of problems; empty means the archive can be imported
+function validateArchive(archive) {
+  if (!archive || typeof archive !== 'object') return ['Archive must be a JSON object'];
+  if (archive.format !== ARCHIVE_FORMAT) return [`Not a ${ARCHIVE_FORMAT} archive`];
+  if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > ARCHIVE_VERSION)
+    return [`Unsupported archive version ${archive.version}`];
+  if (!archive.data || typeof archive.data !== 'object') return ['Archive has no data'];
+
+  const errors = [];
+  const gearExists = db.prepare('SELECT 1 FROM map_gear WHERE id = ?');
+  for (const [table, rows] of Object.entries(archive.data)) {
+    const spec = ARCHIVE_TABLES[table];
+    if (!spec) { errors.push(`Unknown table ${table}`); continue; }
+    if (!Array.isArray(rows)) { errors.push(`${table} must be an array`); continue; }
+    if (table === 'game_state' && rows.length !== 1) errors.push('game_state must have exactly one row');
+    const ids = new Set();
+    rows.forEach((row, i) => {
+      if (!row || typeof row !== 'object') return errors.push(`${table}[${i}] must be an object`);
+      if (spec.id) {
+        if (!Number.isInteger(row.id)) errors.push(`${table}[${i}].id must be an integer`);
+        else if (ids.has(row.id)) errors.push(`${table}[${i}].id is duplicated`);
+        ids.add(row.id);
+      }
+      for (const [col, type] of Object.entries(spec.cols)) {
+        if (!checkValue(type, row[col])) errors.push(`${table}[${i}].${col} must be ${TYPE_NAMES[type.replace('?', '')]}${type.endsWith('?') ? ' or null' : ''}`);
+      }
+      for (const [col, allowed] of Object.entries(spec.enums || {})) {
+        if (typeof row[col] === 'string' && !allowed.includes(row[col])) errors.push(`${table}[${i}].${col} must be one of ${allowed.join(', ')}`);
+      }
+      for (const col of spec.gear || []) {
+        if (Number.isInteger(row[col]) && !gearExists.get(row[col])) errors.push(`${table}[${i}].${col} is not a known gear item`);
+      }
+    });
+  }
+  return errors;
+}
+
+function isFreshAccount(uid) {
+  const used = db.prepare(`
+    SELECT (SELECT COUNT(*) FROM xp_log       WHERE user_id = ?)
+         + (SELECT COUNT(*) FROM daily_quests WHERE user_id = ?)
+         + (SELECT COUNT(*) FROM books        WHERE user_id = ?)
+         + (SELECT COUNT(*) FROM metric_entries WHERE user_id = ?) as n
+  `).get(uid, uid, uid, uid);
+  return Number(used.n) === 0 && currentXp(uid) === 0;
+}
+
+// Replace the user's rows for every table present in the archive. Tables the
+// archive leaves out keep the new account's defaults. Returns rows per table.
+function importArchive(uid, archive) {
+  const idMaps = {};
+  const counts = {};
+  transaction(() => {
+    if (isValidTimezone(archive.timezone)) db.prepare('UPDATE users SET timezone = ? WHERE id = ?').run(archive.timezone, uid);
+    for (const [table, spec] of Object.entries(ARCHIVE_TABLES)) {
+      const rows = archive.data[table];
+      if (!rows) continue;
+      db.prepare(`DELETE FROM ${table} WHERE user_id = ?`).run(uid);
+      const cols   = Object.keys(spec.cols);
+      const insert = db.prepare(`INSERT INTO ${table} (user_id, ${cols.join(', ')}) VALUES (?, ${cols.map(() => '?').join(', ')})`);
+      const map    = idMaps[table] = new Map();
+      for (const row of rows) {
+        const values = cols.map(c => row[c] ?? null);
+        for (const [col, target] of Object.entries(spec.refs || {})) {
+          const newId = idMaps[target]?.get(row[col]);
+          if (newId !== undefined) values[cols.indexOf(col)] = newId;
+        }
+        if (table === 'xp_log' && REF_TABLES[row.source] && row.source_ref !== null) {
+          const boss  = /^boss:(\d+)$/.exec(row.source_ref);
+          const newId = boss ? idMaps.region_bosses?.get(Number(boss[1])) : idMaps[REF_TABLES[row.source]]?.get(Number(row.source_ref));
+          if (newId !== undefined) values[cols.indexOf('source_ref')] = boss ? `boss:${newId}` : String(newId);
+        }
+        const result = insert.run(uid, ...values);
+        if (spec.id) map.set(row.id, Number(result.lastInsertRowid));
+      }
+      counts[table] = rows.length;
+    }
+    // Archives from before the inventory existed still get the gear and achievements their history earned
+    fillQuestPeriods(uid);
+    grantGear(uid, currentXp(uid));
+    evaluateAchievements(uid);
+  });
+  return counts;
+}
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function sendCsv(res, filename, header, rows) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send([header, ...rows].map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n');
+}
+
+app.get('/api/export', requireLogin, (req, res) => {
+  const archive = exportArchive(req.session.userId);
+  res.setHeader('Content-Disposition', `attachment; filename="ferro-animus-${archive.username}-${todayStr(req.session.userId)}.json"`);
+  res.json(archive);
+});
+
+app.get('/api/export/daily.csv', requireLogin, (req, res) => {
+  const uid   = req.session.userId;
+  const names = {};
+  getHabits(uid, true).forEach(h => { names[h.id] = h.name; });
+  const rows = db.prepare('SELECT date, quest_id, status, xp, value FROM daily_quests WHERE user_id = ? ORDER BY date, quest_id').all(uid)
+    .map(r => [r.date, r.quest_id, names[r.quest_id] || '', r.status, r.xp, r.value]);
+  sendCsv(res, 'daily-history.csv', ['date', 'habit_id', 'habit', 'status', 'xp', 'value'], rows);
+});
+
+app.get('/api/export/xp-log.csv', requireLogin, (req, res) => {
+  const rows = db.prepare('SELECT date, source, source_ref, note, xp, created_at FROM xp_log WHERE user_id = ? ORDER BY id').all(req.session.userId)
+    .map(r => [r.date, r.source, r.source_ref, r.note, r.xp, new Date(r.created_at * 1000).toISOString()]);
+  sendCsv(res, 'xp-log.csv', ['date', 'source', 'source_ref', 'note', 'xp', 'recorded_at'], rows);
+});
+
+// POST /api/import[?dryRun=1] — body is an archive from /api/export. Only accepted
+// into an account with no history yet; a dry run validates and reports counts.
+app.post('/api/import', requireLogin, (req, res) => {
+  const uid    = req.session.userId;
+  const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+  upgradeArchive(req.body);
+  const errors = validateArchive(req.body);
+  if (errors.length) return res.status(400).json({ error: 'Invalid archive', details: errors.slice(0, 50) });
+  if (!isFreshAccount(uid)) return res.status(409).json({ error: 'Import is only possible into a fresh account' });
+
+  const DRY_RUN = Symbol('dry run');
+  let imported;
+  try {
+    transaction(() => {
+      imported = importArchive(uid, req.body);
+      if (dryRun) throw DRY_RUN;
+    });
+  } catch (e) {
+    if (e !== DRY_RUN) return res.status(400).json({ error: 'Archive rejected: ' + e.message });
+  }
+  res.json({ ok: true, dryRun, imported });
 });
 
 // ── Admin routes ──────────────────────────────────────────────────────────────
 
+// Record an admin action. `target` is { type, id } (or null); details should
+// carry enough (a username, the values set) to read the entry once the target is gone.
+function audit(req, action, target, details = {}) {
+  db.prepare('INSERT INTO admin_audit (admin_id, action, target_type, target_id, details) VALUES (?, ?, ?, ?, ?)')
+    .run(req.session.userId, action, target ? target.type : null, target ? String(target.id) : null, JSON.stringify(details));
+}
+
+// Remove an account and everything that belongs to it. Party membership is
+// given up the usual way, so leadership passes on; feed posts stay, unattributed.
+function deleteUser(uid) {
+  transaction(() => {
+    leaveParty(uid);
+    for (const table of [...Object.keys(ARCHIVE_TABLES), 'stats', 'leaderboard_snapshots', 'party_invites', 'password_resets', 'recovery_codes']) {
+      db.prepare(`DELETE FROM ${table} WHERE user_id = ?`).run(uid);
+    }
+    db.prepare('DELETE FROM party_invites WHERE invited_by = ?').run(uid);
+    db.prepare('UPDATE password_resets SET created_by = NULL WHERE created_by = ?').run(uid);
+    db.prepare('DELETE FROM friendships WHERE requester_id = ? OR addressee_id = ?').run(uid, uid);
+    db.prepare('DELETE FROM follows WHERE follower_id = ? OR followee_id = ?').run(uid, uid);
+    db.prepare('UPDATE party_feed SET user_id = NULL WHERE user_id = ?').run(uid);
+    revokeSessions(uid);
+    db.prepare('DELETE FROM users WHERE id = ?').run(uid);
+  });
+}
+
+// Looks up the :id user for admin routes, refusing the admin's own account
+// where `notSelf` is set (demoting or disabling yourself goes through nobody)
+function adminTarget(req, res, { notSelf = false } = {}) {
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(parseInt(req.params.id));
+  if (!user) { res.status(404).json({ error: 'User not found' }); return null; }
+  if (notSelf && user.id === req.session.userId) { res.status(400).json({ error: "You can't do that to your own account" }); return null; }
+  return user;
+}
+
+// Replace the level curve; every user's boss progression is re-derived from it
+app.put('/api/admin/progression', requireLogin, requireAdmin, (req, res) => {
+  const { progression, error } = validateProgression(req.body);
+  if (error) return res.status(400).json({ error });
+  transaction(() => {
+    saveProgression(progression);
+    db.prepare('SELECT user_id, total_xp FROM game_state').all()
+      .forEach(g => syncProgression(g.user_id, g.total_xp, g.total_xp));
+    audit(req, 'progression.update', null, { levels: progression.levels.length, prestige: progression.prestige.xpPerLevel });
+  });
+  res.json(getProgression());
+});
+
 app.get('/api/admin/users', requireLogin, requireAdmin, (req, res) => {
   const users = db.prepare(`
-    SELECT u.id, u.username, u.created_at, u.is_admin, COALESCE(g.total_xp, 0) as total_xp
+    SELECT u.id, u.username, u.display_name, u.created_at, u.is_admin, u.disabled_at,
+           u.totp_enabled_at IS NOT NULL as two_factor, COALESCE(g.total_xp, 0) as total_xp
     FROM users u
     LEFT JOIN game_state g ON g.user_id = u.id
     ORDER BY total_xp DESC
@@ -810,17 +3632,356 @@ app.get('/api/admin/users', requireLogin, requireAdmin, (req, res) => {
   res.json(users);
 });
 
+// GET /api/admin/users/:id?from&to — one player's account, quests, daily history (last 30 days by default) and ledger
+app.get('/api/admin/users/:id', requireLogin, requireAdmin, (req, res) => {
+  const user = adminTarget(req, res);
+  if (!user) return;
+  const to   = /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)   ? req.query.to   : todayStr(user.id);
+  const from = /^\d{4}-\d{2}-\d{2}$/.test(req.query.from) ? req.query.from : addDays(to, -29);
+  const daily = db.prepare(`
+    SELECT date, quest_id, status, xp, value FROM daily_quests
+    WHERE user_id = ? AND date >= ? AND date <= ? ORDER BY date DESC, quest_id
+  `).all(user.id, from, to);
+  res.json({
+    user: {
+      id: user.id, username: user.username, display_name: user.display_name, email: user.email, is_admin: user.is_admin,
+      disabled_at: user.disabled_at, two_factor_enabled_at: user.totp_enabled_at, created_at: user.created_at, timezone: user.timezone, total_xp: currentXp(user.id),
+    },
+    habits: getHabits(user.id, true),
+    daily,
+    from,
+    to,
+    ...questLists(user.id),
+    log: recentLog(user.id, 20),
+  });
+});
+
+// PATCH /api/admin/users/:id — { is_admin?, disabled? }. Sessions follow at once:
+// a demoted admin loses admin rights mid-session, a disabled user is logged out.
+app.patch('/api/admin/users/:id', requireLogin, requireAdmin, (req, res) => {
+  const user = adminTarget(req, res, { notSelf: true });
+  if (!user) return;
+  const { is_admin, disabled } = req.body;
+  if ((is_admin !== undefined && typeof is_admin !== 'boolean') || (disabled !== undefined && typeof disabled !== 'boolean')) {
+    return res.status(400).json({ error: 'is_admin and disabled must be true or false' });
+  }
+  transaction(() => {
+    if (is_admin !== undefined && is_admin !== (user.is_admin === 1)) {
+      db.prepare('UPDATE users SET is_admin = ? WHERE id = ?').run(is_admin ? 1 : 0, user.id);
+      db.prepare(`UPDATE sessions SET sess = json_set(sess, '$.isAdmin', json(?)) WHERE ${SESSION_USER} = ?`).run(String(is_admin), user.id);
+      audit(req, is_admin ? 'user.promote' : 'user.demote', { type: 'user', id: user.id }, { username: user.username });
+    }
+    if (disabled !== undefined && disabled !== (user.disabled_at !== null)) {
+      db.prepare('UPDATE users SET disabled_at = ? WHERE id = ?').run(disabled ? Math.floor(Date.now() / 1000) : null, user.id);
+      if (disabled) revokeSessions(user.id);
+      audit(req, disabled ? 'user.disable' : 'user.enable', { type: 'user', id: user.id }, { username: user.username });
+    }
+  });
+  res.json({ ok: true });
+});
+
+app.delete('/api/admin/users/:id', requireLogin, requireAdmin, (req, res) => {
+  const user = adminTarget(req, res, { notSelf: true });
+  if (!user) return;
+  transaction(() => {
+    audit(req, 'user.delete', { type: 'user', id: user.id }, { username: user.username, total_xp: currentXp(user.id) });
+    deleteUser(user.id);
+  });
+  res.json({ ok: true });
+});
+
+// Send the user a single-use reset link. Their password is left alone until
+// the link is used, so a stray request locks nobody out.
+app.post('/api/admin/users/:id/password-reset', requireLogin, requireAdmin, async (req, res) => {
+  const user = adminTarget(req, res);
+  if (!user) return;
+  const { token, expiresAt } = issueResetToken(user.id, req.session.userId);
+  try {
+    await sendMail(resetMessage(req, user, token, expiresAt));
+  } catch (e) {
+    db.prepare('DELETE FROM password_resets WHERE token_hash = ?').run(hashToken(token));
+    return res.status(502).json({ error: 'Could not send the reset link: ' + e.message });
+  }
+  audit(req, 'user.password_reset', { type: 'user', id: user.id }, { username: user.username, sent_to: user.email, expires_at: expiresAt });
+  res.json({ ok: true, sent_to: user.email, expires_at: expiresAt });
+});
+
+// GET/PUT /api/admin/security — { require_admin_2fa }. Turning enforcement on
+// takes a second factor on your own account first, or you'd lock yourself out.
+function securitySettings() {
+  const missing = db.prepare('SELECT username FROM users WHERE is_admin = 1 AND totp_enabled_at IS NULL ORDER BY username').all();
+  return { ...getSecurity(), admins_without_2fa: missing.map(u => u.username) };
+}
+
+app.get('/api/admin/security', requireLogin, requireAdmin, (req, res) => {
+  res.json(securitySettings());
+});
+
+app.put('/api/admin/security', requireLogin, requireAdmin, (req, res) => {
+  const { require_admin_2fa } = req.body;
+  if (typeof require_admin_2fa !== 'boolean') return res.status(400).json({ error: 'require_admin_2fa must be true or false' });
+  if (require_admin_2fa && !twoFactorStatus(req.session.userId).enabled) {
+    return res.status(409).json({ error: 'Turn on two-factor authentication for your own account first' });
+  }
+  transaction(() => {
+    saveSecurity({ ...getSecurity(), require_admin_2fa });
+    audit(req, 'security.update', null, { require_admin_2fa });
+  });
+  res.json(securitySettings());
+});
+
+// Turn off 2FA for a user who has lost both their device and recovery codes
+app.post('/api/admin/users/:id/2fa/reset', requireLogin, requireAdmin, (req, res) => {
+  const user = adminTarget(req, res, { notSelf: true });
+  if (!user) return;
+  if (user.totp_enabled_at === null) return res.status(409).json({ error: 'Two-factor authentication is not on for this user' });
+  transaction(() => {
+    disableTwoFactor(user.id);
+    audit(req, 'user.2fa_reset', { type: 'user', id: user.id }, { username: user.username });
+  });
+  res.json({ ok: true });
+});
+
+// POST /api/admin/users/:id/xp — { xp, reason }: grant (positive) or revoke (negative) XP
+app.post('/api/admin/users/:id/xp', requireLogin, requireAdmin, (req, res) => {
+  const user = adminTarget(req, res);
+  if (!user) return;
+  const xp     = Number(req.body.xp);
+  const reason = String(req.body.reason || '').trim().slice(0, 200);
+  if (!Number.isInteger(xp) || xp === 0 || Math.abs(xp) > 1000000) return res.status(400).json({ error: 'xp must be a non-zero whole number' });
+  if (!reason) return res.status(400).json({ error: 'A reason is required' });
+  const progress = transaction(() => {
+    const result = awardXp(user.id, { xp, note: `${xp > 0 ? 'Granted' : 'Revoked'} by admin: ${reason}`, source: 'admin', ref: req.session.userId });
+    audit(req, xp > 0 ? 'user.xp_grant' : 'user.xp_revoke', { type: 'user', id: user.id },
+      { username: user.username, xp, reason, total_xp: result.totalXP });
+    return result;
+  });
+  res.json(progress);
+});
+
 app.post('/api/admin/reset-user/:id', requireLogin, requireAdmin, (req, res) => {
-  const uid = parseInt(req.params.id);
-  db.prepare('UPDATE game_state SET total_xp = 0 WHERE user_id = ?').run(uid);
-  db.prepare('UPDATE stats SET str=0, dis=0, vit=0, wis=0, endurance=0 WHERE user_id=?').run(uid);
-  db.prepare('DELETE FROM xp_log WHERE user_id = ?').run(uid);
+  const user = adminTarget(req, res);
+  if (!user) return;
+  transaction(() => {
+    audit(req, 'user.reset_progress', { type: 'user', id: user.id }, { username: user.username, total_xp: currentXp(user.id) });
+    resetProgress(user.id, 'admin');
+  });
   res.json({ ok: true });
 });
 
+// Rebuild the leaderboard snapshots now instead of waiting for the timer
+app.post('/api/admin/leaderboards/refresh', requireLogin, requireAdmin, (req, res) => {
+  refreshLeaderboards();
+  audit(req, 'leaderboards.refresh', null);
+  res.json({ ok: true });
+});
+
+// GET /api/admin/audit?page=1&limit=50&action=user.delete&user=ID (target user)
+app.get('/api/admin/audit', requireLogin, requireAdmin, (req, res) => {
+  const limit  = Math.max(1, Math.min(200, parseInt(req.query.limit) || 50));
+  const page   = Math.max(1, parseInt(req.query.page) || 1);
+  const where  = ['1 = 1'];
+  const params = [];
+  if (req.query.action) { where.push('a.action = ?'); params.push(String(req.query.action)); }
+  if (req.query.user)   { where.push("a.target_type = 'user' AND a.target_id = ?"); params.push(String(parseInt(req.query.user))); }
+  const clause  = where.join(' AND ');
+  const total   = Number(db.prepare(`SELECT COUNT(*) as cnt FROM admin_audit a WHERE ${clause}`).get(...params).cnt);
+  const entries = db.prepare(`
+    SELECT a.*, u.username as admin_username FROM admin_audit a
+    LEFT JOIN users u ON u.id = a.admin_id
+    WHERE ${clause} ORDER BY a.id DESC LIMIT ? OFFSET ?
+  `).all(...params, limit, (page - 1) * limit).map(e => ({ ...e, details: JSON.parse(e.details) }));
+  res.json({ entries, page, limit, total, pages: Math.ceil(total / limit) });
+});
+
+// ── Admin content ─────────────────────────────────────────────────────────────
+// The gear catalogue, and what new accounts are seeded with: the boss line-up
+// and the default quests. Edits to the last two apply to accounts created afterwards.
+
+const GEAR_TYPES = ['weapon', 'armour', 'plate', 'helm'];
+
+// Validate a full gear item. Returns { gear } or { error }.
+function parseGearInput(body) {
+  const name = String(body.name || '').trim().slice(0, 60);
+  if (!name) return { error: 'Name required' };
+  if (!db.prepare('SELECT 1 FROM regions WHERE id = ?').get(String(body.region))) return { error: 'Unknown region' };
+  if (!GEAR_TYPES.includes(body.type)) return { error: `type must be one of ${GEAR_TYPES.join(', ')}` };
+  const unlock_lvl = Number(body.unlock_lvl);
+  if (!Number.isInteger(unlock_lvl) || unlock_lvl < 1) return { error: 'unlock_lvl must be a level' };
+  const unlock_xp = body.unlock_xp === null || body.unlock_xp === '' || body.unlock_xp === undefined ? null : Number(body.unlock_xp);
+  if (unlock_xp !== null && (!Number.isInteger(unlock_xp) || unlock_xp < 0)) return { error: 'unlock_xp must be a whole number of XP, or null' };
+  const mods = body.stat_mods || {};
+  if (typeof mods !== 'object' || Array.isArray(mods)) return { error: 'stat_mods must be an object' };
+  for (const [k, v] of Object.entries(mods)) {
+    if (!STAT_KEYS.includes(k) || !Number.isInteger(v) || Math.abs(v) > 100) return { error: `Invalid stat modifier "${k}"` };
+  }
+  return { gear: { region: body.region, type: body.type, name, unlock_lvl, unlock_xp, stat_mods: mods } };
+}
+
+function adminGearList() {
+  return db.prepare(`
+    SELECT g.*, (SELECT COUNT(*) FROM user_gear WHERE gear_id = g.id) as owners
+    FROM map_gear g ORDER BY g.unlock_lvl ASC, g.id ASC
+  `).all().map(parseGear);
+}
+
+// Hand out anything the edit put within a player's reach
+function grantGearToAll() {
+  db.prepare('SELECT user_id, total_xp FROM game_state').all().forEach(g => grantGear(Number(g.user_id), g.total_xp));
+}
+
+app.get('/api/admin/gear', requireLogin, requireAdmin, (req, res) => {
+  res.json(adminGearList());
+});
+
+app.post('/api/admin/gear', requireLogin, requireAdmin, (req, res) => {
+  const { gear, error } = parseGearInput(req.body);
+  if (error) return res.status(400).json({ error });
+  transaction(() => {
+    const id = Number(db.prepare(`
+      INSERT INTO map_gear (region, type, name, unlock_lvl, unlock_xp, stat_mods) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(gear.region, gear.type, gear.name, gear.unlock_lvl, gear.unlock_xp, JSON.stringify(gear.stat_mods)).lastInsertRowid);
+    grantGearToAll();
+    audit(req, 'gear.create', { type: 'gear', id }, gear);
+  });
+  res.json(adminGearList());
+});
+
+// PATCH /api/admin/gear/:id — any of the fields; an item someone owns keeps its slot type
+app.patch('/api/admin/gear/:id', requireLogin, requireAdmin, (req, res) => {
+  const item = db.prepare('SELECT * FROM map_gear WHERE id = ?').get(parseInt(req.params.id));
+  if (!item) return res.status(404).json({ error: 'Gear not found' });
+  const { gear, error } = parseGearInput({ ...parseGear(item), ...req.body });
+  if (error) return res.status(400).json({ error });
+  if (gear.type !== item.type && db.prepare('SELECT 1 FROM user_gear WHERE gear_id = ?').get(item.id)) {
+    return res.status(409).json({ error: "Players own this item, so its type can't change" });
+  }
+  transaction(() => {
+    db.prepare('UPDATE map_gear SET region = ?, type = ?, name = ?, unlock_lvl = ?, unlock_xp = ?, stat_mods = ? WHERE id = ?')
+      .run(gear.region, gear.type, gear.name, gear.unlock_lvl, gear.unlock_xp, JSON.stringify(gear.stat_mods), item.id);
+    grantGearToAll();
+    audit(req, 'gear.update', { type: 'gear', id: item.id }, { before: parseGear(item), after: gear });
+  });
+  res.json(adminGearList());
+});
+
+// Only items nobody owns and no boss drops can go
+app.delete('/api/admin/gear/:id', requireLogin, requireAdmin, (req, res) => {
+  const item = db.prepare('SELECT * FROM map_gear WHERE id = ?').get(parseInt(req.params.id));
+  if (!item) return res.status(404).json({ error: 'Gear not found' });
+  const inUse = db.prepare(`
+    SELECT 1 FROM user_gear WHERE gear_id = ?1
+    UNION ALL SELECT 1 FROM region_bosses WHERE loot_gear_id = ?1
+    UNION ALL SELECT 1 FROM boss_templates WHERE loot_gear_id = ?1
+  `).get(item.id);
+  if (inUse) return res.status(409).json({ error: 'Players own this item or a boss drops it' });
+  transaction(() => {
+    db.prepare('DELETE FROM map_gear WHERE id = ?').run(item.id);
+    audit(req, 'gear.delete', { type: 'gear', id: item.id }, parseGear(item));
+  });
+  res.json(adminGearList());
+});
+
+function bossTemplateList() {
+  return db.prepare(`
+    SELECT t.*, g.name as loot_name FROM boss_templates t
+    LEFT JOIN map_gear g ON g.id = t.loot_gear_id ORDER BY t.level_req
+  `).all();
+}
+
+app.get('/api/admin/boss-templates', requireLogin, requireAdmin, (req, res) => {
+  res.json(bossTemplateList());
+});
+
+// PATCH /api/admin/boss-templates/:id — { name?, subtitle?, max_hp?, xp_reward?, loot_gear_id? }.
+// Region and level are the shape of the world and stay put.
+app.patch('/api/admin/boss-templates/:id', requireLogin, requireAdmin, (req, res) => {
+  const boss = db.prepare('SELECT * FROM boss_templates WHERE id = ?').get(parseInt(req.params.id));
+  if (!boss) return res.status(404).json({ error: 'Boss not found' });
+  const t = { ...boss, ...req.body };
+  t.name     = String(t.name || '').trim().slice(0, 80);
+  t.subtitle = String(t.subtitle || '').trim().slice(0, 80);
+  if (!t.name) return res.status(400).json({ error: 'Name required' });
+  if (!Number.isInteger(t.max_hp) || t.max_hp < 1 || t.max_hp > 1000000) return res.status(400).json({ error: 'max_hp must be a positive whole number' });
+  if (!Number.isInteger(t.xp_reward) || t.xp_reward < 0 || t.xp_reward > 1000000) return res.status(400).json({ error: 'xp_reward must be a whole number' });
+  if (t.loot_gear_id !== null && !db.prepare('SELECT 1 FROM map_gear WHERE id = ?').get(t.loot_gear_id)) {
+    return res.status(400).json({ error: 'Unknown loot item' });
+  }
+  transaction(() => {
+    db.prepare('UPDATE boss_templates SET name = ?, subtitle = ?, max_hp = ?, xp_reward = ?, loot_gear_id = ? WHERE id = ?')
+      .run(t.name, t.subtitle, t.max_hp, t.xp_reward, t.loot_gear_id, boss.id);
+    audit(req, 'boss_template.update', { type: 'boss_template', id: boss.id }, {
+      before: { name: boss.name, subtitle: boss.subtitle, max_hp: boss.max_hp, xp_reward: boss.xp_reward, loot_gear_id: boss.loot_gear_id },
+      after:  { name: t.name, subtitle: t.subtitle, max_hp: t.max_hp, xp_reward: t.xp_reward, loot_gear_id: t.loot_gear_id },
+    });
+  });
+  res.json(bossTemplateList());
+});
+
+// Rules are stored as JSON text
+function parseSeed(q) {
+  return { ...q, rule: q.rule ? JSON.parse(q.rule) : null };
+}
+
+function questSeedList() {
+  return db.prepare('SELECT * FROM quest_seeds ORDER BY sort_order, id').all().map(parseSeed);
+}
+
+app.get('/api/admin/quest-seeds', requireLogin, requireAdmin, (req, res) => {
+  res.json(questSeedList());
+});
+
+// POST /api/admin/quest-seeds — body as for POST /api/quests, rules checked against the default habits and metrics
+app.post('/api/admin/quest-seeds', requireLogin, requireAdmin, (req, res) => {
+  const { quest, error } = parseQuestInput(null, req.body);
+  if (error) return res.status(400).json({ error });
+  transaction(() => {
+    const id = Number(db.prepare(`
+      INSERT INTO quest_seeds (name, tag, xp, rule, penalty, recurring, sort_order)
+      VALUES (?, ?, ?, ?, ?, ?, (SELECT COALESCE(MAX(sort_order), -1) + 1 FROM quest_seeds))
+    `).run(quest.name, quest.tag, quest.xp, quest.rule, quest.penalty, quest.recurring ? 1 : 0).lastInsertRowid);
+    audit(req, 'quest_seed.create', { type: 'quest_seed', id }, parseSeed(quest));
+  });
+  res.json(questSeedList());
+});
+
+app.patch('/api/admin/quest-seeds/:id', requireLogin, requireAdmin, (req, res) => {
+  const seed = db.prepare('SELECT * FROM quest_seeds WHERE id = ?').get(parseInt(req.params.id));
+  if (!seed) return res.status(404).json({ error: 'Quest seed not found' });
+  const { quest, error } = parseQuestInput(null, { ...parseSeed(seed), recurring: seed.recurring === 1, ...req.body });
+  if (error) return res.status(400).json({ error });
+  transaction(() => {
+    db.prepare('UPDATE quest_seeds SET name = ?, tag = ?, xp = ?, rule = ?, penalty = ?, recurring = ? WHERE id = ?')
+      .run(quest.name, quest.tag, quest.xp, quest.rule, quest.penalty, quest.recurring ? 1 : 0, seed.id);
+    audit(req, 'quest_seed.update', { type: 'quest_seed', id: seed.id }, { before: parseSeed(seed), after: parseSeed(quest) });
+  });
+  res.json(questSeedList());
+});
+
+app.delete('/api/admin/quest-seeds/:id', requireLogin, requireAdmin, (req, res) => {
+  const seed = db.prepare('SELECT * FROM quest_seeds WHERE id = ?').get(parseInt(req.params.id));
+  if (!seed) return res.status(404).json({ error: 'Quest seed not found' });
+  transaction(() => {
+    db.prepare('DELETE FROM quest_seeds WHERE id = ?').run(seed.id);
+    audit(req, 'quest_seed.delete', { type: 'quest_seed', id: seed.id }, parseSeed(seed));
+  });
+  res.json(questSeedList());
+});
+
 // ── Start ─────────────────────────────────────────────────────────────────────
 const PORT = process.env.PORT || 3000;
 initDb();
-app.listen(PORT, () => {
-  console.log(`\n  ⚔  Ferro Animus running → http://localhost:${PORT}\n`);
-});
+refreshLeaderboards();
+// Quests also roll over when their owner loads them; this catches the ones nobody is looking at
+rolloverAllQuests();
+
+// Required rather than run (by the tests), the app is returned without listening
+if (require.main === module) {
+  setInterval(refreshLeaderboards, LEADERBOARD_REFRESH_MINUTES * 60 * 1000).unref();
+  setInterval(rolloverAllQuests, 15 * 60 * 1000).unref();
+  app.listen(PORT, () => {
+    console.log(`\n  ⚔  Ferro Animus running → http://localhost:${PORT}\n`);
+  });
+}
+
+module.exports = { app, db };
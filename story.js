@@ -0,0 +1,364 @@
+// Story chapters seeded into story_chapters on startup (matched by key, so
+// edits made in the database are kept). `body` and `epilogue` are trusted HTML.
+// A chapter unlocks on reaching a level, defeating the region boss with the
+// given level_req, or completing the quest with the given name.
+
+const STORY_SEEDS = [
+  {
+    key: 'ashen-1', region: 'ashen', part: 1, title: 'The Arrival',
+    tag: 'Level 1 · No boss defeated yet',
+    unlock_type: 'level', unlock_value: '1',
+    body: `
+    <p class="opening">They said the city had a name once.</p>
+
+    <p>Before the ash. Before the silence settled into the streets like a second cobblestone,
+    grey and permanent and patient. Before the fires that never fully died retreated into the
+    walls and the pipes and the bones of the buildings themselves, burning quietly from within
+    like a secret too old to speak aloud.</p>
+
+    <p>You arrived the way everyone arrives at the places that matter — with nothing.</p>
+
+    <p>No memory of the road that brought you here. No clear recollection of the moment the
+    skyline first appeared on the horizon, those impossible brutalist towers clawing upward
+    through the haze like fingers of a buried giant refusing to let go. Only the vague and
+    unsettling sense that you had been walking toward this place your entire life without
+    knowing it. That every soft choice, every avoided mirror, every morning you turned over
+    and chose the comfortable dark over the difficult light — all of it had been slow
+    navigation toward these gates.</p>
+
+    <p>The gates are iron. Enormous. Bent slightly inward at the top as though something on
+    the other side once pressed against them with tremendous force and then thought better of
+    it. Rust blooms across the surface in patterns that almost resemble faces if you look too
+    long. You do not look too long.</p>
+
+    <p>A figure sits beside the gate on an overturned concrete block. Old. Wrapped in so many
+    layers of salvaged cloth that their shape is suggestion rather than fact. They do not look
+    up as you approach.</p>
+
+    <p class="dialogue">"Another one," they say. Not unkindly. The way someone says <em>it has started raining.</em></p>
+    <p class="dialogue">"Is this the city?" you ask.</p>
+    <p class="dialogue">"It's what's left of one."</p>
+
+    <p>You look up at the towers. Somewhere near the top of the tallest one a single amber
+    window glows. You cannot tell if it is fire or something worse.</p>
+
+    <p class="dialogue">"What happened here?"</p>
+
+    <p>The figure finally looks up. Their eyes are the color of old smoke.</p>
+
+    <p class="dialogue">"Same thing that happens everywhere. People stopped trying. Stopped pushing. Stopped
+    becoming. A city is only alive as long as the people in it are. When they go still —
+    really still, inside — the city follows."</p>
+
+    <p>They gesture at the ash drifting from a sky you cannot see the top of.</p>
+
+    <p class="dialogue">"This is what still looks like from the outside."</p>
+
+    <p>You stand at the gate for a long time.</p>
+
+    <p class="beat">Then you push it open.<br>The city breathes in.</p>
+
+    <p>The first district they call the Dead Quarter. Not because nothing lives there — things
+    live there, in the walls and the shadows and the flooded basement corridors where
+    rust-stained water never drains. But because everything that lives there has forgotten
+    what living was supposed to feel like. They move through the grey streets like people
+    rehearsing being people.</p>
+
+    <p>You walk among them and feel a terror you cannot immediately name.</p>
+
+    <p>Then you name it.</p>
+
+    <p class="beat">Recognition.</p>
+
+    <p>You have been one of them. Not here — not in this city, not in this ash. But somewhere.
+    In your own version of the Dead Quarter. The grey routine. The comfortable decay. The days
+    that passed without resistance because you offered none.</p>
+
+    <p>At the center of the Dead Quarter stands a building still upright, still proud — an old
+    gymnasium, the sign above the door barely legible through grime. Inside through ash-caked
+    windows you can see figures moving. Training. Lifting. Running in place. In the grey
+    stillness of the Dead Quarter this building pulses like a second heartbeat.</p>
+
+    <p>You do not think about it.</p>
+
+    <p class="beat">You push the door open and go inside.</p>
+
+    <p>That night, walking back through streets that smell of cold iron and old ambition, you
+    feel something watching you from the deep ruins at the far end of the district. Ancient.
+    Patient. Assembled from the wreckage of a thousand abandoned things. You feel it the way
+    you feel weather coming — in your joints, in the back of your throat, in the particular
+    stillness that settles over the street when something large and old decides to pay
+    attention.</p>
+
+    <p>The people around you feel it too. They move faster. Look at the ground. Make themselves
+    small the way prey animals make themselves small when something apex passes nearby.</p>
+
+    <p>You are the only one who looks toward the deep ruins. Something there — vast, concrete,
+    amber-eyed — looks back.</p>
+
+    <p class="beat">You hold its gaze until it looks away first.<br>Then you go to sleep.</p>
+`,
+    epilogue: `
+    Welcome to the Ashen City, Wanderer. The Dead Quarter holds its breath. Something old has opened one eye.<br><br>
+    <strong>The Scavenger King</strong> waits in the deep ruins. He is as old as the city's first abandonment —
+    built from the rubble of every collapsed ambition, every fallen resolution, every tower that was started
+    and never finished. He has felt your footsteps and measured their intention. He does not think you are serious.<br><br>
+    He has been wrong before — rarely — and each time it cost him.<br><br>
+    <em>He is about to be wrong again.</em><br><br>
+    Defeat him. Show the city what serious looks like.
+`,
+  },
+  {
+    key: 'ashen-2', region: 'ashen', part: 2, title: 'The Dead Quarter Falls',
+    tag: 'Level 2 · The Scavenger King has been defeated',
+    unlock_type: 'boss', unlock_value: '1',
+    body: `
+    <p class="section-label">The Battle of the Deep Ruins</p>
+
+    <p class="opening">Nobody told you the deep ruins had a smell.</p>
+
+    <p>The stories about the Scavenger King covered the size, the amber eyes, the accumulated mass of everything abandoned compressed into a single sovereign form. They covered the way the ground registered his presence before he appeared, the seismic intimacy of something that large deciding to move. They covered the sound — the grinding, settling, shifting cacophony of a thousand building materials that had forgotten they were separate things.</p>
+
+    <p>Nobody mentioned the smell.</p>
+
+    <p>Concrete dust and iron filings and something underneath both of those — something older and more specific, the particular scent of ambition left too long in a sealed room. Of potential gone stale. Of all the versions of all the people who had stood in these ruins before you and decided, each in their own way, in their own language, with their own particular flavor of surrender, that this was as far as they were going.</p>
+
+    <p class="beat">That smell hit you first.</p>
+    <p class="beat">Then the ground moved.</p>
+
+    <p>He did not emerge from the rubble so much as the rubble became him — a process you watched with the particular clarity that arrives in moments of genuine danger, when the brain decides that recording is more important than reacting and everything slows down to accommodate the filing. A section of collapsed apartment building here. A stretch of subway infrastructure there. Iron rebar pulling taut between sections of concrete like tendons deciding to remember their purpose. And the eyes — last, always last, the amber light kindling in what had been two empty window frames in a section of hospital wall and was now, unmistakably, a face.</p>
+
+    <p>A face that found you immediately.</p>
+
+    <p>Did not search. Did not scan. Found you the way things find what they have been expecting.</p>
+
+    <p>You had prepared for the size. You had not fully prepared for the intelligence.</p>
+
+    <p>The first blow came without warning and without wind-up — a sweep of one enormous arm that moved faster than anything that large had any right to move, catching the air where you had been standing and sending a shockwave of displaced pressure that hit you even in the place you had already rolled to. The rubble of his passage scattered across the deep ruins floor and each piece that landed was a small destruction of its own, craters forming in the already-broken ground.</p>
+
+    <p>You ran.</p>
+
+    <p>Not away. Through.</p>
+
+    <p>The distinction mattered more than anything in that moment — running away was what the city wanted, what the Scavenger King was designed to produce, what every previous wanderer had done when the amber eyes found them and the size became real and the smell of stale ambition closed around them like a room getting smaller. Running away was the shape of surrender even when it looked like motion.</p>
+
+    <p>Running through was different. Running through meant using the rubble fields as cover, learning the pattern of those sweeping arms — and there was a pattern, ancient and slightly arthritic, the pattern of something that had been performing the same deterrence for so long it had become choreography. Running through meant getting close enough that the sweeping arms became a liability rather than a weapon, the mass of him working against the precision that close-quarters required.</p>
+
+    <p>You had figured this out by the third exchange.</p>
+
+    <p>The fight lasted two hours.</p>
+
+    <p>Later, in the quiet of the aftermath, you would not be able to account for most of those two hours in any linear way. Memory is not designed for sustained extreme experience — it takes snapshots instead of footage, and what you retained were images rather than sequence. The amber eyes tracking you through a gap in a collapsed wall. Your own hands doing something with the Enchanted Iron Blade that you had not consciously decided to do but that your body had apparently worked out independently. The sound — enormous, concrete, final — of the Scavenger King's right knee making contact with the ruins floor as something in the architecture of him gave way.</p>
+
+    <p class="beat">That sound.</p>
+    <p class="beat">That was the moment you knew.</p>
+
+    <p>Not because a king kneeling meant defeat — not yet, not automatically — but because of what happened to the amber light in his eyes when he went down. The intelligence in it. The ancient watchful sovereignty. For one moment — one fraction of one moment in two hours of chaos — it flickered.</p>
+
+    <p>Doubt. In a thing that had never doubted.</p>
+
+    <p>You did not give it time to resolve.</p>
+
+    <p>The final sequence was three movements and then stillness. Your movements, rehearsed by two hours of survival into something approaching fluency. His stillness, arriving gradually, the way all great stillnesses arrive — not as an event but as the slow cessation of everything that had been preventing it.</p>
+
+    <p class="beat">The Scavenger King came apart.</p>
+
+    <p>Not explosively. Not with the drama the stories implied. The pieces of him found their way back to the ground they came from with the patience of things that had been temporarily assembled and were now remembering their natural state. The hospital wall section settled with a sound like an exhale. The subway platform laid itself down. The rebar tendons uncurled. The concrete dust of him rose briefly in a cloud that caught the dim light of the deep ruins and turned it amber for one suspended moment — a last act of beauty from something that had been, in its own terrible way, magnificent.</p>
+
+    <p>The amber light in his eyes dimmed.</p>
+
+    <p>Slowly. Without drama. The way fires dim when there is nothing left to burn.</p>
+
+    <p>And in the silence that followed — a silence of a quality and texture you had not experienced anywhere in the Ashen City, a silence that felt earned rather than imposed — something warm pressed against the sole of your boot.</p>
+
+    <p>A vial. Small. Iron-capped. The amber light inside it pulsing with the slow patient rhythm of something alive and waiting.</p>
+
+    <p>You picked it up. Held it in your palm for a long time.</p>
+
+    <p class="beat">One hard day, bottled.</p>
+
+    <p>You stood in the deep ruins with the settled rubble of the Scavenger King around you and the vial warm in your hand and the smell of concrete dust and old ambition slowly clearing from the air, replaced by something you did not have an immediate name for. Something cleaner. Something that had not been present in the Ashen City since before you arrived and perhaps long before that.</p>
+
+    <p class="beat">The city, you realized, was breathing differently.</p>
+
+    <div class="chapter-divider">
+      <div class="line"></div><div class="diamond"></div><div class="line"></div>
+    </div>
+
+    <p class="section-label">The Aftermath</p>
+
+    <p>The tremors lasted three days.</p>
+
+    <p>Not violent — nothing structural, nothing that brought more of the already-fallen down. More like adjustments. The city recalibrating around an absence it had not expected to have to accommodate. The Scavenger King had been part of the Dead Quarter's architecture in a way that went beyond the physical, and his absence created a kind of negative space that the district spent three days quietly reorganizing itself around.</p>
+
+    <p>You spent those three days working.</p>
+
+    <p>The gymnasium in the mornings, always. The work there felt different now — not easier, the work never got easier, but more purposeful in a way that was hard to articulate. Like the difference between practicing a skill and using one. Every session in that gymnasium since your arrival had been preparation for something. Now the preparation had met its first real test and the test had passed and the sessions that followed had a different quality. The quality of continuation rather than anticipation.</p>
+
+    <p>In the afternoons you walked the Dead Quarter and let it show you what the Scavenger King's absence had uncovered.</p>
+
+    <p>There was more here than the grey stillness had suggested. The King's presence had been a kind of pressure on the district, a gravitational force that kept everything compressed into the most minimal version of itself — the people moving through their rehearsals of being people, the buildings leaning together for support, the streets existing only as the space between things rather than things in their own right. With that pressure lifted, the district was slowly, tentatively, beginning to remember other configurations.</p>
+
+    <p>On the first day you found the map room.</p>
+
+    <p>An old woman with iron-grey hair pressed a key into your hand outside the gymnasium — iron, heavy, the number four stamped into the bow — and told you the building three streets over, top floor, had been locked since before she arrived. You found it. Took the stairs. Used the key.</p>
+
+    <p>The room behind the door was full of maps.</p>
+
+    <p>Not maps of the city. Maps of everything the people who lived here had been planning to do with their lives before the city's grey comfort proved easier than the road. Ambitions pinned to walls with salvaged tacks. Routes traced in faded ink across paper soft with age. Destinations circled with the particular pressure of someone who had meant it, who had sat in this room and looked at this map and felt, for one clear moment, that the destination was real and reachable and worth the reaching.</p>
+
+    <p>All of it left behind.</p>
+
+    <p>You stood in that room for a long time.</p>
+
+    <p>The maps covered every wall floor to ceiling. Hundreds of them. Thousands of individual intentions, each one representing a person who had come through the iron gates of the Ashen City with something they were going to become and had, somewhere between the gate and this room, set it down and walked away.</p>
+
+    <p>You took one map from the wall. Folded it carefully. Put it in the inner pocket of your coat, close against your chest.</p>
+
+    <p class="beat">You were not going to leave yours here.</p>
+
+    <p>On the second day you found the Ember Markets open to you for the first time.</p>
+
+    <p>They had been present since your arrival — you could see them from the Dead Quarter, smell the smoke of their hundred fires on certain winds — but the gates had been closed to newcomers, open only to those the market had decided were worth the access. The Scavenger King's defeat had apparently settled the question of your worth in the market's collective judgment.</p>
+
+    <p>The merchant with iron-grey hair and hands like hammers pressed a second amber vial into your palm without being asked.</p>
+
+    <p class="dialogue">"The city noticed," she said.</p>
+    <p class="dialogue">"Is that good?"</p>
+
+    <p>She set down whatever she had been examining and looked at you with the full attention of someone who rationed full attention carefully.</p>
+
+    <p class="dialogue">"It means the city has updated its assessment of you," she said. "Which means the things the city sends next will be updated accordingly."</p>
+
+    <p class="dialogue">"Harder."</p>
+
+    <p class="dialogue">"Different," she said. "Not always harder. Sometimes stranger. Sometimes quieter." She picked up what she had been examining. "The things that come for you now will know what you did in the deep ruins. They will not make the Scavenger King's mistakes."</p>
+
+    <p>You thought about this for the rest of the day.</p>
+
+    <p>On the third day the tremors stopped entirely and an old trader found you by a fire in the Ember Markets with the deliberate movement of someone who had been waiting for the right moment and had decided this was it.</p>
+
+    <p>He sat across the fire from you. Said nothing for a while. Added a piece of salvaged wood to the fire and watched it catch.</p>
+
+    <p class="dialogue">"Four left," he said finally.</p>
+
+    <p>You looked up.</p>
+
+    <p>He held up four fingers. Then, one by one, he folded them down as he named them.</p>
+
+    <p class="dialogue">"The Warden of the Rust. The Ash Revenant. The Industrial Phantom. The Lord of the Broken City."</p>
+
+    <p>Four fingers. Four names. Four things standing between you and the eastern gate.</p>
+
+    <p class="dialogue">"Tell me about the Warden," you said.</p>
+
+    <p>He was quiet for long enough that you thought he might not answer. Then he poked the fire and the sparks rose between you and he began to talk.</p>
+
+    <div class="chapter-divider">
+      <div class="line"></div><div class="diamond"></div><div class="line"></div>
+    </div>
+
+    <p class="section-label">The Legend of the Warden</p>
+
+    <p class="dialogue">"The Warden has been here longer than anyone," the trader said. "Longer than the city itself, some say — though that can't be literally true, can it. Things don't exist before the places that make them."</p>
+
+    <p>He paused. Reconsidered.</p>
+
+    <p class="dialogue">"Though maybe with the Warden it can. Maybe it is literally true."</p>
+
+    <p>He told you what he knew, which was more than most people knew and less than the full truth, which is always the way with things like the Warden of the Rust.</p>
+
+    <p>In the time when the city was alive — when the towers were clean and the machines ran with purpose and the streets moved with people who had somewhere to be and meant to get there — the Warden had been an actual warden. A keeper of the city's only prison, a facility in the northernmost reach of what was now the Dead Quarter, built into the bedrock below street level where the ground was always damp and the iron always rusted faster than it should have and the lights were always the particular cold blue-grey of institutional authority.</p>
+
+    <p>He had been good at his job. More than good. He had been, by all accounts, the finest warden the city had ever had — not cruel, not corrupt, simply completely and absolutely committed to the principle that what was contained stayed contained. That the boundary between inside and outside was sacred. That his function — maintaining that boundary — was the most important function in the city, perhaps the most important function anywhere.</p>
+
+    <p>He had believed this with his entire self.</p>
+
+    <p>And when the city began to fail — when the people began their long slow withdrawal from ambition, when the machines began their gradual wind-down, when the streets began to thin — the Warden had stayed at his post. Had continued maintaining his boundary. Had refused, with the absolute conviction of someone who had built their entire identity on a single principle, to acknowledge that the thing he was maintaining the boundary for no longer existed.</p>
+
+    <p>The prison emptied. The city emptied. The Warden stayed.</p>
+
+    <p>Decades passed. Centuries, maybe — time moved differently in the Ashen City, everyone agreed on that even if they disagreed on everything else. The rust came for the prison the way it came for everything in the northern reach, faster and more thoroughly than it came anywhere else, and the Warden stood in it and let it come and did not move because moving was not his function, maintaining the boundary was his function, and he maintained it.</p>
+
+    <p>The rust grew into him. Through him. Became him.</p>
+
+    <p>The prison became the flooded corridors. The cells became the passages no one entered. The cold blue-grey institutional lights became the wrong-colored lights that the people of the Dead Quarter routed around without quite knowing why.</p>
+
+    <p>And the Warden became something that had started as a person committed to a principle and had, through centuries of absolute commitment past the point where the principle had any meaning left, become the principle itself. Contained. Immovable. The living embodiment of a boundary between inside and outside that no longer needed to exist.</p>
+
+    <p class="dialogue">"What does he want?" you asked.</p>
+
+    <p class="dialogue">"Nothing," the trader said. "That's what makes him dangerous. The Scavenger King wanted the city to stay still — that was a want, a desire, something you could work against. The Warden doesn't want anything. He simply maintains. He simply stands. He simply is what he has always been, past the point of any reason to be it."</p>
+
+    <p class="dialogue">"And the people who go into the northern reach?"</p>
+
+    <p class="dialogue">"They go still," the trader said simply. "Not because he does anything to them. Because standing in front of something that immovable, that absolutely committed past all reason, something in people — something fundamental, something that knows when it has met its match — goes quiet."</p>
+
+    <p>He looked at you across the fire.</p>
+
+    <p class="dialogue">"Most people," he said, "find that the hardest thing. Not the fighting. The walking toward something that makes part of you want to simply stop."</p>
+
+    <p>You stared into the fire for a long time.</p>
+
+    <p class="dialogue">"What's in the northern reach worth walking toward?" you asked.</p>
+
+    <p class="dialogue">"There's a door," the trader said. "Past the Warden. In the deepest subbasement of the old prison. Behind it — something the city has been keeping since before anyone currently alive arrived here." He paused. "Something that belongs to anyone who makes it through."</p>
+
+    <p class="dialogue">"What is it?"</p>
+
+    <p>He shook his head. Not evasively — genuinely.</p>
+
+    <p class="dialogue">"Nobody who's been through has ever come back to describe it," he said. "Not because they didn't survive. Because once they've seen it, describing it to someone who hasn't seems — beside the point."</p>
+
+    <p>The fire burned between you.</p>
+
+    <p class="dialogue">"When should I go?" you asked.</p>
+
+    <p>The trader looked at your hands. At the blade. At the coat. At the amber vials in your pocket casting their faint warm light through the fabric.</p>
+
+    <p class="dialogue">"When you stop asking," he said.</p>
+
+    <div class="chapter-divider">
+      <div class="line"></div><div class="diamond"></div><div class="line"></div>
+    </div>
+
+    <p class="section-label">The Northern Reach</p>
+
+    <p>You stopped asking on the fifth day.</p>
+
+    <p>You did not decide to stop asking — it was not a decision so much as a noticing. You woke on the fifth morning and went to the gymnasium and did the work and ate correctly and drank the water and in the evening you found yourself walking north through the Dead Quarter without having consciously chosen a direction.</p>
+
+    <p class="beat">Your feet knew before you did.</p>
+
+    <p>The northern reach announced itself the way the trader had described — the lights changing quality first, shifting from the Dead Quarter's characteristic amber-tinged grey to something colder and more specific. Institutional. The lights of a facility that had been designed to make people feel that they were in a place governed by rules rather than nature, and had gone on making people feel that long after the rules and the people who made them had both departed.</p>
+
+    <p>The streets narrowed. The buildings pressed closer. The sound of the Ember Markets and the gymnasium and everything else that had become familiar in the Dead Quarter fell away behind you with a completeness that felt less like distance and more like severance — as if the northern reach existed in a slightly different frequency than the rest of the city and crossing into it meant tuning to that frequency and losing the others.</p>
+
+    <p>The smell was iron and standing water and something underneath both — the specific cold of a place that had not been warm in a very long time and had stopped expecting to be.</p>
+
+    <p>The water started at the entrance to the old prison corridors. Ankle-deep, rust-stained, absolutely still. Your boots broke the surface and the sound of it — that small intrusion of motion into the perfect stillness of the water — was the loudest thing you had heard since the Scavenger King's knee hit the ground in the deep ruins.</p>
+
+    <p>You moved through it slowly. Not cautiously — you were past caution, or caution had transformed into something more useful than itself, a heightened attention that was not fear but contained everything fear was useful for. The corridors branched and doubled back and the wrong-colored lights flickered with a rhythm that was almost but not quite regular, like a heartbeat with a slight arrhythmia.</p>
+
+    <p>You did not hesitate at any of the branches.</p>
+
+    <p>You did not know why you didn't hesitate. Only that hesitation felt, in this place, like an offering. Like leaving something on a doorstep for something to collect.</p>
+
+    <p>You moved without hesitation.</p>
+
+    <p>And then the corridor opened into a wider space — a central hall, the largest room in the prison, where the Warden would have stood to survey his domain — and the Warden was there.</p>
+
+    <p class="beat">Exactly as the stories described and completely unlike them.</p>
+`,
+    epilogue: `
+    The Warden of the Rust stands in the flooded corridor. He has been waiting.<br>
+    Not for you specifically — for anyone who would come this far without going still.<br><br>
+    The cold blue light of his visor finds you in the darkness. He tilts his head.<br>
+    One degree. The sound of rust moving against rust in a thing that has not moved in centuries.<br><br>
+    <strong>He has never lost.</strong><br><br>
+    <em>Walk forward anyway.</em>
+`,
+  },
+];
+
+module.exports = { STORY_SEEDS };
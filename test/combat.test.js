@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register } = require('./helpers');
+
+// A day safely in the past whatever the player's timezone
+const dayBefore = n => new Date(Date.now() - (n + 1) * 86400000).toISOString().slice(0, 10);
+
+test('boss combat', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  const api = await register(server.base, 'alice');
+  const uid = server.db.prepare("SELECT id FROM users WHERE username = 'alice'").get().id;
+  const boss   = name => server.db.prepare('SELECT * FROM region_bosses WHERE user_id = ? AND name = ?').get(uid, name);
+  const setHp  = (name, hp) => server.db.prepare('UPDATE region_bosses SET hp = ? WHERE user_id = ? AND name = ?').run(hp, uid, name);
+  const mark   = (questId, status, daysAgo = 1) => api.post('/api/daily-quests', { questId, status, date: dayBefore(daysAgo) });
+  const totalXp = async () => (await api.get('/api/state')).body.totalXP;
+
+  // Level 2, so the Warden is up behind the Scavenger King
+  await api.post('/api/xp', { xp: 7300 });
+  const king   = boss('The Scavenger King');
+  const warden = boss('Warden of the Rust');
+
+  await t.test('a completed habit strikes the lowest active boss', async () => {
+    const { body } = await mark('calorie', 'completed');
+    const dealt = king.max_hp - boss('The Scavenger King').hp;
+    assert.ok(dealt >= 100);
+    assert.equal(body.boss.id, king.id);
+    assert.equal(boss('Warden of the Rust').hp, warden.max_hp);
+  });
+
+  await t.test('re-marking the day takes the blow back', async () => {
+    await mark('calorie', 'failed');
+    assert.equal(boss('The Scavenger King').hp, king.max_hp);
+    await mark('calorie', 'completed');
+    assert.ok(boss('The Scavenger King').hp < king.max_hp);
+  });
+
+  await t.test('a failed enemy habit heals the boss, or counter-attacks at full HP', async () => {
+    const before = boss('The Scavenger King').hp;
+    await mark('alcohol', 'failed');
+    assert.equal(boss('The Scavenger King').hp, Math.min(king.max_hp, before + Math.round(king.max_hp * 0.1)));
+
+    setHp('The Scavenger King', king.max_hp);
+    const xp = await totalXp();
+    await mark('junkfood', 'failed');
+    assert.equal(await totalXp(), xp - 100 - 50);
+    await mark('junkfood', 'completed');
+    assert.equal(await totalXp(), xp);
+  });
+
+  await t.test('the killing blow pays the reward', async () => {
+    setHp('The Scavenger King', 1);
+    const xp = await totalXp();
+    const { body } = await mark('gym', 'completed');
+    assert.ok(body.unlocks.some(u => u.type === 'victory' && u.name === 'The Scavenger King'));
+    assert.equal(boss('The Scavenger King').status, 'defeated');
+    assert.equal(await totalXp(), xp + 100 + king.xp_reward);
+  });
+
+  await t.test('re-marking the killing blow undoes the defeat and its reward', async () => {
+    const xp = await totalXp();
+    await mark('gym', 'failed');
+    const revived = boss('The Scavenger King');
+    assert.equal(revived.status, 'active');
+    assert.equal(revived.hp, 1);
+    assert.equal(revived.defeated_at, null);
+    assert.equal(await totalXp(), xp - 100 - king.xp_reward);
+    assert.equal(boss('Warden of the Rust').hp, warden.max_hp);
+  });
+
+  await t.test('marking it again fells the same boss, not the next one', async () => {
+    const { body } = await mark('gym', 'completed');
+    assert.ok(body.unlocks.some(u => u.type === 'victory' && u.name === 'The Scavenger King'));
+    assert.equal(boss('Warden of the Rust').hp, warden.max_hp);
+  });
+
+  await t.test('an earlier blow on a fallen boss stands and does not strike again', async () => {
+    // calorie hit the King before gym finished him off
+    const xp = await totalXp();
+    await mark('calorie', 'failed');
+    await mark('calorie', 'completed');
+    assert.equal(boss('The Scavenger King').status, 'defeated');
+    assert.equal(boss('Warden of the Rust').hp, warden.max_hp);
+    assert.equal(await totalXp(), xp);
+  });
+
+  await t.test('a new mark moves on to the next boss', async () => {
+    await mark('gym', 'completed', 2);
+    assert.ok(boss('Warden of the Rust').hp < warden.max_hp);
+  });
+});
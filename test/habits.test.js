@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register } = require('./helpers');
+
+// A day safely in the past whatever the player's timezone
+const dayBefore = n => new Date(Date.now() - (n + 1) * 86400000).toISOString().slice(0, 10);
+
+test('measured habits', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  const api  = await register(server.base, 'alice');
+  const mark = (body, daysAgo) => api.post('/api/daily-quests', { questId: 'water', date: dayBefore(daysAgo), ...body });
+
+  await t.test('a value at the target completes the day', async () => {
+    const { status, body } = await mark({ value: 3.2 }, 1);
+    assert.equal(status, 200);
+    assert.deepEqual(body.mark, { status: 'completed', xp: 100, value: 3.2 });
+  });
+
+  await t.test('a value short of it fails, with partial XP', async () => {
+    const { body } = await mark({ value: 1.5 }, 2);
+    assert.deepEqual(body.mark, { status: 'failed', xp: 50, value: 1.5 });
+  });
+
+  await t.test('a plain status is still accepted, for the full XP', async () => {
+    const { status, body } = await mark({ status: 'completed' }, 3);
+    assert.equal(status, 200);
+    assert.deepEqual(body.mark, { status: 'completed', xp: 100, value: null });
+    assert.deepEqual((await mark({ status: 'failed' }, 4)).body.mark, { status: 'failed', xp: 0, value: null });
+  });
+
+  await t.test('a mark needs a value or a status', async () => {
+    const { status, body } = await mark({}, 5);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Log a value in L for this habit');
+  });
+});
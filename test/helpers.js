@@ -0,0 +1,55 @@
+// Shared by the tests that go through the HTTP API: the app on a fresh
+// in-memory database, and a client that keeps its session cookie like a browser.
+const { once } = require('events');
+
+process.env.DB_PATH = ':memory:';
+
+async function startServer() {
+  const { app, db } = require('../server');
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    db,
+    base: `http://127.0.0.1:${server.address().port}`,
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+// request(method, path, body?) → { status, body } with the JSON body parsed.
+// A body is sent as JSON unless a content type is given, when it goes as is.
+function client(base) {
+  let cookie = null;
+  async function request(method, url, body, type) {
+    const res = await fetch(base + url, {
+      method,
+      redirect: 'manual',
+      headers: { 'Content-Type': type || 'application/json', ...(cookie && { Cookie: cookie }) },
+      body: body === undefined || type ? body : JSON.stringify(body),
+    });
+    const set = res.headers.getSetCookie();
+    if (set.length) cookie = set[0].split(';')[0];
+    const json = (res.headers.get('content-type') || '').includes('application/json');
+    return { status: res.status, body: json ? await res.json() : await res.text() };
+  }
+  return {
+    get:    url         => request('GET', url),
+    post:   (url, body) => request('POST', url, body),
+    put:    (url, body) => request('PUT', url, body),
+    patch:  (url, body) => request('PATCH', url, body),
+    delete: (url, body) => request('DELETE', url, body),
+    postCsv: (url, text) => request('POST', url, text, 'text/csv'),
+  };
+}
+
+// A new account, logged in on the returned client
+async function register(base, username, password = 'password1') {
+  const api = client(base);
+  const res = await api.post('/api/register', { username, password });
+  if (res.status !== 200) throw new Error(`Could not register ${username}: ${JSON.stringify(res.body)}`);
+  return api;
+}
+
+module.exports = { startServer, client, register };
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register } = require('./helpers');
+
+test('account export and import', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+  const userId = username => server.db.prepare('SELECT id FROM users WHERE username = ?').get(username).id;
+
+  // Some history to carry over: manual XP, pages read, a finished quest
+  const alice = await register(server.base, 'alice');
+  await alice.post('/api/xp', { xp: 500, note: 'Head start' });
+  const { body: books } = await alice.post('/api/books', { title: 'Dune', pages: 100 });
+  await alice.post(`/api/books/${books.reading[0].id}/progress`, { page: 40 });
+  const { body: quests } = await alice.post('/api/quests', { name: 'Ship it', tag: 'boss', xp: 300 });
+  await alice.post(`/api/quests/${quests.active.find(q => q.name === 'Ship it').id}/complete`);
+  const { body: archive } = await alice.get('/api/export');
+
+  await t.test('the export is a versioned archive of the account', () => {
+    assert.equal(archive.format, 'ferro-animus');
+    assert.ok(Number.isInteger(archive.version));
+    assert.equal(archive.username, 'alice');
+    assert.equal(archive.data.game_state[0].total_xp, 840);
+    assert.equal(archive.data.books.length, 1);
+  });
+
+  await t.test('malformed archives are refused with the problems listed', async () => {
+    const bob = await register(server.base, 'bob');
+    const invalid = async body => {
+      const res = await bob.post('/api/import', body);
+      assert.equal(res.status, 400);
+      return res.body.details;
+    };
+    assert.deepEqual(await invalid({ format: 'other', version: 1, data: {} }), ['Not a ferro-animus archive']);
+    assert.deepEqual(await invalid({ ...archive, version: 999 }), ['Unsupported archive version 999']);
+    assert.deepEqual(await invalid({ ...archive, data: { nonsense: [] } }), ['Unknown table nonsense']);
+    assert.deepEqual(await invalid({ ...archive, data: { books: {} } }), ['books must be an array']);
+    assert.deepEqual(
+      await invalid({ ...archive, data: { books: [{ ...archive.data.books[0], title: 7, started_at: 'yesterday' }] } }),
+      ['books[0].title must be a string', 'books[0].started_at must be a YYYY-MM-DD date'],
+    );
+    assert.deepEqual(
+      await invalid({ ...archive, data: { xp_log: [archive.data.xp_log[0], archive.data.xp_log[0]] } }),
+      ['xp_log[1].id is duplicated'],
+    );
+    assert.deepEqual(await invalid({ ...archive, data: { game_state: [{ total_xp: 1 }, { total_xp: 2 }] } }),
+      ['game_state must have exactly one row']);
+    assert.deepEqual(await invalid({ ...archive, data: { game_state: [] } }), ['game_state must have exactly one row']);
+    assert.deepEqual(
+      await invalid({ ...archive, data: { daily_quests: [{ quest_id: 'gym', status: 'bogus', date: '2026-10-18', xp: 0, value: null }] } }),
+      ['daily_quests[0].status must be one of completed, failed'],
+    );
+    assert.deepEqual(
+      await invalid({ ...archive, data: { xp_log: [{ ...archive.data.xp_log[0], source: 'gift' }] } }),
+      ['xp_log[0].source must be one of daily, quest, book, manual, admin'],
+    );
+    assert.deepEqual(
+      await invalid({ ...archive, data: { user_gear: [{ gear_id: 9999, acquired_at: 0, equipped: 1 }] } }),
+      ['user_gear[0].gear_id is not a known gear item'],
+    );
+    const boss = { ...archive.data.region_bosses[0], loot_gear_id: 9999 };
+    assert.deepEqual(await invalid({ ...archive, data: { region_bosses: [boss] } }), ['region_bosses[0].loot_gear_id is not a known gear item']);
+
+    // Nothing was deleted on the way to refusing
+    assert.ok(server.db.prepare('SELECT 1 FROM game_state WHERE user_id = ?').get(userId('bob')));
+  });
+
+  await t.test('a dry run reports what would be imported and changes nothing', async () => {
+    const carol = await register(server.base, 'carol');
+    const { status, body } = await carol.post('/api/import?dryRun=1', archive);
+    assert.equal(status, 200);
+    assert.equal(body.dryRun, true);
+    assert.equal(body.imported.books, 1);
+    assert.equal(body.imported.xp_log, archive.data.xp_log.length);
+    assert.equal((await carol.get('/api/state')).body.totalXP, 0);
+    assert.equal(server.db.prepare('SELECT COUNT(*) as n FROM books WHERE user_id = ?').get(userId('carol')).n, 0);
+  });
+
+  await t.test('importing restores the account with fresh ids', async () => {
+    const dave = await register(server.base, 'dave');
+    const { status } = await dave.post('/api/import', archive);
+    assert.equal(status, 200);
+    const uid  = userId('dave');
+    const book = server.db.prepare('SELECT * FROM books WHERE user_id = ?').get(uid);
+    assert.equal(book.current_page, 40);
+    assert.notEqual(book.id, archive.data.books[0].id);
+    assert.equal(server.db.prepare('SELECT book_id FROM book_progress WHERE user_id = ?').get(uid).book_id, book.id);
+    assert.equal(server.db.prepare("SELECT source_ref FROM xp_log WHERE user_id = ? AND source = 'book'").get(uid).source_ref, String(book.id));
+    const quest = server.db.prepare("SELECT id FROM quests WHERE user_id = ? AND name = 'Ship it'").get(uid);
+    assert.equal(server.db.prepare("SELECT source_ref FROM xp_log WHERE user_id = ? AND source = 'quest'").get(uid).source_ref, String(quest.id));
+    assert.equal((await dave.get('/api/state')).body.totalXP, 840);
+  });
+
+  await t.test('an account with history can not be imported into', async () => {
+    assert.equal((await alice.post('/api/import', archive)).status, 409);
+  });
+});
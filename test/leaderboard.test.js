@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register } = require('./helpers');
+
+test('leaderboards', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  // alice is friends with bob, dave and erin; carol and frank are strangers to her
+  const visibility = { alice: 'public', bob: 'public', carol: 'friends', dave: 'hidden', erin: 'friends', frank: 'public' };
+  const players = {};
+  for (const [name, setting] of Object.entries(visibility)) {
+    players[name] = await register(server.base, name);
+    await players[name].patch('/api/settings', { leaderboard_visibility: setting });
+  }
+  for (const name of ['bob', 'dave', 'erin']) {
+    await players.alice.post('/api/friends', { username: name });
+    await players[name].post('/api/friends', { username: 'alice' });
+  }
+  const names = async (viewer, scope) => {
+    const { body } = await players[viewer].get(`/api/leaderboard?scope=${scope}`);
+    return body.entries.map(e => e.name).sort();
+  };
+
+  await t.test('a new player is ranked on their first look', async () => {
+    const { status, body } = await players.alice.get('/api/leaderboard');
+    assert.equal(status, 200);
+    assert.deepEqual(body.me, { rank: 1, score: 0 });
+    assert.ok(body.entries.some(e => e.is_me));
+  });
+
+  // Everyone's rows as of their own first look
+  for (const api of Object.values(players)) await api.get('/api/leaderboard');
+
+  await t.test('the global board lists public profiles', async () => {
+    assert.deepEqual(await names('alice', 'global'), ['alice', 'bob', 'frank']);
+  });
+
+  await t.test('the friends board lists friends who are not hidden', async () => {
+    assert.deepEqual(await names('alice', 'friends'), ['alice', 'bob', 'erin']);
+  });
+
+  await t.test('hidden players still see themselves', async () => {
+    assert.deepEqual(await names('dave', 'global'), ['alice', 'bob', 'dave', 'frank']);
+    assert.deepEqual(await names('dave', 'friends'), ['alice', 'dave']);
+  });
+
+  await t.test('a player\'s own row follows their XP as they read', async () => {
+    await players.frank.post('/api/xp', { xp: 500 });
+    const { body } = await players.frank.get('/api/leaderboard?scope=global');
+    assert.deepEqual(body.me, { rank: 1, score: 500 });
+  });
+});
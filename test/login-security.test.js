@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, client, register } = require('./helpers');
+
+process.env.LOGIN_MAX_FAILURES_PER_IP = '8';
+delete process.env.TRUST_PROXY;
+
+test('login throttling', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+  t.beforeEach(() => server.db.exec('DELETE FROM login_throttle'));
+
+  const api = await register(server.base, 'alice');
+  await register(server.base, 'bob');
+
+  async function logIn(username, password, headers) {
+    return fetch(`${server.base}/api/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ username, password }),
+    });
+  }
+
+  await t.test('five wrong passwords lock the username, even for the right one', async () => {
+    for (let i = 0; i < 4; i++) assert.equal((await logIn('alice', 'wrong')).status, 401);
+    const locked = await logIn('alice', 'wrong');
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers.get('retry-after')) > 0);
+    assert.equal((await logIn('alice', 'password1')).status, 429);
+    assert.equal((await logIn('Alice', 'password1')).status, 429);
+    assert.equal((await logIn('bob', 'password1')).status, 200);
+  });
+
+  await t.test('a spoofed X-Forwarded-For does not escape the per-IP limit', async () => {
+    const statuses = [];
+    for (let i = 1; i <= 8; i++) {
+      statuses.push((await logIn(`nobody${i}`, 'wrong', { 'X-Forwarded-For': `10.0.0.${i}` })).status);
+    }
+    assert.deepEqual(statuses, [...Array(7).fill(401), 429]);
+    assert.equal((await logIn('bob', 'password1', { 'X-Forwarded-For': '10.0.0.99' })).status, 429);
+  });
+
+  await t.test('wrong passwords on account changes count against the same limit', async () => {
+    for (let i = 0; i < 4; i++) {
+      assert.equal((await api.put('/api/account/password', { current_password: 'wrong', new_password: 'password2' })).status, 403);
+    }
+    assert.equal((await api.post('/api/account/2fa/setup', { password: 'wrong' })).status, 429);
+    assert.equal((await api.delete('/api/account', { password: 'password1' })).status, 429);
+    assert.equal((await logIn('alice', 'password1')).status, 429);
+  });
+
+  await t.test('a successful login clears the username\'s failures', async () => {
+    for (let i = 0; i < 4; i++) assert.equal((await logIn('bob', 'wrong')).status, 401);
+    assert.equal((await logIn('bob', 'password1')).status, 200);
+    assert.equal((await logIn('bob', 'wrong')).status, 401);
+  });
+});
+
+test('sessions', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  await t.test('changing the password logs out the other sessions', async () => {
+    const here  = await register(server.base, 'dave');
+    const there = client(server.base);
+    assert.equal((await there.post('/api/login', { username: 'dave', password: 'password1' })).status, 200);
+    assert.equal((await there.get('/api/me')).status, 200);
+    const changed = await here.put('/api/account/password', { current_password: 'password1', new_password: 'password2' });
+    assert.equal(changed.status, 200);
+    assert.equal((await here.get('/api/me')).status, 200);
+    assert.equal((await there.get('/api/me')).status, 401);
+  });
+});
@@ -0,0 +1,232 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DatabaseSync } = require('node:sqlite');
+const { MIGRATIONS, LATEST_VERSION, currentVersion, migrationStatus, migrate, openDatabase } = require('../migrations');
+const { hasTable, hasColumn } = require('../migrations/helpers');
+
+// The schema initDb created before versioned migrations, with one player on it
+function baselineDatabase() {
+  const db = new DatabaseSync(':memory:');
+  db.exec(`
+    CREATE TABLE sessions (sid TEXT PRIMARY KEY, sess TEXT NOT NULL, expired INTEGER NOT NULL);
+    CREATE TABLE users (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      username      TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      created_at    INTEGER DEFAULT (unixepoch()),
+      is_admin      INTEGER DEFAULT 0
+    );
+    CREATE TABLE game_state (user_id INTEGER PRIMARY KEY, total_xp INTEGER NOT NULL DEFAULT 0);
+    CREATE TABLE stats (
+      user_id   INTEGER PRIMARY KEY,
+      str       INTEGER NOT NULL DEFAULT 0,
+      dis       INTEGER NOT NULL DEFAULT 0,
+      vit       INTEGER NOT NULL DEFAULT 0,
+      wis       INTEGER NOT NULL DEFAULT 0,
+      endurance INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE TABLE xp_log (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id    INTEGER NOT NULL DEFAULT 1,
+      date       TEXT    NOT NULL,
+      note       TEXT    NOT NULL,
+      xp         INTEGER NOT NULL,
+      created_at INTEGER NOT NULL DEFAULT (strftime('%s','now'))
+    );
+    CREATE TABLE daily_quests (
+      user_id  INTEGER NOT NULL DEFAULT 1,
+      quest_id TEXT    NOT NULL,
+      status   TEXT    NOT NULL,
+      date     TEXT    NOT NULL,
+      xp       INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (user_id, quest_id, date)
+    );
+    CREATE TABLE quests (
+      id           INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id      INTEGER NOT NULL DEFAULT 1,
+      name         TEXT    NOT NULL,
+      tag          TEXT    NOT NULL CHECK (tag IN ('weekly','monthly','boss')),
+      xp           INTEGER NOT NULL DEFAULT 100,
+      status       TEXT    NOT NULL DEFAULT 'active' CHECK (status IN ('active','completed')),
+      created_at   INTEGER NOT NULL DEFAULT (unixepoch()),
+      completed_at INTEGER
+    );
+    CREATE TABLE map_cinematics (
+      user_id INTEGER NOT NULL DEFAULT 1,
+      region  TEXT    NOT NULL,
+      seen    INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (user_id, region)
+    );
+    CREATE TABLE map_gear (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      region     TEXT NOT NULL,
+      type       TEXT NOT NULL CHECK(type IN ('weapon','armour','plate','helm')),
+      name       TEXT NOT NULL,
+      unlock_lvl INTEGER NOT NULL
+    );
+    CREATE TABLE region_bosses (
+      id        INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id   INTEGER NOT NULL DEFAULT 1,
+      region    TEXT    NOT NULL,
+      level_req INTEGER NOT NULL,
+      name      TEXT    NOT NULL,
+      subtitle  TEXT    NOT NULL DEFAULT '',
+      status    TEXT    NOT NULL DEFAULT 'locked' CHECK(status IN ('locked','active','defeated'))
+    );
+    CREATE TABLE books (
+      id           INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id      INTEGER NOT NULL DEFAULT 1,
+      title        TEXT    NOT NULL,
+      status       TEXT    NOT NULL DEFAULT 'reading' CHECK(status IN ('reading','completed')),
+      started_at   TEXT    NOT NULL,
+      completed_at TEXT,
+      created_at   INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE TABLE reading_list (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id    INTEGER NOT NULL DEFAULT 1,
+      title      TEXT    NOT NULL,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE TABLE quest_labels (
+      user_id  INTEGER NOT NULL DEFAULT 1,
+      quest_id TEXT    NOT NULL,
+      label    TEXT    NOT NULL,
+      PRIMARY KEY (user_id, quest_id)
+    );
+
+    INSERT INTO users (id, username, password_hash) VALUES (1, 'bob', 'x');
+    INSERT INTO game_state (user_id, total_xp) VALUES (1, 8000);
+    INSERT INTO stats (user_id, str) VALUES (1, 12);
+    INSERT INTO xp_log (user_id, date, note, xp) VALUES (1, 'Oct 18, 2026', 'Gym Session', 100);
+    INSERT INTO daily_quests (user_id, quest_id, status, date, xp) VALUES (1, 'gym', 'completed', '2026-10-18', 100);
+    INSERT INTO quests (user_id, name, tag, xp) VALUES (1, 'Finish a book', 'monthly', 200);
+    INSERT INTO map_gear (region, type, name, unlock_lvl) VALUES
+      ('ashen',   'weapon', 'Rusted Iron Blade',      1),  ('ashen',   'armour', 'Scavenger''s Coat',      2),
+      ('savanna', 'weapon', 'Maasai War Spear',       6),  ('savanna', 'armour', 'Warrior''s Skins',       6),
+      ('abyss',   'weapon', 'Bioluminescent Fang',    11), ('abyss',   'armour', 'Temple Guardian Plate',  11),
+      ('throne',  'weapon', 'Shadow Sovereign Blade', 16), ('throne',  'armour', 'Void Emperor''s Mantle', 16),
+      ('ashen',   'plate',  'Ruinwalker''s Plate',    3),  ('ashen',   'helm',   'Ashburn Helm',           4);
+    INSERT INTO region_bosses (user_id, region, level_req, name, status) VALUES
+      (1, 'ashen', 1, 'The Scavenger King', 'active'), (1, 'ashen', 2, 'Warden of the Rust', 'locked');
+    INSERT INTO books (user_id, title, started_at) VALUES (1, 'Dune', '2026-10-01');
+  `);
+  return db;
+}
+
+function schema(db) {
+  return db.prepare("SELECT type, name, sql FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY type, name").all()
+    .map(r => ({ ...r }));
+}
+
+function versions(list) {
+  return list.map(m => m.version);
+}
+
+test('migration files are numbered without gaps', () => {
+  assert.deepEqual(versions(MIGRATIONS), MIGRATIONS.map((m, i) => i + 1));
+  assert.equal(LATEST_VERSION, MIGRATIONS.length);
+});
+
+test('an empty database is migrated to the latest version', () => {
+  const db = openDatabase();
+  assert.equal(currentVersion(db), LATEST_VERSION);
+  const status = migrationStatus(db);
+  assert.ok(status.every(m => m.applied_at !== null && !m.adopted));
+  assert.ok(hasTable(db, 'users') && hasColumn(db, 'users', 'totp_secret'));
+});
+
+test('a baseline database is adopted, then migrated to the latest version', () => {
+  const db = baselineDatabase();
+  const { adopted, applied } = migrate(db);
+  assert.deepEqual(versions(adopted), [1, 2]);
+  assert.deepEqual(versions(applied), MIGRATIONS.slice(2).map(m => m.version));
+  assert.equal(currentVersion(db), LATEST_VERSION);
+
+  // The player and their history come through
+  assert.equal(db.prepare('SELECT total_xp FROM game_state WHERE user_id = 1').get().total_xp, 8000);
+  assert.equal(db.prepare('SELECT date FROM xp_log WHERE user_id = 1').get().date, '2026-10-18');
+  assert.equal(db.prepare("SELECT status FROM quests WHERE name = 'Finish a book'").get().status, 'active');
+  assert.equal(db.prepare("SELECT current_page FROM books WHERE title = 'Dune'").get().current_page, 0);
+  assert.ok(db.prepare("SELECT 1 FROM habits WHERE user_id = 1 AND id = 'gym'").get());
+});
+
+test('existing players\' bosses are brought in line with their level', () => {
+  // bob is level 2 on 8000 XP, but the Warden was left locked
+  const db = baselineDatabase();
+  migrate(db, { to: 24 });
+  const bossStatus = name => db.prepare('SELECT status FROM region_bosses WHERE user_id = 1 AND name = ?').get(name).status;
+  assert.equal(bossStatus('Warden of the Rust'), 'locked');
+  migrate(db);
+  assert.equal(bossStatus('The Scavenger King'), 'active');
+  assert.equal(bossStatus('Warden of the Rust'), 'active');
+});
+
+test('metric goals that lapsed under a period are opened again as one-off goals', () => {
+  const db = openDatabase(':memory:', { version: 23 });
+  const rule = JSON.stringify({ type: 'metric', metric: 'run_distance', target: 5, comparison: 'at_least' });
+  const insert = db.prepare(`
+    INSERT INTO quests (user_id, name, tag, xp, status, rule, recurring, starts_on, ends_on) VALUES (1, ?, 'weekly', 300, ?, ?, 1, '2026-10-12', '2026-10-18')
+  `);
+  const goal = Number(insert.run('Get back to a 5-mile run', 'failed', rule).lastInsertRowid);
+  const other = Number(insert.run('Finish a book', 'failed', null).lastInsertRowid);
+  migrate(db);
+  const quest = id => db.prepare('SELECT tag, status, recurring, ends_on FROM quests WHERE id = ?').get(id);
+  assert.deepEqual({ ...quest(goal) }, { tag: 'boss', status: 'active', recurring: 0, ends_on: null });
+  assert.equal(quest(other).status, 'failed');
+  assert.equal(db.prepare("SELECT tag FROM quest_seeds WHERE name = 'Get back to a 5-mile run'").get().tag, 'boss');
+});
+
+test('detect() adopts exactly the migrations a legacy database already has', () => {
+  // A database initDb had brought up to 019, the last version before migrations were versioned
+  const db = openDatabase(':memory:', { version: 19 });
+  db.exec('DROP TABLE schema_migrations');
+  const { adopted, applied } = migrate(db);
+  assert.deepEqual(versions(adopted), MIGRATIONS.slice(0, 19).map(m => m.version));
+  assert.deepEqual(versions(applied), MIGRATIONS.slice(19).map(m => m.version));
+  assert.ok(migrationStatus(db).slice(0, 19).every(m => m.adopted));
+  assert.equal(currentVersion(db), LATEST_VERSION);
+});
+
+test('migrating one version at a time ends at the same schema as all at once', () => {
+  const stepped = openDatabase(':memory:', { version: 0 });
+  for (let v = 1; v <= LATEST_VERSION; v++) {
+    const { applied } = migrate(stepped, { to: v });
+    assert.deepEqual(versions(applied), [v]);
+    assert.equal(currentVersion(stepped), v);
+  }
+  assert.deepEqual(schema(stepped), schema(openDatabase()));
+});
+
+test('running the migrations again changes nothing', () => {
+  const dir  = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  const file = path.join(dir, 'test.db');
+  try {
+    const first  = openDatabase(file);
+    const before = schema(first);
+    assert.deepEqual(migrate(first), { adopted: [], applied: [] });
+    first.close();
+
+    const again = openDatabase(file);
+    assert.equal(currentVersion(again), LATEST_VERSION);
+    assert.deepEqual(schema(again), before);
+    again.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a failing migration is rolled back and stops the run', () => {
+  const db = openDatabase(':memory:', { version: 5 });
+  db.exec('ALTER TABLE users ADD COLUMN timezone TEXT'); // 006 adds it too, so it fails
+  assert.throws(() => migrate(db), /Migration 006_user_timezone failed/);
+  assert.equal(currentVersion(db), 5);
+});
+
+test('an unknown target version is refused', () => {
+  const db = openDatabase(':memory:', { version: 0 });
+  assert.throws(() => migrate(db, { to: LATEST_VERSION + 1 }), /Unknown schema version/);
+});
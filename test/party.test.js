@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register } = require('./helpers');
+
+// A day safely in the past whatever the player's timezone
+const dayBefore = n => new Date(Date.now() - (n + 1) * 86400000).toISOString().slice(0, 10);
+
+test('party quests', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+  const userId = username => server.db.prepare('SELECT id FROM users WHERE username = ?').get(username).id;
+  const partyXp = username => server.db.prepare(
+    "SELECT COALESCE(SUM(xp), 0) as xp FROM xp_log WHERE user_id = ? AND source_ref LIKE 'party:%'",
+  ).get(userId(username)).xp;
+
+  const alice = await register(server.base, 'alice');
+  const bob   = await register(server.base, 'bob');
+  const carol = await register(server.base, 'carol');
+  const { body: created } = await alice.post('/api/party', { name: 'Ironclad' });
+  for (const [name, api] of [['bob', bob], ['carol', carol]]) {
+    await alice.post('/api/friends', { username: name });
+    await api.post('/api/friends', { username: 'alice' });
+    await alice.post('/api/party/invites', { username: name });
+    assert.equal((await api.post(`/api/party/invites/${created.party.id}/accept`)).status, 200);
+  }
+
+  // A gym day Carol logged before joining, inside the quest's window
+  await carol.post('/api/daily-quests', { questId: 'gym', status: 'completed', date: dayBefore(2) });
+  const { body } = await alice.post('/api/party/quests', { name: 'Gym together', habit_id: 'gym', target: 2, xp: 150, period: 'week' });
+  const quest = body.quests.find(q => q.name === 'Gym together');
+  server.db.prepare('UPDATE party_quests SET starts_on = ? WHERE id = ?').run(dayBefore(10), quest.id);
+  const progress = async () => (await alice.get('/api/party')).body.quests.find(q => q.id === quest.id);
+
+  await t.test('completions from before a member joined do not count', async () => {
+    assert.equal((await progress()).progress, 0);
+  });
+
+  await t.test('members\' completions since joining add up', async () => {
+    await alice.post('/api/daily-quests', { questId: 'gym', status: 'completed' });
+    assert.equal((await progress()).progress, 1);
+    assert.equal(partyXp('alice'), 0);
+  });
+
+  await t.test('reaching the target completes the quest and pays every member', async () => {
+    const { body: marked } = await bob.post('/api/daily-quests', { questId: 'gym', status: 'completed' });
+    assert.ok(marked.unlocks.some(u => u.type === 'quest' && u.name === 'Gym together'));
+    assert.equal((await progress()).status, 'completed');
+    assert.deepEqual(['alice', 'bob', 'carol'].map(partyXp), [150, 150, 150]);
+  });
+
+  await t.test('a non-default habit can not be tracked', async () => {
+    await alice.post('/api/habits', { name: 'Reading', icon: '📖', kind: 'habit', completed_xp: 50 });
+    const res = await alice.post('/api/party/quests', { name: 'Read', habit_id: 'reading', target: 2, xp: 10, period: 'week' });
+    assert.equal(res.status, 400);
+  });
+});
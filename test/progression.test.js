@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register } = require('./helpers');
+
+test('progression', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  const api = await register(server.base, 'alice');
+  const uid = server.db.prepare("SELECT id FROM users WHERE username = 'alice'").get().id;
+
+  const bossStatus = name => server.db.prepare('SELECT status FROM region_bosses WHERE user_id = ? AND name = ?').get(uid, name).status;
+  const ownsGear   = name => !!server.db.prepare(`
+    SELECT 1 FROM user_gear ug JOIN map_gear g ON g.id = ug.gear_id WHERE ug.user_id = ? AND g.name = ?
+  `).get(uid, name);
+  const ledgerTotal = () => Number(server.db.prepare('SELECT COALESCE(SUM(xp), 0) as xp FROM xp_log WHERE user_id = ?').get(uid).xp);
+
+  await t.test('a new player starts at level 1 facing the first boss', () => {
+    assert.equal(bossStatus('The Scavenger King'), 'active');
+    assert.equal(bossStatus('Warden of the Rust'), 'locked');
+  });
+
+  await t.test('crossing a level opens its boss and hands out its gear', async () => {
+    const { body } = await api.post('/api/xp', { xp: 7300, note: 'Catching up' });
+    assert.equal(body.totalXP, 7300);
+    assert.equal(body.levelBefore, 1);
+    assert.equal(body.levelAfter, 2);
+    assert.ok(body.unlocks.some(u => u.type === 'boss' && u.name === 'Warden of the Rust'));
+    assert.ok(body.unlocks.some(u => u.type === 'gear' && u.name === "Scavenger's Coat"));
+    assert.equal(bossStatus('Warden of the Rust'), 'active');
+    assert.ok(ownsGear("Scavenger's Coat"));
+  });
+
+  await t.test('quest XP goes through the same path', async () => {
+    const { body: created } = await api.post('/api/quests', { name: 'Big push', tag: 'boss', xp: 6000 });
+    const quest = created.active.find(q => q.name === 'Big push');
+    const { body } = await api.post(`/api/quests/${quest.id}/complete`);
+    assert.equal(body.levelBefore, 2);
+    assert.equal(body.levelAfter, 3);
+    assert.ok(body.unlocks.some(u => u.type === 'boss' && u.name === 'The Ash Revenant'));
+  });
+
+  await t.test('losing XP drops the level and locks its bosses again, but gear stays', async () => {
+    const { body } = await api.post('/api/xp', { xp: -7000 });
+    assert.equal(body.totalXP, 6300);
+    assert.equal(body.levelBefore, 3);
+    assert.equal(body.levelAfter, 1);
+    assert.equal(bossStatus('Warden of the Rust'), 'locked');
+    assert.equal(bossStatus('The Ash Revenant'), 'locked');
+    assert.equal(bossStatus('The Scavenger King'), 'active');
+    assert.ok(ownsGear("Scavenger's Coat"));
+  });
+
+  await t.test('XP never goes below zero, and the ledger records what was applied', async () => {
+    const { body } = await api.post('/api/xp', { xp: -100000 });
+    assert.equal(body.totalXP, 0);
+    assert.equal(ledgerTotal(), 0);
+  });
+
+  await t.test('defeated bosses stay defeated when the level drops', async () => {
+    server.db.prepare("UPDATE region_bosses SET status = 'defeated' WHERE user_id = ? AND name = 'Warden of the Rust'").run(uid);
+    await api.post('/api/xp', { xp: 7300 });
+    await api.post('/api/xp', { xp: -7300 });
+    assert.equal(bossStatus('Warden of the Rust'), 'defeated');
+  });
+});
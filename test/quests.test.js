@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register } = require('./helpers');
+
+test('metric goals', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  const api = await register(server.base, 'alice');
+  const uid = server.db.prepare("SELECT id FROM users WHERE username = 'alice'").get().id;
+  const quest = name => server.db.prepare('SELECT * FROM quests WHERE user_id = ? AND name = ? ORDER BY id DESC').get(uid, name);
+
+  await t.test('the default goals have no period and do not recur', () => {
+    for (const name of ['Get back to a 5-mile run', 'Lose 10 lbs (reach 210 lbs)']) {
+      const goal = quest(name);
+      assert.equal(goal.tag, 'boss');
+      assert.equal(goal.ends_on, null);
+      assert.equal(goal.recurring, 0);
+    }
+  });
+
+  await t.test('they outlast the rollover that fails the periodic quests', async () => {
+    server.db.prepare("UPDATE quests SET ends_on = '2000-01-31' WHERE user_id = ? AND ends_on IS NOT NULL").run(uid);
+    const { body } = await api.get('/api/quests');
+    assert.ok(body.failed.some(q => q.name === 'Finish a book'));
+    assert.equal(quest('Get back to a 5-mile run').status, 'active');
+    assert.equal(quest('Lose 10 lbs (reach 210 lbs)').status, 'active');
+  });
+
+  await t.test('logging a value past the target completes the goal once', async () => {
+    const { body } = await api.post('/api/metrics/run_distance/entries', { value: 5.2 });
+    assert.ok(body.unlocks.some(u => u.type === 'quest' && u.name === 'Get back to a 5-mile run'));
+    assert.equal(quest('Get back to a 5-mile run').status, 'completed');
+    await api.get('/api/quests');
+    assert.equal(server.db.prepare("SELECT COUNT(*) as n FROM quests WHERE user_id = ? AND name = 'Get back to a 5-mile run'").get(uid).n, 1);
+  });
+});
+
+test('quest rules', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  const api = await register(server.base, 'bob');
+  const daysAgo = n => new Date(Date.now() - n * 86400000).toISOString().slice(0, 10);
+  const mark = (questId, n, status = 'completed') => api.post('/api/daily-quests', { questId, status, date: daysAgo(n) });
+
+  // A boss quest has no period, so its rule counts days since it was taken on: a month back here
+  async function takeOn(name, rule) {
+    const { body } = await api.post('/api/quests', { name, tag: 'boss', xp: 250, rule });
+    const quest = body.active.find(q => q.name === name);
+    server.db.prepare('UPDATE quests SET created_at = unixepoch() - 30 * 86400 WHERE id = ?').run(quest.id);
+    return async () => {
+      const { body: lists } = await api.get('/api/quests');
+      return lists.active.find(q => q.id === quest.id) || lists.completed.find(q => q.id === quest.id);
+    };
+  }
+
+  await t.test('a count rule completes at its threshold, within its window', async () => {
+    const quest = await takeOn('Macros thrice', { type: 'count', habit: 'macro', count: 3, window: 7 });
+    await mark('macro', 10);
+    await mark('macro', 5);
+    await mark('macro', 3);
+    assert.deepEqual((await quest()).progress, { current: 2, target: 3 });
+    const { body } = await mark('macro', 0);
+    assert.ok(body.unlocks.some(u => u.type === 'quest' && u.name === 'Macros thrice'));
+    assert.equal((await quest()).status, 'completed');
+  });
+
+  await t.test('a streak rule only counts the current run of days', async () => {
+    const quest = await takeOn('Calories for three', { type: 'streak', habit: 'calorie', days: 3 });
+    await mark('calorie', 4);
+    await mark('calorie', 3);
+    await mark('calorie', 2, 'failed');
+    await mark('calorie', 1);
+    assert.deepEqual((await quest()).progress, { current: 1, target: 3 });
+    await mark('calorie', 0);
+    assert.deepEqual((await quest()).progress, { current: 2, target: 3 });
+    const { body } = await mark('calorie', 2);
+    assert.ok(body.unlocks.some(u => u.type === 'quest' && u.name === 'Calories for three'));
+  });
+
+  await t.test('perfect_days needs every active habit done on the day', async () => {
+    const quest = await takeOn('Two perfect days', { type: 'perfect_days', count: 2, window: 7 });
+    const habits = (await api.get('/api/habits')).body.habits.map(h => h.id);
+    for (const id of habits) await mark(id, 6);
+    for (const id of habits.slice(1)) await mark(id, 5);
+    assert.deepEqual((await quest()).progress, { current: 1, target: 2 });
+    const { body } = await mark(habits[0], 5);
+    assert.ok(body.unlocks.some(u => u.type === 'quest' && u.name === 'Two perfect days'));
+  });
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register } = require('./helpers');
+
+// Cut-down Goodreads export: quoted fields with commas, doubled quotes and a
+// line break, ISBNs in Goodreads' ="…" wrapping, and a shelf we don't know
+const GOODREADS = [
+  'Book Id,Title,Author,ISBN,ISBN13,My Rating,Number of Pages,Date Read,Date Added,Exclusive Shelf,My Review,Private Notes',
+  '1,Dune,Frank Herbert,"=""0441172717""","=""9780441172719""",5,688,2024/03/14,2024/01/02,read,"Spice, sand and ""worms""",',
+  '2,"Sapiens: A Brief History",Yuval Noah Harari,,,0,464,,2024/02/01,currently-reading,,',
+  '3,The Hobbit,J.R.R. Tolkien,,,0,300,,2024/02/10,to-read,,"Line one',
+  'line two"',
+  '4,Mystery Book,Someone,,,0,,,2024/02/11,favourites,,',
+].join('\r\n');
+
+const STORYGRAPH = [
+  'Title,Authors,ISBN/UID,Format,Read Status,Date Added,Last Date Read,Star Rating,Review',
+  'Deep Work,Cal Newport,9781455586691,paperback,read,2023/05/01,2023/06/01,4.25,',
+  'Atomic Habits,James Clear,9780735211292,paperback,did-not-finish,2023/07/01,2023/07/20,,',
+].join('\n');
+
+test('shelf import', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  const api = await register(server.base, 'alice');
+  const uid = server.db.prepare("SELECT id FROM users WHERE username = 'alice'").get().id;
+  const book = title => server.db.prepare('SELECT * FROM books WHERE user_id = ? AND title = ?').get(uid, title);
+
+  await t.test('an unrecognised file is refused', async () => {
+    const res = await api.postCsv('/api/books/import', 'a,b,c\n1,2,3\n');
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /Unrecognised export/);
+  });
+
+  await t.test('a dry run parses without saving', async () => {
+    const { body } = await api.postCsv('/api/books/import?dryRun=1', GOODREADS);
+    assert.equal(body.format, 'goodreads');
+    assert.deepEqual(body.imported, { completed: 1, reading: 1, abandoned: 0, wishlist: 1, moved: 0, unchanged: 0 });
+    assert.equal(book('Dune'), undefined);
+  });
+
+  await t.test('Goodreads shelves, dates, ratings and quoting map onto the library', async () => {
+    const { body } = await api.postCsv('/api/books/import', GOODREADS);
+    assert.deepEqual(body.imported, { completed: 1, reading: 1, abandoned: 0, wishlist: 1, moved: 0, unchanged: 0 });
+    assert.deepEqual(body.skipped, [{ row: 5, title: 'Mystery Book', reason: 'Unknown shelf "favourites"' }]);
+    assert.equal(body.xpAwarded, 688 + 50);
+
+    const dune = book('Dune');
+    assert.equal(dune.status, 'completed');
+    assert.equal(dune.isbn, '9780441172719');
+    assert.equal(dune.external_key, 'isbn:9780441172719');
+    assert.equal(dune.started_at, '2024-01-02');
+    assert.equal(dune.completed_at, '2024-03-14');
+    assert.equal(dune.rating, 5);
+    assert.equal(dune.notes, 'Spice, sand and "worms"');
+
+    const sapiens = book('Sapiens: A Brief History');
+    assert.equal(sapiens.status, 'reading');
+    assert.equal(sapiens.rating, null);
+    assert.equal(sapiens.external_key, 'goodreads:2');
+
+    const hobbit = server.db.prepare('SELECT * FROM reading_list WHERE user_id = ? AND title = ?').get(uid, 'The Hobbit');
+    assert.equal(hobbit.pages, 300);
+  });
+
+  await t.test('importing the same file again changes nothing and pays nothing', async () => {
+    const { body } = await api.postCsv('/api/books/import', GOODREADS);
+    assert.deepEqual(body.imported, { completed: 0, reading: 0, abandoned: 0, wishlist: 0, moved: 0, unchanged: 3 });
+    assert.equal(body.xpAwarded, 0);
+    assert.equal(server.db.prepare('SELECT COUNT(*) as n FROM books WHERE user_id = ?').get(uid).n, 2);
+  });
+
+  await t.test('a later export moves books forward', async () => {
+    const later = GOODREADS.replace('0,464,,2024/02/01,currently-reading', '4,464,2024/04/01,2024/02/01,read');
+    const { body } = await api.postCsv('/api/books/import', later);
+    assert.equal(body.imported.moved, 1);
+    assert.equal(body.xpAwarded, 464 + 50);
+    assert.equal(book('Sapiens: A Brief History').status, 'completed');
+  });
+
+  await t.test('StoryGraph exports are recognised, with fractional ratings rounded', async () => {
+    const { body } = await api.postCsv('/api/books/import', STORYGRAPH);
+    assert.equal(body.format, 'storygraph');
+    assert.deepEqual(body.imported, { completed: 1, reading: 0, abandoned: 1, wishlist: 0, moved: 0, unchanged: 0 });
+    assert.equal(book('Deep Work').rating, 4);
+    assert.equal(book('Deep Work').completed_at, '2023-06-01');
+    assert.equal(book('Atomic Habits').status, 'abandoned');
+  });
+});
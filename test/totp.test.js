@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecret, totpCode, verifyTotp, provisioningUri, base32Encode, base32Decode } = require('../totp');
+const { startServer, client, register } = require('./helpers');
+
+// RFC 6238 appendix B, SHA-1 key. The RFC lists 8-digit codes; ours are their last 6.
+const RFC_SECRET  = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59,          '287082'],
+  [1111111109,  '081804'],
+  [1111111111,  '050471'],
+  [1234567890,  '005924'],
+  [2000000000,  '279037'],
+  [20000000000, '353130'],
+];
+
+test('codes match the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(totpCode(RFC_SECRET, seconds * 1000), code, `at T = ${seconds}`);
+    assert.equal(verifyTotp(RFC_SECRET, code, { now: seconds * 1000 }), Math.floor(seconds / 30));
+  }
+});
+
+test('base32 round-trips and ignores case, spaces and padding', () => {
+  const buf = Buffer.from('foobar');
+  assert.equal(base32Encode(buf), 'MZXW6YTBOI');
+  assert.deepEqual(base32Decode('mzxw 6ytb oi======'), buf);
+  assert.equal(base32Decode('MZXW1'), null);
+  assert.equal(base32Decode(generateSecret()).length, 20);
+});
+
+test('a code is accepted one step either side of now, and no further', () => {
+  const secret = generateSecret();
+  const now    = 1700000000000;
+  const step   = Math.floor(now / 30000);
+  for (const offset of [-1, 0, 1]) {
+    assert.equal(verifyTotp(secret, totpCode(secret, now + offset * 30000), { now }), step + offset);
+  }
+  for (const offset of [-2, 2]) {
+    assert.equal(verifyTotp(secret, totpCode(secret, now + offset * 30000), { now }), null);
+  }
+  assert.equal(verifyTotp(secret, totpCode(secret, now + 30000), { now, window: 0 }), null);
+});
+
+test('malformed codes and secrets are refused', () => {
+  const secret = generateSecret();
+  const code   = totpCode(secret);
+  assert.equal(verifyTotp(secret, code.slice(1)), null);
+  assert.equal(verifyTotp(secret, `${code}0`), null);
+  assert.equal(verifyTotp(secret, 'abcdef'), null);
+  assert.equal(verifyTotp(secret, ''), null);
+  assert.equal(verifyTotp('not base32!', code), null);
+  assert.notEqual(verifyTotp(secret, `${code.slice(0, 3)} ${code.slice(3)}`), null);
+});
+
+test('the provisioning URI carries the secret and issuer', () => {
+  const uri = new URL(provisioningUri({ issuer: 'Ferro Animus', account: 'bob', secret: 'ABC' }));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/Ferro Animus:bob');
+  assert.equal(uri.searchParams.get('secret'), 'ABC');
+  assert.equal(uri.searchParams.get('issuer'), 'Ferro Animus');
+});
+
+test('two-factor login', async t => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  const api = await register(server.base, 'alice');
+  const { body: setup } = await api.post('/api/account/2fa/setup', { password: 'password1' });
+  const enrolled = await api.post('/api/account/2fa/enable', { code: totpCode(setup.secret) });
+  assert.equal(enrolled.status, 200);
+  assert.equal(enrolled.body.enabled, true);
+  const recoveryCodes = enrolled.body.recovery_codes;
+  assert.equal(recoveryCodes.length, 10);
+
+  // Password, then a second factor, on a fresh client each time
+  async function logIn(code) {
+    const session = client(server.base);
+    const first = await session.post('/api/login', { username: 'alice', password: 'password1' });
+    assert.equal(first.body.twoFactor, true);
+    const second = await session.post('/api/login/2fa', { code });
+    return { session, status: second.status };
+  }
+
+  await t.test('the password alone does not start a session', async () => {
+    const session = client(server.base);
+    await session.post('/api/login', { username: 'alice', password: 'password1' });
+    assert.equal((await session.get('/api/me')).status, 401);
+  });
+
+  await t.test('a code from the next step logs in, and only once', async () => {
+    const code = totpCode(setup.secret, Date.now() + 30000);
+    const { session, status } = await logIn(code);
+    assert.equal(status, 200);
+    assert.equal((await session.get('/api/me')).body.username, 'alice');
+    assert.equal((await logIn(code)).status, 401);
+  });
+
+  await t.test('a code from a step before the last one used is refused', async () => {
+    assert.equal((await logIn(totpCode(setup.secret))).status, 401);
+  });
+
+  await t.test('a recovery code works once', async () => {
+    const [code] = recoveryCodes;
+    assert.equal((await logIn(code)).status, 200);
+    assert.equal((await logIn(code)).status, 401);
+    assert.equal((await logIn(code.toUpperCase())).status, 401);
+    const { session } = await logIn(recoveryCodes[1]);
+    assert.equal((await session.get('/api/account/2fa')).body.recovery_codes_left, 8);
+  });
+});
@@ -0,0 +1,87 @@
+// Time-based one-time passwords (RFC 6238), as used by authenticator apps:
+// HMAC-SHA1 over 30-second steps, 6 digits. Secrets are base32 (RFC 4648),
+// the form the apps take them in.
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+// Case, spaces and padding are ignored; returns null for anything else that isn't base32
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0, value = 0;
+  const out = [];
+  for (const c of clean) {
+    const idx = BASE32.indexOf(c);
+    if (idx === -1) return null;
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// 160 random bits, the key length RFC 4226 recommends for SHA-1
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP for one counter value
+function hotp(key, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac   = crypto.createHmac('sha1', key).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const code   = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+function timeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function totpCode(secret, now = Date.now()) {
+  return hotp(base32Decode(secret), timeStep(now));
+}
+
+// The time step `code` is valid for, allowing `window` steps of clock drift
+// either way, or null. Callers keep the step to refuse the same code twice.
+function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+  const key   = base32Decode(secret);
+  const given = String(code || '').replace(/\s/g, '');
+  if (!key || !key.length || !new RegExp(`^\\d{${DIGITS}}$`).test(given)) return null;
+  const current = timeStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(given))) return step;
+  }
+  return null;
+}
+
+// otpauth:// URI for an authenticator app to scan
+// (https://github.com/google/google-authenticator/wiki/Key-Uri-Format)
+function provisioningUri({ issuer, account, secret }) {
+  const label  = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+module.exports = { generateSecret, totpCode, verifyTotp, provisioningUri, base32Encode, base32Decode };